@@ -0,0 +1,88 @@
+// Chat handlers - sending messages and keeping mute and block lists
+const { ChatChannels, ChatError, createMessage, canReceive, setChatListEntry } = require('../models/chat');
+const { TARGET_FIELDS, payload, findOnlinePlayer } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+  const failure = { error: ChatError, reply: "chat_error" };
+
+  // Send a chat message to everyone who should see it
+  const deliverChatMessage = (message) => {
+    game.connectedPlayerIds().forEach(id => {
+      if (players[id] && canReceive(players[id], message)) {
+        game.sendToPlayer(id, { type: "chat", message: message });
+      }
+    });
+  };
+
+  dispatcher.register("chat_message", {
+    description: "Say something on a channel, or whisper to one player",
+    schema: payload({
+      channel: { type: 'string', enum: Object.values(ChatChannels), description: 'Defaults to say' },
+      message: { type: 'string', description: 'What to say' },
+      ...TARGET_FIELDS
+    }, ['message']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const channel = data.channel || ChatChannels.SAY;
+      const target = channel === ChatChannels.WHISPER ? findOnlinePlayer(players, data) : null;
+      deliverChatMessage(createMessage(players[ctx.playerId], channel, data.message, { target }, clock.now()));
+    }
+  });
+
+  // Muting hides a player's say and global messages, blocking hides them everywhere
+  ["chat_mute", "chat_block"].forEach(type => {
+    const muting = type === "chat_mute";
+    const verb = muting ? "mute" : "block";
+    const action = muting ? "muted" : "blocked";
+    dispatcher.register(type, {
+      description: `${muting ? "Mute" : "Block"} or un${verb} a player`,
+      schema: payload({
+        ...TARGET_FIELDS,
+        enabled: { type: 'boolean', description: `false to un${verb} - defaults to true` }
+      }),
+      failure: failure,
+      handle: (ctx, data) => {
+        const enabled = data.enabled !== false;
+
+        // Taking someone off a list doesn't need them online - by id it works even
+        // once they've left the world, by name while they're still in it
+        if (!enabled) {
+          const name = String(data.targetName || '').toLowerCase();
+          const known = data.targetPlayerId
+            ? players[data.targetPlayerId]
+            : Object.values(players).find(p => p.name.toLowerCase() === name);
+          const targetId = data.targetPlayerId || (known && known.id);
+          if (!targetId) {
+            throw new ChatError(`There is nobody by that name to un${verb}`);
+          }
+          ctx.reply({
+            type: "chat_settings",
+            settings: setChatListEntry(players[ctx.playerId], action, targetId, false),
+            targetPlayerId: targetId,
+            targetName: known ? known.name : null,
+            message: `You un${action} ${known ? known.name : "that player"}`
+          });
+          return;
+        }
+
+        const target = findOnlinePlayer(players, data);
+        if (!target) {
+          throw new ChatError("That player is not online");
+        }
+        const settings = setChatListEntry(players[ctx.playerId], action, target.id, enabled);
+        ctx.reply({
+          type: "chat_settings",
+          settings: settings,
+          targetPlayerId: target.id,
+          targetName: target.name,
+          message: `You ${action} ${target.name}`
+        });
+      }
+    });
+  });
+}
+
+module.exports = {
+  register
+};
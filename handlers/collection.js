@@ -0,0 +1,89 @@
+// Collection handlers - starting and cancelling the timed pickup of world items
+// The game loop hands the item over once its collection time is up, or lets it
+// go if the collector is interrupted first.
+const { DEFAULT_COLLECTION_TIME, getItemTemplate, getItemName, getGoldValue } = require('../models/items');
+const { canAddItems, toInventoryItem } = require('../models/inventory');
+const { getCollectionTime } = require('../models/progression');
+const { InterruptReasons, startCollection, getCollectionProgress } = require('../models/collection');
+const { distance } = require('../lib/geo');
+const { id, payload } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock, constants } = game;
+
+  dispatcher.register("pickup_item", {
+    description: "Start collecting an item lying within pickup range",
+    schema: payload({ itemId: id('World item to collect') }, ['itemId']),
+    guards: ["alive", "notStunned"],
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const item = game.worldItems.find(worldItem => worldItem.itemId === data.itemId);
+      if (!item) {
+        // Someone else got there first, it despawned, or it never existed
+        ctx.reply({
+          type: "collection_error",
+          itemId: data.itemId,
+          message: "That item is no longer there"
+        });
+        return;
+      }
+
+      // Only allow pickup if player is close
+      if (distance(item.position, player.position) > constants.PICKUP_RANGE) {
+        ctx.reply({
+          type: "collection_error",
+          message: "Item is too far away to collect"
+        });
+        return;
+      }
+
+      const template = getItemTemplate(item);
+      const goldValue = getGoldValue(item);
+
+      if (!item.beingCollected && !goldValue && !canAddItems(player, [toInventoryItem(item)])) {
+        // Gold goes straight to the purse, anything else needs room in the inventory
+        ctx.reply({
+          type: "collection_error",
+          message: "Your inventory is too full to pick that up"
+        });
+      } else if (!item.beingCollected) {
+        console.log("Starting collection for item:", getItemName(item));
+        // Collection time comes from the item's template unless the item overrides it,
+        // and nimble players get through it faster
+        const baseTime = item.collectionTime || (template ? template.collectionTime : DEFAULT_COLLECTION_TIME);
+        const collectionTime = getCollectionTime(player, baseTime);
+        startCollection(item, player, collectionTime, clock.now());
+
+        ctx.reply({
+          type: "collection_started",
+          itemId: item.itemId,
+          collectionTime: collectionTime,
+          startedAt: item.collectionStartedAt,
+          endsAt: item.collectionEndsAt
+        });
+      } else if (item.collectorId !== ctx.playerId) {
+        ctx.reply({
+          type: "collection_error",
+          message: `${item.collectorName || "Another player"} is already collecting this item`,
+          collectorId: item.collectorId,
+          progress: getCollectionProgress(item, clock.now())
+        });
+      }
+    }
+  });
+
+  dispatcher.register("cancel_collection", {
+    description: "Stop collecting an item",
+    schema: payload({ itemId: id('World item being collected') }, ['itemId']),
+    handle: (ctx, data) => {
+      const item = game.worldItems.find(worldItem => worldItem.itemId === data.itemId && worldItem.collectorId === ctx.playerId);
+      if (item) {
+        game.interruptCollection(item, InterruptReasons.CANCELED);
+      }
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,296 @@
+// Combat handlers - attacking players and monsters, and healing players
+// Damage and healing are worked out here from items and stats - the client never names an amount.
+const { getItemTemplate, getItemName } = require('../models/items');
+const { findItem, removeItem, equipItem, wearEquipment } = require('../models/inventory');
+const { isAlive, getWeaponCooldown, calculateDamage } = require('../models/combat');
+const { getStatusEffect, applyOnHitEffects } = require('../models/effects');
+const { XP_REWARDS, getMaxHp, getHealAmount } = require('../models/progression');
+const { areAllies } = require('../models/parties');
+const { getMonsterTemplate } = require('../models/monsters');
+const { InterruptReasons } = require('../models/collection');
+const { AchievementEvents } = require('../models/achievements');
+const { distance } = require('../lib/geo');
+const { id, payload } = require('./common');
+
+// Earliest time each player may attack again (playerId -> timestamp)
+const attackCooldowns = new Map();
+
+// The weapon an attack would use - the named one if it is still in the inventory
+// and not broken, otherwise whatever is already equipped
+const chooseWeapon = (attacker, weaponId) => {
+  const namedWeapon = findItem(attacker, weaponId);
+  if (namedWeapon && getItemTemplate(namedWeapon).type === 'weapon' && namedWeapon.durability !== 0) {
+    return namedWeapon;
+  }
+  return attacker.equipment.weapon;
+};
+
+// Equip the chosen weapon once nothing can stop the attack, so a failed one leaves gear alone
+// Returns the weapon the attacker ends up holding
+const readyWeapon = (attacker, weapon) => {
+  if (weapon !== attacker.equipment.weapon) {
+    equipItem(attacker, weapon.itemId);
+  }
+  return attacker.equipment.weapon;
+};
+
+// Weapon to attack with, in a schema
+const WEAPON_ID = { ...id('Weapon to equip before attacking'), type: ['string', 'null'] };
+
+function register(dispatcher, game) {
+  const { players, clock, constants } = game;
+
+  dispatcher.register("attack_player", {
+    description: "Attack a nearby player with the equipped weapon, or the named one",
+    schema: payload({
+      targetPlayerId: id('Player to attack'),
+      weaponId: WEAPON_ID
+    }, ['targetPlayerId']),
+    guards: ["alive", "notStunned"],
+    handle: (ctx, data) => {
+      const playerId = ctx.playerId;
+      const targetPlayerId = data.targetPlayerId;
+      const attacker = players[playerId];
+      const defender = players[targetPlayerId];
+      const fail = (message, extra = {}) => ctx.reply({ type: "attack_failed", message: message, ...extra });
+
+      const chosenWeapon = chooseWeapon(attacker, data.weaponId);
+      const attackReadyAt = attackCooldowns.get(playerId) || 0;
+
+      if (!defender || targetPlayerId === playerId) {
+        return fail("Target player not found!");
+      }
+      // Players waiting out their reconnect grace period can't be hurt or looted
+      if (defender.online === false) {
+        return fail(`${defender.name} is offline!`);
+      }
+      if (!chosenWeapon) {
+        return fail("You don't have a weapon equipped!");
+      }
+      if (areAllies(playerId, targetPlayerId)) {
+        return fail(`${defender.name} is in your party!`);
+      }
+      if (!isAlive(defender)) {
+        return fail(`${defender.name} is already knocked out!`);
+      }
+      if (clock.now() < attackReadyAt) {
+        return fail("Your weapon isn't ready yet!", { cooldownRemaining: attackReadyAt - clock.now() });
+      }
+      if (distance(attacker.position, defender.position) > constants.COMBAT_RANGE) {
+        return fail("Target is too far away to attack!");
+      }
+
+      const weapon = readyWeapon(attacker, chosenWeapon);
+      const cooldown = getWeaponCooldown(weapon);
+      attackCooldowns.set(playerId, clock.now() + cooldown);
+
+      const hit = calculateDamage(attacker, defender, weapon, clock.now());
+      defender.hp = Math.max(0, defender.hp - hit.damage);
+      game.interruptCollections(targetPlayerId, InterruptReasons.DAMAGED);
+
+      ctx.reply({
+        type: "attack_success",
+        message: `You hit ${defender.name} for ${hit.damage} damage${hit.critical ? " (critical!)" : ""}!`,
+        targetName: defender.name,
+        damage: hit.damage,
+        critical: hit.critical,
+        cooldown: cooldown
+      });
+
+      game.sendToPlayer(targetPlayerId, {
+        type: "attacked",
+        message: `You were attacked by ${attacker.name} for ${hit.damage} damage!`,
+        attackerName: attacker.name,
+        damage: hit.damage,
+        currentHP: defender.hp
+      });
+
+      game.sendCombatLog({
+        event: "hit",
+        attackerId: playerId,
+        attackerName: attacker.name,
+        targetId: targetPlayerId,
+        targetName: defender.name,
+        weaponName: getItemName(weapon),
+        damage: hit.damage,
+        blocked: hit.blocked,
+        critical: hit.critical,
+        targetHP: defender.hp,
+        message: `${attacker.name} hit ${defender.name} with ${getItemName(weapon)} for ${hit.damage} damage`
+      });
+
+      // Every hit wears down the weapon and the defender's armor
+      const brokenWeapon = wearEquipment(attacker, "weapon");
+      if (brokenWeapon) {
+        game.sendInventory(playerId, `Your ${getItemName(brokenWeapon)} broke!`);
+      }
+      const brokenArmor = wearEquipment(defender, "armor");
+      if (brokenArmor) {
+        game.sendInventory(targetPlayerId, `Your ${getItemName(brokenArmor)} broke!`);
+      }
+
+      game.grantXp(playerId, XP_REWARDS.attackHit, "attack");
+
+      if (defender.hp === 0) {
+        game.knockOutPlayer(targetPlayerId, playerId);
+        return;
+      }
+
+      // Poisoned blades and the like may leave something behind
+      applyOnHitEffects(attacker, defender, weapon, clock.now()).forEach(effect => {
+        game.sendCombatLog({
+          event: "effect",
+          attackerId: playerId,
+          attackerName: attacker.name,
+          targetId: targetPlayerId,
+          targetName: defender.name,
+          effectId: effect.id,
+          stacks: effect.stacks,
+          message: `${defender.name} is affected by ${getStatusEffect(effect.id).name}${effect.stacks > 1 ? ` x${effect.stacks}` : ""}`
+        });
+      });
+    }
+  });
+
+  dispatcher.register("attack_monster", {
+    description: "Attack a nearby monster with the equipped weapon, or the named one",
+    schema: payload({
+      monsterId: id('Monster to attack'),
+      weaponId: WEAPON_ID
+    }, ['monsterId']),
+    guards: ["alive", "notStunned"],
+    handle: (ctx, data) => {
+      const playerId = ctx.playerId;
+      const attacker = players[playerId];
+      const monster = game.monsters.get(data.monsterId);
+      const fail = (message, extra = {}) => ctx.reply({ type: "attack_failed", message: message, ...extra });
+
+      const chosenWeapon = chooseWeapon(attacker, data.weaponId);
+      const attackReadyAt = attackCooldowns.get(playerId) || 0;
+
+      if (!monster) {
+        return fail("That monster is gone!");
+      }
+      if (!chosenWeapon) {
+        return fail("You don't have a weapon equipped!");
+      }
+      if (clock.now() < attackReadyAt) {
+        return fail("Your weapon isn't ready yet!", { cooldownRemaining: attackReadyAt - clock.now() });
+      }
+      if (distance(attacker.position, monster.position) > constants.COMBAT_RANGE) {
+        return fail("Monster is too far away to attack!");
+      }
+
+      const weapon = readyWeapon(attacker, chosenWeapon);
+      const cooldown = getWeaponCooldown(weapon);
+      attackCooldowns.set(playerId, clock.now() + cooldown);
+
+      // Monsters wear no armor, so nothing is blocked
+      const template = getMonsterTemplate(monster);
+      const hit = calculateDamage(attacker, {}, weapon, clock.now());
+      const killed = game.monsters.damage(monster, playerId, hit.damage);
+
+      ctx.reply({
+        type: "attack_success",
+        message: `You hit the ${template.name} for ${hit.damage} damage${hit.critical ? " (critical!)" : ""}!`,
+        targetName: template.name,
+        monsterId: monster.monsterId,
+        damage: hit.damage,
+        critical: hit.critical,
+        cooldown: cooldown
+      });
+
+      game.sendCombatLog({
+        event: "hit",
+        attackerId: playerId,
+        attackerName: attacker.name,
+        monsterId: monster.monsterId,
+        targetName: template.name,
+        weaponName: getItemName(weapon),
+        damage: hit.damage,
+        critical: hit.critical,
+        targetHP: monster.hp,
+        message: `${attacker.name} hit the ${template.name} with ${getItemName(weapon)} for ${hit.damage} damage`
+      });
+
+      const brokenWeapon = wearEquipment(attacker, "weapon");
+      if (brokenWeapon) {
+        game.sendInventory(playerId, `Your ${getItemName(brokenWeapon)} broke!`);
+      }
+
+      game.grantXp(playerId, XP_REWARDS.attackHit, "attack");
+      if (killed) {
+        game.killMonster(monster, playerId);
+      }
+    }
+  });
+
+  dispatcher.register("heal_player", {
+    description: "Use a healing item on a nearby player, or yourself",
+    schema: payload({
+      targetPlayerId: id('Player to heal'),
+      itemId: id('Healing item to use')
+    }, ['targetPlayerId', 'itemId']),
+    guards: ["alive", "notStunned"],
+    handle: (ctx, data) => {
+      const healer = players[ctx.playerId];
+      const target = players[data.targetPlayerId];
+      const fail = (message) => ctx.reply({ type: "heal_failed", message: message });
+
+      if (!target) {
+        return fail("Target player not found!");
+      }
+      if (target.online === false) {
+        return fail(`${target.name} is offline!`);
+      }
+      if (!isAlive(target)) {
+        return fail(`${target.name} is knocked out and can't be healed!`);
+      }
+      const template = getItemTemplate(findItem(healer, data.itemId));
+      if (!template || template.type !== 'consumable') {
+        return fail("Healing item not found in your inventory!");
+      }
+      // Tonics and potions that work through status effects are used from the inventory
+      if (!(template.stats.heal > 0)) {
+        return fail(`${template.name} doesn't heal - use it from your inventory instead`);
+      }
+      if (distance(healer.position, target.position) > constants.COMBAT_RANGE) {
+        return fail("Target is too far away to heal!");
+      }
+
+      // Healing is boosted by the healer's intelligence
+      const healAmount = getHealAmount(healer, template.stats.heal);
+      const previousHP = target.hp;
+      target.hp = Math.min(getMaxHp(target), previousHP + healAmount);
+
+      // Healing others earns XP for the health actually restored
+      if (target.id !== healer.id) {
+        game.grantXp(healer.id, (target.hp - previousHP) * XP_REWARDS.healPerPoint, "heal");
+      }
+
+      // One healing item from the stack is used up
+      removeItem(healer, data.itemId, 1);
+
+      ctx.reply({
+        type: "heal_success",
+        message: `You healed ${target.name} for ${healAmount} health!`,
+        targetName: target.name,
+        healAmount: healAmount
+      });
+
+      game.sendToPlayer(target.id, {
+        type: "healed",
+        message: `You were healed by ${healer.name} for ${healAmount} health!`,
+        healerName: healer.name,
+        healAmount: healAmount,
+        currentHP: target.hp
+      });
+
+      game.trackAchievements(healer.id, { type: AchievementEvents.HEAL, amount: target.hp - previousHP });
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,40 @@
+// Pieces shared by the message handlers - schema fragments and player lookups
+
+// Schema for an id naming a player, item, trade, NPC and so on
+// Item ids are their template id plus a uuid, so there is room for both
+const id = (description) => ({ type: 'string', minLength: 1, maxLength: 128, description: description });
+
+// Schema for a message with the given payload fields
+const payload = (properties = {}, required = []) => ({ type: 'object', properties: properties, required: required });
+
+const position = (description) => ({
+  ...payload({
+    lat: { type: 'number', description: 'Latitude in degrees' },
+    lng: { type: 'number', description: 'Longitude in degrees' }
+  }, ['lat', 'lng']),
+  description: description
+});
+
+// Messages aimed at another player name them by id or by name
+const TARGET_FIELDS = {
+  targetPlayerId: id('Player id of the target'),
+  targetName: { type: 'string', maxLength: 64, description: 'Name of the target, if no id is given' }
+};
+
+// Find an online player by id or by name
+const findOnlinePlayer = (players, { targetPlayerId, targetName }) => {
+  if (targetPlayerId) {
+    const target = players[targetPlayerId];
+    return target && target.online !== false ? target : null;
+  }
+  const name = String(targetName || '').toLowerCase();
+  return Object.values(players).find(p => p.online !== false && p.name.toLowerCase() === name) || null;
+};
+
+module.exports = {
+  TARGET_FIELDS,
+  id,
+  payload,
+  position,
+  findOnlinePlayer
+};
@@ -0,0 +1,38 @@
+// Crafting handlers - starting and cancelling crafts
+// Crafting runs on a timer like collecting - the game loop finishes the craft
+// and uses up the ingredients once its time is up.
+const { CraftingError, getRecipe, startCrafting, cancelCrafting } = require('../models/crafting');
+const { id, payload } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+
+  dispatcher.register("craft_item", {
+    description: "Start crafting a recipe",
+    schema: payload({ recipeId: id('Recipe to craft') }, ['recipeId']),
+    guards: ["alive"],
+    failure: { error: CraftingError, reply: "crafting_failed" },
+    handle: (ctx, data) => {
+      const craft = startCrafting(players[ctx.playerId], data.recipeId, clock.now());
+      const recipe = getRecipe(craft.recipeId);
+      ctx.reply({
+        type: "crafting_started",
+        recipeId: recipe.id,
+        craftTime: recipe.craftTime
+      });
+    }
+  });
+
+  dispatcher.register("cancel_craft", {
+    description: "Stop crafting - nothing is used up",
+    handle: (ctx) => {
+      if (cancelCrafting(ctx.playerId)) {
+        ctx.reply({ type: "crafting_canceled", message: "You stopped crafting" });
+      }
+    }
+  });
+}
+
+module.exports = {
+  register
+};
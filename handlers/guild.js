@@ -0,0 +1,117 @@
+// Guild handlers - founding, invites, ranks and membership
+const {
+  GuildError,
+  createGuild,
+  inviteToGuild,
+  acceptGuildInvite,
+  declineGuildInvite,
+  leaveGuild,
+  kickFromGuild,
+  changeGuildRank,
+  toGuildView
+} = require('../models/guilds');
+const { loadPlayerRecord } = require('../models/accounts');
+const { TARGET_FIELDS, id, payload, findOnlinePlayer } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+  const failure = { error: GuildError, reply: "guild_failed" };
+
+  // Send every online guild member the guild's current state
+  const notifyGuild = (guild, message) => {
+    const view = toGuildView(guild, players);
+    Object.keys(guild.members).forEach(memberId => game.sendToPlayer(memberId, { type: "guild_update", guild: view, message: message }));
+  };
+
+  dispatcher.register("guild_create", {
+    description: "Found a guild and become its leader",
+    schema: payload({ name: { type: 'string', description: 'Guild name' } }, ['name']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const guild = createGuild(players[ctx.playerId], data.name, clock.now());
+      notifyGuild(guild, `You founded ${guild.name}`);
+    }
+  });
+
+  dispatcher.register("guild_invite", {
+    description: "Invite an online player to your guild",
+    schema: payload(TARGET_FIELDS),
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const target = findOnlinePlayer(players, data);
+      if (!target) {
+        throw new GuildError("That player is not online");
+      }
+      const guild = inviteToGuild(player, target, clock.now());
+      game.sendToPlayer(target.id, {
+        type: "guild_invited",
+        guildId: guild.id,
+        guildName: guild.name,
+        inviterName: player.name
+      });
+      ctx.reply({ type: "guild_update", guild: toGuildView(guild, players), message: `You invited ${target.name} to ${guild.name}` });
+    }
+  });
+
+  dispatcher.register("guild_accept", {
+    description: "Join the guild you were last invited to",
+    failure: failure,
+    handle: (ctx) => {
+      const player = players[ctx.playerId];
+      const guild = acceptGuildInvite(player, clock.now());
+      notifyGuild(guild, `${player.name} joined ${guild.name}`);
+    }
+  });
+
+  dispatcher.register("guild_decline", {
+    description: "Turn down a guild invite",
+    failure: failure,
+    handle: (ctx) => declineGuildInvite(ctx.playerId)
+  });
+
+  dispatcher.register("guild_leave", {
+    description: "Leave your guild - a leader leaving alone disbands it",
+    failure: failure,
+    handle: (ctx) => {
+      const player = players[ctx.playerId];
+      const { guild, disbanded } = leaveGuild(player);
+      ctx.reply({ type: "guild_update", guild: null, message: `You left ${guild.name}` });
+      if (!disbanded) {
+        notifyGuild(guild, `${player.name} left the guild`);
+      }
+    }
+  });
+
+  dispatcher.register("guild_kick", {
+    description: "Remove a member from your guild",
+    schema: payload({ targetPlayerId: id('Member to remove') }, ['targetPlayerId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const guild = kickFromGuild(players[ctx.playerId], data.targetPlayerId);
+      const target = players[data.targetPlayerId] || loadPlayerRecord(data.targetPlayerId);
+      if (target) {
+        target.guildId = null;
+      }
+      game.sendToPlayer(data.targetPlayerId, { type: "guild_update", guild: null, message: `You were removed from ${guild.name}` });
+      notifyGuild(guild, `${target ? target.name : "A member"} was removed from the guild`);
+    }
+  });
+
+  ["promote", "demote"].forEach(direction => {
+    dispatcher.register(`guild_${direction}`, {
+      description: direction === "promote" ? "Make a member an officer" : "Make an officer a member again",
+      schema: payload({ targetPlayerId: id(`Member to ${direction}`) }, ['targetPlayerId']),
+      failure: failure,
+      handle: (ctx, data) => {
+        const guild = changeGuildRank(players[ctx.playerId], data.targetPlayerId, direction);
+        const member = guild.members[data.targetPlayerId];
+        notifyGuild(guild, `${member.name} is now ${member.rank === "officer" ? "an officer" : "a member"}`);
+      }
+    });
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,47 @@
+// Client message handlers, one module per area of the game
+// Each module registers its message types - schema, guards and handler - on
+// the dispatcher. Handlers get the shared game state and helpers through the
+// game object server.js builds. Changing what a message means, or removing one,
+// needs a new protocol version.
+const { Dispatcher } = require('../lib/dispatcher');
+
+const PROTOCOL_VERSION = 1;
+const SUPPORTED_PROTOCOL_VERSIONS = [1];
+
+const HANDLER_MODULES = [
+  require('./world'),
+  require('./collection'),
+  require('./items'),
+  require('./inventory'),
+  require('./combat'),
+  require('./trade'),
+  require('./quests'),
+  require('./shop'),
+  require('./crafting'),
+  require('./chat'),
+  require('./party'),
+  require('./guild'),
+  require('./profile'),
+  require('./leaderboards')
+];
+
+// Build a dispatcher with every handler registered
+// guards: name -> check(ctx) for the guards handlers ask for
+// options: anything else the Dispatcher takes, like maxMessageBytes
+function createDispatcher(game, guards, options = {}) {
+  const dispatcher = new Dispatcher({
+    ...options,
+    send: game.send,
+    version: PROTOCOL_VERSION,
+    supportedVersions: SUPPORTED_PROTOCOL_VERSIONS
+  });
+  Object.entries(guards).forEach(([name, check]) => dispatcher.addGuard(name, check));
+  HANDLER_MODULES.forEach(handlers => handlers.register(dispatcher, game));
+  return dispatcher;
+}
+
+module.exports = {
+  PROTOCOL_VERSION,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createDispatcher
+};
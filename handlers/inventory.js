@@ -0,0 +1,68 @@
+// Inventory handlers - rearranging slots and equipping or unequipping items
+const { getItemName } = require('../models/items');
+const { EQUIPMENT_SLOTS, InventoryError, moveItem, splitStack, equipItem, unequipItem } = require('../models/inventory');
+const { id, payload } = require('./common');
+
+const SLOT = { type: 'integer', minimum: 0, description: 'Inventory slot index' };
+
+// Equip an item and tell the player what they swapped out
+const equip = (game, playerId, itemId) => {
+  const { item, previous } = equipItem(game.players[playerId], itemId);
+  game.sendInventory(playerId, previous
+    ? `You swapped your ${getItemName(previous)} for ${getItemName(item)}!`
+    : `You equipped your ${getItemName(item)}!`);
+};
+
+function register(dispatcher, game) {
+  const { players } = game;
+  const failure = { error: InventoryError, reply: "inventory_failed" };
+
+  dispatcher.register("inventory_move", {
+    description: "Move a stack to another slot, merging or swapping with whatever is there",
+    schema: payload({ itemId: id('Inventory item to move'), slot: SLOT }, ['itemId', 'slot']),
+    failure: failure,
+    handle: (ctx, data) => {
+      moveItem(players[ctx.playerId], data.itemId, data.slot);
+      game.sendInventory(ctx.playerId);
+    }
+  });
+
+  dispatcher.register("inventory_split", {
+    description: "Split part of a stack off into a free slot",
+    schema: payload({
+      itemId: id('Inventory stack to split'),
+      quantity: { type: 'integer', minimum: 1, description: 'How many to split off' },
+      slot: SLOT
+    }, ['itemId', 'quantity']),
+    failure: failure,
+    handle: (ctx, data) => {
+      splitStack(players[ctx.playerId], data.itemId, data.quantity, data.slot === undefined ? null : data.slot);
+      game.sendInventory(ctx.playerId);
+    }
+  });
+
+  dispatcher.register("equip_item", {
+    description: "Equip a weapon, armor or accessory from the inventory",
+    schema: payload({ itemId: id('Inventory item to equip') }, ['itemId']),
+    guards: ["alive", "notStunned"],
+    failure: failure,
+    handle: (ctx, data) => equip(game, ctx.playerId, data.itemId)
+  });
+
+  dispatcher.register("unequip_item", {
+    description: "Move an equipped item back into the inventory",
+    schema: payload({
+      slot: { type: 'string', enum: Object.values(EQUIPMENT_SLOTS), description: 'Equipment slot to empty' }
+    }, ['slot']),
+    guards: ["alive", "notStunned"],
+    failure: failure,
+    handle: (ctx, data) => {
+      game.sendInventory(ctx.playerId, `You unequipped your ${getItemName(unequipItem(players[ctx.playerId], data.slot))}.`);
+    }
+  });
+}
+
+module.exports = {
+  equip,
+  register
+};
@@ -0,0 +1,129 @@
+// Item handlers - using and dropping what's in the inventory
+const { getItemTemplate, getItemName } = require('../models/items');
+const { InventoryError, findItem, removeItem, toWorldItem } = require('../models/inventory');
+const { getMaxHp, getHealAmount } = require('../models/progression');
+const { getStatusEffect, applyItemEffects } = require('../models/effects');
+const { id, payload } = require('./common');
+const { equip } = require('./inventory');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+
+  dispatcher.register("use_item", {
+    description: "Use an inventory item - drink a potion, ready a weapon or put on armor",
+    schema: payload({ itemId: id('Inventory or equipped item to use') }, ['itemId']),
+    guards: ["alive", "notStunned"],
+    failure: { error: InventoryError, reply: "inventory_failed" },
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const item = findItem(player, data.itemId);
+      const template = getItemTemplate(item);
+      const equippedWeapon = player.equipment.weapon;
+
+      if (!item && equippedWeapon && equippedWeapon.itemId === data.itemId) {
+        // Already-equipped weapon - just ready it again
+        ctx.reply({
+          type: "weapon_ready",
+          message: `You ready your ${getItemName(equippedWeapon)}. Click on a player to attack!`,
+          weaponId: equippedWeapon.itemId
+        });
+        return;
+      }
+      if (!template) return;
+
+      const itemName = getItemName(item);
+      if (template.type === 'consumable') {
+        // Health potions or other consumables - one from the stack
+        if (template.stats.heal) {
+          // Intelligence boosts a potion drunk yourself just like one used on someone else
+          const healAmount = getHealAmount(player, template.stats.heal);
+          player.hp = Math.min(getMaxHp(player), player.hp + healAmount);
+          removeItem(player, data.itemId, 1);
+
+          ctx.reply({
+            type: "item_used",
+            message: `You used ${itemName} and gained ${healAmount} health!`,
+            newHP: player.hp,
+            actionType: "heal",
+            amount: healAmount
+          });
+        } else if (template.effects.length > 0) {
+          // Potions that work over time
+          const applied = applyItemEffects(player, item, clock.now());
+          removeItem(player, data.itemId, 1);
+
+          ctx.reply({
+            type: "item_used",
+            message: `You used ${itemName}: ${applied.map(effect => getStatusEffect(effect.id).name).join(", ") || "nothing happened"}`,
+            actionType: "effect",
+            effects: applied.map(effect => effect.id)
+          });
+        }
+      } else if (template.type === 'weapon') {
+        // Weapons - equip and put player in "attack mode" to select a target
+        // The actual attack will be handled by the "attack_player" message
+        equip(game, ctx.playerId, data.itemId);
+        ctx.reply({
+          type: "weapon_ready",
+          message: `You ready your ${itemName}. Click on a player to attack!`,
+          weaponId: data.itemId
+        });
+      } else if (template.type === 'armor' || template.type === 'accessory') {
+        // Worn items go into their slot, swapping out anything already there
+        equip(game, ctx.playerId, data.itemId);
+      } else if (template.type === 'material') {
+        // Materials stay in the inventory until a recipe uses them
+        ctx.reply({
+          type: "item_used",
+          message: `${itemName} is a crafting material - open the crafting panel to use it`,
+          actionType: "none"
+        });
+      } else {
+        // Generic item use - one from the stack
+        removeItem(player, data.itemId, 1);
+        ctx.reply({
+          type: "item_used",
+          message: `You used ${itemName}!`,
+          actionType: "generic"
+        });
+      }
+    }
+  });
+
+  dispatcher.register("drop_item", {
+    description: "Drop a stack, or part of one, where the player stands",
+    schema: payload({
+      itemId: id('Inventory item to drop'),
+      quantity: { type: 'integer', minimum: 1, description: 'How many to drop - the whole stack if left out' }
+    }, ['itemId']),
+    guards: ["alive"],
+    failure: { error: InventoryError, reply: "inventory_failed" },
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      if (!findItem(player, data.itemId)) return;
+
+      const dropped = removeItem(player, data.itemId, data.quantity === undefined ? null : data.quantity);
+
+      // The item lies where the player stood
+      game.worldItems.push(toWorldItem(dropped, {
+        position: player.position,
+        collectionTime: 1000, // Allow quick pickup
+        expiresAt: game.spawnManager.dropExpiry(clock.now()),
+        spawnZone: null,
+        beingCollected: false,
+        collectorId: null
+      }));
+
+      const droppedName = `${dropped.quantity > 1 ? `${dropped.quantity}x ` : ""}${getItemName(dropped)}`;
+      ctx.reply({
+        type: "item_dropped",
+        message: `You dropped ${droppedName}.`,
+        itemName: droppedName
+      });
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,28 @@
+// Leaderboard handlers - the same boards GET /api/leaderboards/:board serves
+const { Leaderboards, LeaderboardWindows } = require('../models/leaderboards');
+const { payload } = require('./common');
+
+function register(dispatcher, game) {
+  dispatcher.register("get_leaderboard", {
+    description: "See the top players on a leaderboard and where you stand",
+    schema: payload({
+      board: { type: 'string', enum: Object.values(Leaderboards), description: 'What players are ranked by' },
+      window: { type: 'string', enum: Object.values(LeaderboardWindows), description: 'Period to rank - defaults to all_time' },
+      limit: { type: 'integer', minimum: 1, maximum: 100, description: 'How many players to list - defaults to 10' }
+    }, ['board']),
+    handle: (ctx, data) => {
+      const leaderboard = game.rankPlayers(data.board, data.window || LeaderboardWindows.ALL_TIME, data.limit);
+      ctx.reply({
+        type: "leaderboard",
+        board: leaderboard.board,
+        window: leaderboard.window,
+        entries: leaderboard.entries,
+        yourRank: leaderboard.rankOf(ctx.playerId)
+      });
+    }
+  });
+}
+
+module.exports = {
+  register
+};
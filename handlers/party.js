@@ -0,0 +1,82 @@
+// Party handlers - inviting, joining, leaving and kicking
+const {
+  PartyError,
+  inviteToParty,
+  acceptPartyInvite,
+  declinePartyInvite,
+  leaveParty,
+  kickFromParty
+} = require('../models/parties');
+const { TARGET_FIELDS, id, payload, findOnlinePlayer } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+  const failure = { error: PartyError, reply: "party_failed" };
+
+  dispatcher.register("party_invite", {
+    description: "Invite an online player to your party, starting one if you aren't in one",
+    schema: payload(TARGET_FIELDS),
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const target = findOnlinePlayer(players, data);
+      if (!target) {
+        throw new PartyError("That player is not online");
+      }
+      const party = inviteToParty(player, target, clock.now());
+      game.sendToPlayer(target.id, {
+        type: "party_invited",
+        partyId: party.id,
+        inviterId: ctx.playerId,
+        inviterName: player.name
+      });
+      game.notifyParty(party, `You invited ${target.name} to your party`);
+    }
+  });
+
+  dispatcher.register("party_accept", {
+    description: "Join the party you were last invited to",
+    failure: failure,
+    handle: (ctx) => {
+      const party = acceptPartyInvite(ctx.playerId, clock.now());
+      game.notifyParty(party, `${players[ctx.playerId].name} joined the party`);
+    }
+  });
+
+  dispatcher.register("party_decline", {
+    description: "Turn down a party invite",
+    failure: failure,
+    handle: (ctx) => {
+      const invite = declinePartyInvite(ctx.playerId);
+      if (invite) {
+        game.sendToPlayer(invite.inviterId, { type: "party_failed", message: `${players[ctx.playerId].name} declined your party invite` });
+      }
+    }
+  });
+
+  dispatcher.register("party_leave", {
+    description: "Leave your party",
+    failure: failure,
+    handle: (ctx) => {
+      const result = leaveParty(ctx.playerId);
+      ctx.reply({ type: "party_update", party: null, message: "You left the party" });
+      game.notifyPartyDeparture(result, `${players[ctx.playerId].name} left the party`);
+    }
+  });
+
+  dispatcher.register("party_kick", {
+    description: "Remove a member from the party you lead",
+    schema: payload({ targetPlayerId: id('Member to remove') }, ['targetPlayerId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const result = kickFromParty(ctx.playerId, data.targetPlayerId);
+      const target = players[data.targetPlayerId];
+      game.sendToPlayer(data.targetPlayerId, { type: "party_update", party: null, message: "You were removed from the party" });
+      game.notifyPartyDeparture(result, `${target ? target.name : "A player"} was removed from the party`);
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,75 @@
+// Profile handlers - stat points, names, avatars and looking at other players
+const { STAT_NAMES, allocateStat } = require('../models/progression');
+const { getAchievementView } = require('../models/achievements');
+const { toPublicPlayer } = require('../lib/worldSync');
+const { id, payload } = require('./common');
+
+function register(dispatcher, game) {
+  const { players } = game;
+
+  dispatcher.register("allocate_stat", {
+    description: "Spend unspent stat points",
+    schema: payload({
+      stat: { type: 'string', enum: STAT_NAMES, description: 'Stat to raise' },
+      points: { type: 'integer', minimum: 1, description: 'How many points - defaults to 1' }
+    }, ['stat']),
+    // Running out of points is the only thing that can go wrong once the payload is valid
+    failure: { error: Error, reply: "action_failed" },
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      allocateStat(player, data.stat, data.points === undefined ? 1 : data.points);
+      ctx.reply({
+        type: "stat_allocated",
+        stat: data.stat,
+        stats: player.stats,
+        statPoints: player.statPoints,
+        maxHp: player.maxHp
+      });
+    }
+  });
+
+  dispatcher.register("view_profile", {
+    description: "Look at a player's profile - anyone in the world can be viewed",
+    schema: payload({ profilePlayerId: id('Player to view') }, ['profilePlayerId']),
+    handle: (ctx, data) => {
+      const profile = players[data.profilePlayerId];
+      if (profile) {
+        ctx.reply({
+          type: "profile_data",
+          // What everyone nearby already sees, plus stats and gear - never the inventory, anchor or chat lists
+          playerProfile: {
+            ...toPublicPlayer(profile),
+            stats: profile.stats,
+            equipment: profile.equipment
+          },
+          achievements: getAchievementView(profile),
+          isOwnProfile: data.profilePlayerId === ctx.playerId
+        });
+      }
+    }
+  });
+
+  dispatcher.register("update_profile", {
+    description: "Change your display name - anything but letters, digits, spaces and dashes is dropped",
+    schema: payload({ name: { type: 'string', maxLength: 100, description: 'New display name' } }),
+    handle: (ctx, data) => {
+      if (data.name) {
+        players[ctx.playerId].name = data.name.replace(/[^\w\s-]/gi, '').substring(0, 20);
+      }
+    }
+  });
+
+  dispatcher.register("update_avatar", {
+    description: "Pick one of the available avatars",
+    schema: payload({ avatar: { type: 'string', maxLength: 500, description: 'Avatar URL from availableAvatars' } }, ['avatar']),
+    handle: (ctx, data) => {
+      if (game.avatars.includes(data.avatar)) {
+        players[ctx.playerId].avatar = data.avatar;
+      }
+    }
+  });
+}
+
+module.exports = {
+  register
+};
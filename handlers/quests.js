@@ -0,0 +1,110 @@
+// Quest handlers - talking to NPCs and accepting, completing or abandoning quests
+// Everything except abandoning happens face to face with the NPC.
+const { createItemFromTemplate } = require('../models/items');
+const { addItems } = require('../models/inventory');
+const { GoldSources, changeGold } = require('../models/economy');
+const { getNpc, isInNpcRange } = require('../models/npcs');
+const {
+  QuestError,
+  getAvailableQuests,
+  getCompletableQuests,
+  acceptQuest,
+  abandonQuest,
+  deliverQuestItems,
+  completeQuest,
+  toQuestView
+} = require('../models/quests');
+const { toShopView } = require('../models/vendors');
+const { id, payload } = require('./common');
+
+const NPC_ID = id('NPC the player is talking to');
+const QUEST_ID = id('Quest the message is about');
+
+// The NPC a player is talking to, if they are standing close enough
+const getNpcInRange = (player, npcId) => {
+  const npc = getNpc(npcId);
+  if (!npc) {
+    throw new QuestError("There is nobody here by that name");
+  }
+  if (!isInNpcRange(player, npc)) {
+    throw new QuestError(`You need to be closer to ${npc.name}`);
+  }
+  return npc;
+};
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+  const failure = { error: QuestError, reply: "quest_failed" };
+
+  // Hand out a quest reward
+  const giveQuestReward = (playerId, reward) => {
+    const player = players[playerId];
+    changeGold(player, reward.gold || 0, GoldSources.QUEST, {}, clock.now());
+    // Rewards are never lost to a full inventory
+    addItems(player, (reward.items || []).map(templateId => createItemFromTemplate(templateId)), { ignoreCapacity: true });
+    game.grantXp(playerId, reward.xp || 0, "quest");
+  };
+
+  dispatcher.register("npc_interact", {
+    description: "Talk to an NPC - hands over quest deliveries and opens their dialog and shop",
+    schema: payload({ npcId: NPC_ID }, ['npcId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const npc = getNpcInRange(player, data.npcId);
+
+      // Talking to an NPC hands over anything they asked to have delivered
+      const delivered = deliverQuestItems(player, npc.id);
+      if (delivered.length > 0) {
+        game.sendQuestJournal(ctx.playerId, `You handed over items for: ${delivered.map(quest => quest.name).join(", ")}`);
+      }
+
+      ctx.reply({
+        type: "npc_dialog",
+        npc: npc,
+        shop: toShopView(npc.id, player, clock.now()),
+        availableQuests: getAvailableQuests(player, npc.id).map(quest => toQuestView(quest)),
+        completableQuests: getCompletableQuests(player, npc.id).map(quest =>
+          toQuestView(quest, player.quests.active[quest.id])
+        )
+      });
+    }
+  });
+
+  dispatcher.register("accept_quest", {
+    description: "Take on a quest an NPC offers",
+    schema: payload({ npcId: NPC_ID, questId: QUEST_ID }, ['npcId', 'questId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const quest = acceptQuest(player, data.questId, getNpcInRange(player, data.npcId).id, clock.now());
+      game.sendQuestJournal(ctx.playerId, `Quest accepted: ${quest.name}`);
+    }
+  });
+
+  dispatcher.register("complete_quest", {
+    description: "Turn in a finished quest for its reward",
+    schema: payload({ npcId: NPC_ID, questId: QUEST_ID }, ['npcId', 'questId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const reward = completeQuest(player, data.questId, getNpcInRange(player, data.npcId).id);
+      giveQuestReward(ctx.playerId, reward);
+      game.sendQuestJournal(ctx.playerId, `Quest complete! You earned ${reward.xp || 0} XP and ${reward.gold || 0} gold.`);
+    }
+  });
+
+  dispatcher.register("abandon_quest", {
+    description: "Give up an active quest",
+    schema: payload({ questId: QUEST_ID }, ['questId']),
+    failure: failure,
+    handle: (ctx, data) => {
+      abandonQuest(players[ctx.playerId], data.questId);
+      game.sendQuestJournal(ctx.playerId, "Quest abandoned");
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,56 @@
+// Shop handlers - buying from and selling to vendors
+const { getItemName } = require('../models/items');
+const { ShopError, buyItem, sellItem, toShopView } = require('../models/vendors');
+const { id, payload } = require('./common');
+
+const QUANTITY = { type: 'integer', minimum: 1, description: 'How many - defaults to 1' };
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+
+  // Tell the player how their shopping went, with the shop as it now stands
+  const sendShopUpdate = (ctx, npcId, message) => {
+    const player = players[ctx.playerId];
+    ctx.reply({
+      type: "shop_update",
+      shop: toShopView(npcId, player, clock.now()),
+      playerGold: player.gold,
+      inventory: player.inventory,
+      message: message
+    });
+  };
+
+  dispatcher.register("shop_buy", {
+    description: "Buy items from a vendor's stock",
+    schema: payload({
+      npcId: id('Vendor to buy from'),
+      templateId: id('Item template to buy'),
+      quantity: QUANTITY
+    }, ['npcId', 'templateId']),
+    guards: ["alive"],
+    failure: { error: ShopError, reply: "shop_failed" },
+    handle: (ctx, data) => {
+      const bought = buyItem(players[ctx.playerId], data.npcId, data.templateId, data.quantity === undefined ? 1 : data.quantity, clock.now());
+      sendShopUpdate(ctx, data.npcId, `You bought ${bought.quantity > 1 ? `${bought.quantity}x ` : ""}${getItemName(bought)}`);
+    }
+  });
+
+  dispatcher.register("shop_sell", {
+    description: "Sell some or all of an inventory stack to a vendor",
+    schema: payload({
+      npcId: id('Vendor to sell to'),
+      itemId: id('Inventory stack to sell from'),
+      quantity: QUANTITY
+    }, ['npcId', 'itemId']),
+    guards: ["alive"],
+    failure: { error: ShopError, reply: "shop_failed" },
+    handle: (ctx, data) => {
+      const { item, price } = sellItem(players[ctx.playerId], data.npcId, data.itemId, data.quantity === undefined ? 1 : data.quantity, clock.now());
+      sendShopUpdate(ctx, data.npcId, `You sold ${item.quantity > 1 ? `${item.quantity}x ` : ""}${getItemName(item)} for ${price} gold`);
+    }
+  });
+}
+
+module.exports = {
+  register
+};
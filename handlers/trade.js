@@ -0,0 +1,108 @@
+// Trade handlers - requesting, offering and confirming trades between players
+const { getItemName } = require('../models/items');
+const {
+  TradeStatus,
+  TradeError,
+  getPlayerTrade,
+  getPartnerId,
+  requestTrade,
+  acceptTrade,
+  setOffer,
+  confirmTrade
+} = require('../models/trading');
+const { id, payload } = require('./common');
+
+const TRADE_ID = id('Trade the message is about');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+  const failure = { error: TradeError, reply: "trade_failed" };
+
+  dispatcher.register("trade_request", {
+    description: "Ask a nearby player to trade",
+    schema: payload({ targetPlayerId: id('Player to trade with') }, ['targetPlayerId']),
+    guards: ["alive"],
+    failure: failure,
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const target = players[data.targetPlayerId];
+      if (!target || target.online === false) {
+        throw new TradeError("That player isn't available to trade");
+      }
+      const trade = requestTrade(player, target, clock.now());
+      game.sendToPlayer(target.id, {
+        type: "trade_requested",
+        tradeId: trade.id,
+        fromPlayerId: ctx.playerId,
+        fromName: player.name,
+        message: `${player.name} wants to trade with you`
+      });
+      game.notifyTrade(trade);
+    }
+  });
+
+  dispatcher.register("trade_accept", {
+    description: "Accept a trade request and open the trade window",
+    schema: payload({ tradeId: TRADE_ID }, ['tradeId']),
+    guards: ["alive"],
+    failure: failure,
+    handle: (ctx, data) => game.notifyTrade(acceptTrade(data.tradeId, ctx.playerId, clock.now()))
+  });
+
+  // Either side can back out of a trade until it completes
+  [["trade_decline", "declined", "Turn down a trade request"], ["trade_cancel", "cancelled", "Back out of a trade"]].forEach(([type, reason, description]) => {
+    dispatcher.register(type, {
+      description: description,
+      schema: payload({ tradeId: TRADE_ID }, ['tradeId']),
+      failure: failure,
+      handle: (ctx, data) => {
+        const trade = getPlayerTrade(ctx.playerId);
+        if (trade && trade.id === data.tradeId) {
+          game.cancelPlayerTrade(ctx.playerId, reason);
+        }
+      }
+    });
+  });
+
+  dispatcher.register("trade_offer", {
+    description: "Replace your offer with these items and gold - clears both confirmations",
+    schema: payload({
+      tradeId: TRADE_ID,
+      itemIds: { type: 'array', items: id('Inventory item to offer'), description: 'Items to offer' },
+      gold: { type: 'integer', minimum: 0, description: 'Gold to offer' }
+    }, ['tradeId']),
+    guards: ["alive"],
+    failure: failure,
+    handle: (ctx, data) => game.notifyTrade(setOffer(data.tradeId, ctx.playerId, data.itemIds || [], data.gold || 0, clock.now()))
+  });
+
+  dispatcher.register("trade_confirm", {
+    description: "Confirm the current offers - the trade completes once both sides confirm",
+    schema: payload({ tradeId: TRADE_ID }, ['tradeId']),
+    guards: ["alive"],
+    failure: failure,
+    handle: (ctx, data) => {
+      const trade = confirmTrade(data.tradeId, ctx.playerId, clock.now());
+      if (trade.status !== TradeStatus.COMPLETED) {
+        game.notifyTrade(trade);
+        return;
+      }
+
+      console.log(`Trade ${trade.id} completed`);
+      Object.keys(trade.sides).forEach(sideId => {
+        const received = trade.sides[getPartnerId(trade, sideId)];
+        game.sendToPlayer(sideId, {
+          type: "trade_completed",
+          tradeId: trade.id,
+          receivedItems: received.items.map(getItemName),
+          receivedGold: received.gold,
+          message: `Trade complete! You received ${received.items.length} item(s) and ${received.gold} gold.`
+        });
+      });
+    }
+  });
+}
+
+module.exports = {
+  register
+};
@@ -0,0 +1,68 @@
+// World handlers - moving around and catching up on missed world updates
+const { checkMovement, recordViolation } = require('../models/movement');
+const { getPlayerTrade, getPartnerId, isInTradeRange } = require('../models/trading');
+const { payload, position } = require('./common');
+
+function register(dispatcher, game) {
+  const { players, clock } = game;
+
+  dispatcher.register("resync_request", {
+    description: "Ask for a full snapshot of everything in view after missing a world_update",
+    schema: payload({
+      lastSeq: { type: ['integer', 'null'], description: 'Sequence number of the last world_update received' }
+    }),
+    handle: (ctx, data) => {
+      console.log(`Resync requested by ${ctx.clientId} after seq ${data.lastSeq}`);
+      game.worldSync.index(players, game.worldItems, game.monsters.list());
+      ctx.reply(game.worldSync.snapshot(ctx.ws.view));
+    }
+  });
+
+  dispatcher.register("update_position", {
+    description: "Move to a position within the movement radius, optionally with a new GPS fix",
+    schema: payload({
+      position: position('Where the player wants to stand'),
+      gpsPosition: position('Where the device says the player is')
+    }, ['position']),
+    guards: ["alive", "notStunned"],
+    handle: (ctx, data) => {
+      const player = players[ctx.playerId];
+      const movement = checkMovement(player, data, clock.now());
+      if (movement.violation) {
+        const { newlyFlagged } = recordViolation(player, movement.violation, data, clock.now());
+        console.warn(`Rejected movement from ${ctx.playerId}: ${movement.violation.reason}`);
+        if (newlyFlagged) {
+          console.warn(`Player ${ctx.playerId} flagged for suspicious movement`);
+        }
+
+        // Rubber-band the client back to where the server has them
+        ctx.reply({
+          type: "position_corrected",
+          position: player.position,
+          anchor: player.anchor,
+          reason: movement.violation.reason,
+          message: movement.violation.message
+        });
+        return;
+      }
+
+      player.position = movement.position;
+      player.anchor = movement.anchor;
+
+      // Walking away from a trading partner cancels the trade
+      const trade = getPlayerTrade(ctx.playerId);
+      if (trade) {
+        const partner = players[getPartnerId(trade, ctx.playerId)];
+        if (!partner || !isInTradeRange(player, partner)) {
+          game.cancelPlayerTrade(ctx.playerId, "distance");
+        }
+      }
+
+      game.advanceQuests(ctx.playerId, { type: "visit", position: player.position });
+    }
+  });
+}
+
+module.exports = {
+  register
+};
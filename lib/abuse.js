@@ -0,0 +1,222 @@
+// Abuse protection for the WebSocket server
+// Holds the connection limits from config/limits.json - message size, rate
+// limits, connections per IP and the heartbeat - and keeps track of clients that
+// break them. Rate limit hits and oversized messages are strikes against the
+// client's IP; enough strikes inside the window bans the IP and the player for
+// a while. Everything refused is counted, so admins can see what is going on.
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./clock');
+const { ConnectionLimiter } = require('./rateLimit');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'limits.json');
+
+const DEFAULT_LIMITS = {
+  maxMessageBytes: 4096,        // bigger messages are refused with an error
+  maxFrameBytes: 65536,         // bigger frames close the connection outright
+  maxConnectionsPerIp: 5,
+  trustProxy: false,            // take the client IP from X-Forwarded-For (only behind a proxy you run)
+  heartbeatIntervalMs: 30000,   // connections that don't answer a ping by the next one are dropped
+  connection: { capacity: 30, refillPerSecond: 15 },
+  messages: {},                 // message type -> { capacity, refillPerSecond }
+  bans: { strikes: 30, windowMs: 60000, durationMs: 5 * 60 * 1000 }
+};
+
+class LimitsConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LimitsConfigError';
+  }
+}
+
+const requirePositive = (value, description) => {
+  if (!(value > 0)) {
+    throw new LimitsConfigError(`${description} must be a positive number`);
+  }
+  return value;
+};
+
+const validateBucket = (bucket, description) => {
+  if (!bucket || typeof bucket !== 'object') {
+    throw new LimitsConfigError(`${description} must be an object with capacity and refillPerSecond`);
+  }
+  requirePositive(bucket.capacity, `${description}.capacity`);
+  requirePositive(bucket.refillPerSecond, `${description}.refillPerSecond`);
+  return { capacity: bucket.capacity, refillPerSecond: bucket.refillPerSecond };
+};
+
+// Check a raw limits config and fill in defaults, throwing a LimitsConfigError on anything invalid
+function validateLimitsConfig(raw = {}) {
+  if (!raw || typeof raw !== 'object') {
+    throw new LimitsConfigError('Limits config must be an object');
+  }
+  const config = {
+    ...DEFAULT_LIMITS,
+    ...raw,
+    bans: { ...DEFAULT_LIMITS.bans, ...(raw.bans || {}) }
+  };
+
+  ['maxMessageBytes', 'maxFrameBytes', 'maxConnectionsPerIp', 'heartbeatIntervalMs'].forEach(key => requirePositive(config[key], key));
+  if (config.maxFrameBytes < config.maxMessageBytes) {
+    throw new LimitsConfigError('maxFrameBytes must be at least maxMessageBytes');
+  }
+  ['strikes', 'windowMs', 'durationMs'].forEach(key => requirePositive(config.bans[key], `bans.${key}`));
+
+  config.connection = validateBucket(config.connection, 'connection');
+  config.messages = Object.fromEntries(Object.entries(config.messages || {})
+    .map(([type, bucket]) => [type, validateBucket(bucket, `messages.${type}`)]));
+  return config;
+}
+
+// Read a limits config file
+function loadLimitsConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new LimitsConfigError(`Could not read limits config ${filePath}: ${error.message}`);
+  }
+  return validateLimitsConfig(raw);
+}
+
+// Ban keys name what is banned - an IP address or a player id
+const ipKey = (ip) => `ip:${ip}`;
+const playerKey = (playerId) => `player:${playerId}`;
+
+class AbuseMonitor {
+  constructor(config = validateLimitsConfig(), clock = systemClock) {
+    this.config = config;
+    this.clock = clock;
+    this.connectionsByIp = new Map(); // ip -> open connections
+    this.strikes = new Map();         // ip -> times of strikes inside the ban window
+    this.bans = new Map();            // ban key -> { key, reason, bannedAt, until }
+    this.metrics = {
+      limitHits: {},            // message type -> messages refused by a rate limit
+      oversizedMessages: 0,
+      refusedConnections: {},   // reason -> connections turned away
+      idleDisconnects: 0,
+      bansIssued: 0
+    };
+  }
+
+  // The client's IP for an incoming connection request
+  getClientIp(req) {
+    const forwarded = this.config.trustProxy ? req.headers['x-forwarded-for'] : null;
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+  }
+
+  // An active ban on a key, if there is one
+  getBan(key) {
+    const ban = this.bans.get(key);
+    if (ban && ban.until <= this.clock.now()) {
+      this.bans.delete(key);
+      return null;
+    }
+    return ban || null;
+  }
+
+  // Count a turned-away connection and say why
+  refuse(reason, message, until = null) {
+    this.metrics.refusedConnections[reason] = (this.metrics.refusedConnections[reason] || 0) + 1;
+    return { reason, message, until };
+  }
+
+  // Why a connection from an IP should be turned away - null to let it in
+  // Returns { reason, message, until }
+  checkConnection(ip) {
+    const ban = this.getBan(ipKey(ip));
+    if (ban) {
+      return this.refuse('banned', 'You are temporarily banned', ban.until);
+    }
+    if ((this.connectionsByIp.get(ip) || 0) >= this.config.maxConnectionsPerIp) {
+      return this.refuse('too_many_connections', `No more than ${this.config.maxConnectionsPerIp} connections are allowed from one address`);
+    }
+    return null;
+  }
+
+  // Why a player should be turned away once we know who is connecting - null to let them in
+  checkPlayer(playerId) {
+    const ban = this.getBan(playerKey(playerId));
+    return ban ? this.refuse('banned', 'You are temporarily banned', ban.until) : null;
+  }
+
+  connected(ip) {
+    this.connectionsByIp.set(ip, (this.connectionsByIp.get(ip) || 0) + 1);
+  }
+
+  disconnected(ip) {
+    const count = (this.connectionsByIp.get(ip) || 0) - 1;
+    if (count > 0) {
+      this.connectionsByIp.set(ip, count);
+    } else {
+      this.connectionsByIp.delete(ip);
+    }
+  }
+
+  // Rate limit buckets for a new connection
+  createLimiter() {
+    return new ConnectionLimiter(this.config, this.clock);
+  }
+
+  recordLimitHit(type) {
+    this.metrics.limitHits[type] = (this.metrics.limitHits[type] || 0) + 1;
+  }
+
+  recordOversized() {
+    this.metrics.oversizedMessages++;
+  }
+
+  recordIdleDisconnect() {
+    this.metrics.idleDisconnects++;
+  }
+
+  // Count a strike against a client - returns the ban if this one tipped it over
+  strike({ ip, playerId }, reason) {
+    const now = this.clock.now();
+    const { strikes, windowMs, durationMs } = this.config.bans;
+    const recent = (this.strikes.get(ip) || []).filter(time => now - time < windowMs);
+    recent.push(now);
+    this.strikes.set(ip, recent);
+    if (recent.length < strikes) return null;
+
+    this.strikes.delete(ip);
+    this.ban(ipKey(ip), durationMs, reason);
+    return { ip, playerId, reason, until: this.ban(playerKey(playerId), durationMs, reason).until };
+  }
+
+  // Ban a key for a while
+  ban(key, durationMs, reason) {
+    const now = this.clock.now();
+    const ban = { key, reason, bannedAt: now, until: now + durationMs };
+    this.bans.set(key, ban);
+    this.metrics.bansIssued++;
+    return ban;
+  }
+
+  unban(key) {
+    return this.bans.delete(key);
+  }
+
+  listBans() {
+    return Array.from(this.bans.keys()).map(key => this.getBan(key)).filter(Boolean);
+  }
+
+  getMetrics() {
+    return {
+      ...this.metrics,
+      openConnections: Array.from(this.connectionsByIp.values()).reduce((sum, count) => sum + count, 0),
+      addresses: this.connectionsByIp.size,
+      activeBans: this.listBans()
+    };
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  LimitsConfigError,
+  AbuseMonitor,
+  validateLimitsConfig,
+  loadLimitsConfig,
+  ipKey,
+  playerKey
+};
@@ -0,0 +1,54 @@
+// Audit log of admin actions
+// Every change an admin makes through the admin API is recorded with who made
+// it, from where and what it touched. Recent entries are kept in memory for the
+// admin page, and every entry is appended as a JSON line to a file so the
+// history survives restarts.
+const fs = require('fs');
+const path = require('path');
+const { systemClock } = require('./clock');
+
+const DEFAULT_AUDIT_FILE = path.join(__dirname, '..', 'data', 'audit.log');
+const MAX_ENTRIES = 1000;
+
+class AuditLog {
+  // filePath is where entries are appended - null keeps them in memory only
+  constructor(filePath = DEFAULT_AUDIT_FILE, clock = systemClock) {
+    this.filePath = filePath;
+    this.clock = clock;
+    this.entries = []; // newest last
+    this.writing = Promise.resolve();
+    if (filePath) {
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    }
+  }
+
+  // Record an admin action - { actor, ip, action, target, details }
+  record({ actor, ip, action, target = null, details = {} }) {
+    const entry = { time: this.clock.now(), actor, ip, action, target, details };
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.splice(0, this.entries.length - MAX_ENTRIES);
+    }
+
+    // Appends are chained so the file keeps the order entries were made in
+    if (this.filePath) {
+      this.writing = this.writing
+        .then(() => fs.promises.appendFile(this.filePath, `${JSON.stringify(entry)}\n`))
+        .catch(error => console.error("Error writing audit log:", error));
+    }
+    return entry;
+  }
+
+  // Recent entries, newest first
+  list({ action = null, target = null, limit = 100 } = {}) {
+    return this.entries
+      .filter(entry => (!action || entry.action === action) && (!target || entry.target === target))
+      .slice(-limit)
+      .reverse();
+  }
+}
+
+module.exports = {
+  DEFAULT_AUDIT_FILE,
+  AuditLog
+};
@@ -0,0 +1,32 @@
+// Clocks for the game loop
+// The server runs on the system clock. A manual clock only moves when told to,
+// so tests can advance time synthetically and step the world deterministically.
+
+const systemClock = {
+  now: () => Date.now()
+};
+
+class ManualClock {
+  constructor(startTime = 0) {
+    this.time = startTime;
+  }
+
+  now() {
+    return this.time;
+  }
+
+  advance(ms) {
+    this.time += ms;
+    return this.time;
+  }
+
+  set(time) {
+    this.time = time;
+    return this.time;
+  }
+}
+
+module.exports = {
+  systemClock,
+  ManualClock
+};
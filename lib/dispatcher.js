@@ -0,0 +1,212 @@
+// Message dispatcher - routes client messages to the handlers registered for them
+// Every client message is a JSON object { type, requestId?, ...payload }. Each
+// type is registered with a schema for its payload and a handler. Messages that
+// don't parse, have no handler or don't match their schema get a typed `error`
+// reply instead; every reply carries the message's requestId so clients can
+// match it to what they sent. A handler can name the domain error it throws and
+// the reply that error becomes (TradeError -> trade_failed), and guards that
+// refuse a message before it reaches the handler (a downed player can't attack).
+// Connections can carry a rate limiter, which is checked before anything else.
+const { validate } = require('./schema');
+
+// Codes sent in { type: 'error' } replies
+const ErrorCodes = {
+  INVALID_JSON: 'invalid_json',                 // the message isn't JSON
+  UNKNOWN_TYPE: 'unknown_type',                 // no handler for the message type
+  INVALID_PAYLOAD: 'invalid_payload',           // the message doesn't match its schema
+  MESSAGE_TOO_LARGE: 'message_too_large',       // the message is over the size limit
+  RATE_LIMITED: 'rate_limited',                 // the client is sending too fast - details say when to retry
+  UNSUPPORTED_PROTOCOL: 'unsupported_protocol', // the client asked for a version we don't speak
+  TOO_MANY_CONNECTIONS: 'too_many_connections', // too many connections from one address
+  BANNED: 'banned',                             // the client is temporarily banned
+  KICKED: 'kicked',                             // an admin disconnected the player
+  INTERNAL_ERROR: 'internal_error'              // the handler failed unexpectedly
+};
+
+class ProtocolError extends Error {
+  constructor(code, message, details = null) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Fields every message may carry, whatever its type
+const ENVELOPE_SCHEMA = {
+  type: 'object',
+  required: ['type'],
+  properties: {
+    type: { type: 'string', maxLength: 64, description: 'Message type' },
+    requestId: { type: ['string', 'integer'], maxLength: 64, description: 'Echoed back on every reply to this message' }
+  }
+};
+
+const EMPTY_SCHEMA = { type: 'object', properties: {} };
+
+// What a request id looks like if the client sent a usable one
+const getRequestId = (data) =>
+  data && (Number.isInteger(data.requestId) || (typeof data.requestId === 'string' && data.requestId.length <= 64))
+    ? data.requestId
+    : undefined;
+
+class Dispatcher {
+  // send(socket, message) delivers replies, version is the protocol spoken,
+  // supportedVersions any older ones clients may still ask for, and
+  // onProtocolError(ctx, error) hears about every error reply sent
+  constructor({ send, version = 1, supportedVersions = [version], maxMessageBytes = Infinity, onProtocolError = null }) {
+    this.send = send;
+    this.version = version;
+    this.supportedVersions = supportedVersions;
+    this.maxMessageBytes = maxMessageBytes;
+    this.onProtocolError = onProtocolError;
+    this.handlers = new Map(); // type -> { description, schema, guards, failure, handle }
+    this.guards = new Map();   // name -> check(ctx), returning a refusal message or null
+  }
+
+  // Register the handler for a message type
+  // spec: { description, schema, guards: [name], failure: { error: ErrorClass, reply: type }, handle(ctx, data) }
+  register(type, { description = '', schema = EMPTY_SCHEMA, guards = [], failure = null, handle }) {
+    if (this.handlers.has(type)) {
+      throw new Error(`Message type ${type} is already registered`);
+    }
+    if (typeof handle !== 'function') {
+      throw new Error(`Message type ${type} needs a handle function`);
+    }
+    const unknownGuard = guards.find(name => !this.guards.has(name));
+    if (unknownGuard) {
+      throw new Error(`Message type ${type} uses unknown guard ${unknownGuard}`);
+    }
+    this.handlers.set(type, { description, schema, guards, failure, handle });
+    return this;
+  }
+
+  // Add a named check handlers can ask for - it returns the message to refuse with, or null to let the message through
+  addGuard(name, check) {
+    this.guards.set(name, check);
+    return this;
+  }
+
+  // Pick the protocol version for a connection - null if we can't speak the one asked for
+  negotiate(requested) {
+    if (requested === null || requested === undefined || requested === '') {
+      return this.version;
+    }
+    const version = Number(requested);
+    return this.supportedVersions.includes(version) ? version : null;
+  }
+
+  // Reply to the message a context was created for, tagged with its request id
+  reply(ctx, message) {
+    this.send(ctx.ws, ctx.requestId === undefined ? message : { ...message, requestId: ctx.requestId });
+  }
+
+  sendError(ctx, error) {
+    this.reply(ctx, {
+      type: 'error',
+      code: error.code,
+      message: error.message,
+      requestType: ctx.type,
+      details: error.details
+    });
+    if (this.onProtocolError) {
+      this.onProtocolError(ctx, error);
+    }
+  }
+
+  // Handle one raw message from a connection ({ ws, playerId, limiter })
+  // Returns true if a handler ran, false if the message was refused
+  dispatch(connection, raw) {
+    const ctx = { ...connection, type: undefined, requestId: undefined };
+    ctx.reply = (message) => this.reply(ctx, message);
+
+    if (Buffer.byteLength(raw) > this.maxMessageBytes) {
+      this.sendError(ctx, new ProtocolError(ErrorCodes.MESSAGE_TOO_LARGE, `Messages can be at most ${this.maxMessageBytes} bytes`));
+      return false;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch (error) {
+      data = undefined;
+    }
+    ctx.type = data && typeof data.type === 'string' ? data.type : undefined;
+    ctx.requestId = getRequestId(data);
+
+    const handler = this.handlers.get(ctx.type);
+    try {
+      // Every message counts against the limits, even ones we can't read
+      const limited = connection.limiter ? connection.limiter.take(ctx.type) : null;
+      if (limited) {
+        throw new ProtocolError(ErrorCodes.RATE_LIMITED, `You are sending ${limited.scope === 'message' ? `${ctx.type} messages ` : ''}too fast`, limited);
+      }
+      if (data === undefined) {
+        throw new ProtocolError(ErrorCodes.INVALID_JSON, 'Message is not valid JSON');
+      }
+
+      const envelopeErrors = validate(ENVELOPE_SCHEMA, data);
+      if (envelopeErrors.length > 0) {
+        throw new ProtocolError(ErrorCodes.INVALID_PAYLOAD, 'Messages must be objects with a type', envelopeErrors);
+      }
+      if (!handler) {
+        throw new ProtocolError(ErrorCodes.UNKNOWN_TYPE, `Unknown message type ${data.type}`);
+      }
+
+      const errors = validate(handler.schema, data);
+      if (errors.length > 0) {
+        throw new ProtocolError(ErrorCodes.INVALID_PAYLOAD, `Invalid ${data.type}: ${errors[0].path} ${errors[0].message}`, errors);
+      }
+
+      for (const name of handler.guards) {
+        const refusal = this.guards.get(name)(ctx);
+        if (refusal) {
+          ctx.reply(refusal);
+          return false;
+        }
+      }
+
+      handler.handle(ctx, data);
+      return true;
+    } catch (error) {
+      if (error instanceof ProtocolError) {
+        this.sendError(ctx, error);
+      } else if (handler && handler.failure && error instanceof handler.failure.error) {
+        ctx.reply({ type: handler.failure.reply, message: error.message });
+      } else {
+        console.error(`Error handling ${ctx.type}:`, error);
+        this.sendError(ctx, new ProtocolError(ErrorCodes.INTERNAL_ERROR, 'Something went wrong handling that message'));
+      }
+      return false;
+    }
+  }
+
+  // Machine-readable description of the protocol, built from the registered schemas
+  describe() {
+    return {
+      version: this.version,
+      supportedVersions: this.supportedVersions,
+      envelope: ENVELOPE_SCHEMA,
+      errors: {
+        reply: 'error',
+        fields: ['code', 'message', 'requestId', 'requestType', 'details'],
+        codes: Object.values(ErrorCodes)
+      },
+      guards: Array.from(this.guards.keys()),
+      messages: Object.fromEntries(Array.from(this.handlers.entries())
+        .sort(([a], [b]) => a.localeCompare(b))
+        .map(([type, { description, schema, guards, failure }]) => [type, {
+          description: description,
+          schema: schema,
+          guards: guards,
+          failureReply: failure ? failure.reply : null
+        }]))
+    };
+  }
+}
+
+module.exports = {
+  ErrorCodes,
+  ProtocolError,
+  Dispatcher
+};
@@ -0,0 +1,75 @@
+// Fixed-rate game loop
+// The simulation is a list of systems - spawning, collection, status effects,
+// broadcasting and so on - run in order once per tick. A system can ask to run
+// less often than every tick. Every system is handed the tick's time from the
+// loop's clock, so a stopped loop with a manual clock can be stepped by hand.
+const { systemClock } = require('./clock');
+
+const DEFAULT_TICK_RATE = 10; // ticks per second
+
+class GameLoop {
+  constructor({ tickRate = DEFAULT_TICK_RATE, clock = systemClock } = {}) {
+    if (!(tickRate > 0)) {
+      throw new Error(`Tick rate must be a positive number, got ${tickRate}`);
+    }
+    this.tickRate = tickRate;
+    this.tickInterval = 1000 / tickRate;
+    this.clock = clock;
+    this.systems = [];
+    this.tickCount = 0;
+    this.timer = null;
+  }
+
+  // update(now, loop) runs every tick, or at most once every interval ms
+  addSystem(name, update, { interval = 0 } = {}) {
+    this.systems.push({ name, update, interval, lastRun: null });
+    return this;
+  }
+
+  now() {
+    return this.clock.now();
+  }
+
+  // Run every system that is due - a failing system is logged and the rest still run
+  tick() {
+    const now = this.clock.now();
+    this.tickCount++;
+
+    this.systems.forEach(system => {
+      if (system.lastRun !== null && now - system.lastRun < system.interval) return;
+      system.lastRun = now;
+      try {
+        system.update(now, this);
+      } catch (error) {
+        console.error(`Error in ${system.name} system:`, error);
+      }
+    });
+    return now;
+  }
+
+  // Run ticks by hand, e.g. while paused or in a test
+  step(count = 1) {
+    for (let i = 0; i < count; i++) {
+      this.tick();
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.tick(), this.tickInterval);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  get running() {
+    return this.timer !== null;
+  }
+}
+
+module.exports = {
+  GameLoop,
+  DEFAULT_TICK_RATE
+};
@@ -0,0 +1,103 @@
+
+// Geodesic helpers shared by the server and the browser client
+// Positions are { lat, lng } in degrees, distances are in meters and bearings in degrees from north.
+// In Node this is a CommonJS module; in the browser it is served at /js/geo.js and sets window.Geo.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.Geo = factory();
+  }
+}(typeof self !== 'undefined' ? self : this, function () {
+  const EARTH_RADIUS = 6371000; // meters, mean radius
+  const METERS_PER_DEGREE_LAT = Math.PI * EARTH_RADIUS / 180;
+
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const toDegrees = (radians) => radians * 180 / Math.PI;
+
+  // Great-circle distance between two positions using the Haversine formula
+  function distance(a, b) {
+    const dLat = toRadians(b.lat - a.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const h = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+      Math.cos(toRadians(a.lat)) * Math.cos(toRadians(b.lat)) *
+      Math.sin(dLng / 2) * Math.sin(dLng / 2);
+    return 2 * EARTH_RADIUS * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  function isWithin(a, b, meters) {
+    return distance(a, b) <= meters;
+  }
+
+  // Initial bearing from a to b
+  function bearing(a, b) {
+    const lat1 = toRadians(a.lat);
+    const lat2 = toRadians(b.lat);
+    const dLng = toRadians(b.lng - a.lng);
+    const y = Math.sin(dLng) * Math.cos(lat2);
+    const x = Math.cos(lat1) * Math.sin(lat2) - Math.sin(lat1) * Math.cos(lat2) * Math.cos(dLng);
+    return (toDegrees(Math.atan2(y, x)) + 360) % 360;
+  }
+
+  // Position reached by travelling a distance along a bearing
+  function destination(origin, bearingDegrees, meters) {
+    const angular = meters / EARTH_RADIUS;
+    const theta = toRadians(bearingDegrees);
+    const lat1 = toRadians(origin.lat);
+    const lng1 = toRadians(origin.lng);
+
+    const lat2 = Math.asin(
+      Math.sin(lat1) * Math.cos(angular) +
+      Math.cos(lat1) * Math.sin(angular) * Math.cos(theta)
+    );
+    const lng2 = lng1 + Math.atan2(
+      Math.sin(theta) * Math.sin(angular) * Math.cos(lat1),
+      Math.cos(angular) - Math.sin(lat1) * Math.sin(lat2)
+    );
+
+    return {
+      lat: toDegrees(lat2),
+      lng: ((toDegrees(lng2) + 540) % 360) - 180
+    };
+  }
+
+  // Uniformly random position within a radius of a center
+  function randomPointWithin(center, meters, random = Math.random) {
+    return destination(center, random() * 360, meters * Math.sqrt(random()));
+  }
+
+  // Ray casting test - polygon points are { lat, lng } in order
+  function pointInPolygon(point, polygon) {
+    let inside = false;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+      const a = polygon[i];
+      const b = polygon[j];
+      const crosses = (a.lat > point.lat) !== (b.lat > point.lat) &&
+        point.lng < (b.lng - a.lng) * (point.lat - a.lat) / (b.lat - a.lat) + a.lng;
+      if (crosses) {
+        inside = !inside;
+      }
+    }
+    return inside;
+  }
+
+  // Degree spans covering a radius around a latitude, for bounding-box lookups
+  function degreeSpan(lat, meters) {
+    const cosLat = Math.max(Math.cos(toRadians(lat)), 1e-6);
+    return {
+      lat: meters / METERS_PER_DEGREE_LAT,
+      lng: meters / (METERS_PER_DEGREE_LAT * cosLat)
+    };
+  }
+
+  return {
+    EARTH_RADIUS,
+    distance,
+    isWithin,
+    bearing,
+    destination,
+    randomPointWithin,
+    pointInPolygon,
+    degreeSpan
+  };
+}));
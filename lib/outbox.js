@@ -0,0 +1,33 @@
+// Outgoing message batching
+// Messages are queued per socket while a tick runs and sent when it ends. A
+// socket with one queued message gets it as it is; several are coalesced into
+// a single { type: 'batch', messages } frame, in the order they were queued.
+
+class Outbox {
+  constructor() {
+    this.queues = new Map(); // socket -> messages waiting to go out
+  }
+
+  queue(socket, message) {
+    if (!this.queues.has(socket)) {
+      this.queues.set(socket, []);
+    }
+    this.queues.get(socket).push(message);
+  }
+
+  flush() {
+    this.queues.forEach((messages, socket) => {
+      if (socket.readyState !== socket.OPEN) return;
+      socket.send(JSON.stringify(messages.length === 1 ? messages[0] : { type: 'batch', messages: messages }));
+    });
+    this.queues.clear();
+  }
+
+  get size() {
+    return this.queues.size;
+  }
+}
+
+module.exports = {
+  Outbox
+};
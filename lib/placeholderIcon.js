@@ -0,0 +1,30 @@
+// Placeholder icons for things that have no image of their own
+// A rounded square in a colour picked from the label, with the label's first
+// letter on it - the same label always gets the same icon.
+
+const COLORS = ['#8d6e63', '#5c6bc0', '#26a69a', '#ef6c00', '#7e57c2', '#43a047', '#d81b60', '#546e7a'];
+
+const escapeXml = (text) => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+
+// Pick a colour from the label so icons look different from each other
+const colorFor = (label) => {
+  let hash = 0;
+  for (const char of String(label)) {
+    hash = (hash * 31 + char.charCodeAt(0)) >>> 0;
+  }
+  return COLORS[hash % COLORS.length];
+};
+
+// An SVG icon for a label, optionally with a border colour
+function renderPlaceholderIcon(label, borderColor = null, size = 64) {
+  const letter = escapeXml((String(label).trim().charAt(0) || '?').toUpperCase());
+  const border = borderColor ? ` stroke="${escapeXml(borderColor)}" stroke-width="4"` : '';
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${size}" height="${size}" viewBox="0 0 64 64">` +
+    `<rect x="2" y="2" width="60" height="60" rx="12" fill="${colorFor(label)}"${border}/>` +
+    `<text x="32" y="43" font-family="sans-serif" font-size="30" font-weight="bold" fill="#fff" text-anchor="middle">${letter}</text>` +
+    `</svg>`;
+}
+
+module.exports = {
+  renderPlaceholderIcon
+};
@@ -0,0 +1,71 @@
+// Token bucket rate limiting
+// A bucket holds up to `capacity` tokens and refills at `refillPerSecond`. Each
+// message takes a token, so a client can burst up to the capacity and then
+// keeps going at the refill rate. Buckets refill lazily from the clock's time
+// whenever they are checked, so idle connections cost nothing.
+
+class TokenBucket {
+  constructor({ capacity, refillPerSecond }, now = Date.now()) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+    this.tokens = capacity;
+    this.refilledAt = now;
+  }
+
+  refill(now) {
+    const elapsed = Math.max(0, now - this.refilledAt) / 1000;
+    this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+    this.refilledAt = now;
+  }
+
+  // Take a token if there is one - returns whether there was
+  take(now = Date.now()) {
+    this.refill(now);
+    if (this.tokens < 1) return false;
+    this.tokens -= 1;
+    return true;
+  }
+
+  // How long until the next token is available, in ms
+  retryAfter(now = Date.now()) {
+    this.refill(now);
+    return this.tokens >= 1 ? 0 : Math.ceil((1 - this.tokens) / this.refillPerSecond * 1000);
+  }
+}
+
+// The buckets for one connection: one shared by every message it sends,
+// plus one per message type that has its own limit
+class ConnectionLimiter {
+  // limits: { connection: { capacity, refillPerSecond }, messages: { type: { capacity, refillPerSecond } } }
+  constructor(limits, clock) {
+    this.limits = limits;
+    this.clock = clock;
+    this.connection = new TokenBucket(limits.connection, clock.now());
+    this.messages = new Map(); // type -> TokenBucket
+  }
+
+  // Spend the tokens a message of this type costs
+  // Returns null if it may go through, otherwise { scope, retryAfter } saying which limit it hit
+  take(type) {
+    const now = this.clock.now();
+    const limit = this.limits.messages[type];
+    if (limit && !this.messages.has(type)) {
+      this.messages.set(type, new TokenBucket(limit, now));
+    }
+    const bucket = this.messages.get(type);
+
+    // A message refused by its own limit doesn't use up the connection's tokens
+    if (bucket && !bucket.take(now)) {
+      return { scope: 'message', retryAfter: bucket.retryAfter(now) };
+    }
+    if (!this.connection.take(now)) {
+      return { scope: 'connection', retryAfter: this.connection.retryAfter(now) };
+    }
+    return null;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  ConnectionLimiter
+};
@@ -0,0 +1,84 @@
+// Message schemas - a small subset of JSON Schema for checking client payloads
+// Supported keywords: type (a name or a list of names, with "integer" for
+// whole numbers), properties, required, enum, minimum, maximum, minLength,
+// maxLength, items, maxItems and description. Unknown properties are allowed,
+// so older clients sending extra fields keep working. Schemas are plain
+// objects, which lets the protocol description hand them out unchanged.
+
+// The JSON type of a value, with arrays and null told apart from objects
+const typeOf = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+};
+
+const matchesType = (value, type) => {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+  return typeOf(value) === type;
+};
+
+// Check data against a schema
+// Returns a list of { path, message }, empty when the data is valid
+function validate(schema, data, path = '') {
+  const errors = [];
+  const at = path || 'payload';
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(data, type))) {
+      errors.push({ path: at, message: `must be ${types.join(' or ')}` });
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(data)) {
+    errors.push({ path: at, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+
+  if (typeof data === 'number') {
+    if (schema.minimum !== undefined && data < schema.minimum) {
+      errors.push({ path: at, message: `must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && data > schema.maximum) {
+      errors.push({ path: at, message: `must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (typeof data === 'string') {
+    if (schema.minLength !== undefined && data.length < schema.minLength) {
+      errors.push({ path: at, message: `must be at least ${schema.minLength} characters` });
+    }
+    if (schema.maxLength !== undefined && data.length > schema.maxLength) {
+      errors.push({ path: at, message: `must be at most ${schema.maxLength} characters` });
+    }
+  }
+
+  if (Array.isArray(data)) {
+    if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+      errors.push({ path: at, message: `must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      data.forEach((item, index) => errors.push(...validate(schema.items, item, `${at}[${index}]`)));
+    }
+  }
+
+  if (typeOf(data) === 'object') {
+    (schema.required || []).forEach(key => {
+      if (data[key] === undefined) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: 'is required' });
+      }
+    });
+    Object.entries(schema.properties || {}).forEach(([key, propertySchema]) => {
+      if (data[key] !== undefined) {
+        errors.push(...validate(propertySchema, data[key], path ? `${path}.${key}` : key));
+      }
+    });
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validate
+};
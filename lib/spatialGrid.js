@@ -0,0 +1,80 @@
+
+// Uniform grid spatial index over lat/lng positions
+// Entities are bucketed into square cells so radius queries only look at nearby cells
+const { distance, degreeSpan } = require('./geo');
+
+const DEFAULT_CELL_SIZE = 0.001; // degrees, roughly 100 meters of latitude
+
+class SpatialGrid {
+  constructor(cellSize = DEFAULT_CELL_SIZE) {
+    this.cellSize = cellSize;
+    this.cells = new Map();     // cell key -> Set of entity ids
+    this.entities = new Map();  // entity id -> { position, key }
+  }
+
+  cellKey(lat, lng) {
+    return `${Math.floor(lat / this.cellSize)}:${Math.floor(lng / this.cellSize)}`;
+  }
+
+  insert(id, position) {
+    if (this.entities.has(id)) {
+      this.remove(id);
+    }
+    if (!position || typeof position.lat !== 'number' || typeof position.lng !== 'number') {
+      return;
+    }
+
+    const key = this.cellKey(position.lat, position.lng);
+    if (!this.cells.has(key)) {
+      this.cells.set(key, new Set());
+    }
+    this.cells.get(key).add(id);
+    this.entities.set(id, { position, key });
+  }
+
+  remove(id) {
+    const entry = this.entities.get(id);
+    if (!entry) return;
+
+    const cell = this.cells.get(entry.key);
+    cell.delete(id);
+    if (cell.size === 0) {
+      this.cells.delete(entry.key);
+    }
+    this.entities.delete(id);
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entities.clear();
+  }
+
+  // Ids of every entity within radius (meters) of a position
+  queryRadius(position, radius) {
+    const results = [];
+    const span = degreeSpan(position.lat, radius);
+    const minLat = Math.floor((position.lat - span.lat) / this.cellSize);
+    const maxLat = Math.floor((position.lat + span.lat) / this.cellSize);
+    const minLng = Math.floor((position.lng - span.lng) / this.cellSize);
+    const maxLng = Math.floor((position.lng + span.lng) / this.cellSize);
+
+    for (let latCell = minLat; latCell <= maxLat; latCell++) {
+      for (let lngCell = minLng; lngCell <= maxLng; lngCell++) {
+        const cell = this.cells.get(`${latCell}:${lngCell}`);
+        if (!cell) continue;
+
+        cell.forEach(id => {
+          if (distance(this.entities.get(id).position, position) <= radius) {
+            results.push(id);
+          }
+        });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  SpatialGrid,
+  DEFAULT_CELL_SIZE
+};
@@ -0,0 +1,175 @@
+
+// Area-of-interest world synchronization
+// Each client only receives the players, items and monsters near it, as a stream
+// of sequenced deltas (added / changed / removed) against what it was last sent.
+const { SpatialGrid } = require('./spatialGrid');
+const { toPublicMonster } = require('../models/monsters');
+
+const VIEW_RADIUS = 500; // meters
+
+// What other players are allowed to see about a player
+const toPublicPlayer = (player) => ({
+  id: player.id,
+  name: player.name,
+  avatar: player.avatar,
+  position: player.position,
+  hp: player.hp,
+  maxHp: player.maxHp,
+  level: player.level,
+  state: player.state,
+  online: player.online,
+  effects: (player.effects || []).map(({ id, stacks, expiresAt }) => ({ id, stacks, expiresAt }))
+});
+
+// Everything a client has been sent so far
+class ClientView {
+  constructor(viewerId) {
+    this.viewerId = viewerId;
+    this.seq = 0;
+    this.players = new Map(); // playerId -> serialized entity last sent
+    this.items = new Map();   // itemId -> serialized entity last sent
+    this.monsters = new Map(); // monsterId -> serialized entity last sent
+  }
+}
+
+const emptyChanges = () => ({ added: [], changed: [], removed: [] });
+
+class WorldSync {
+  // alwaysVisible(viewerId) lists players a viewer sees at any distance (e.g. party members)
+  constructor(viewRadius = VIEW_RADIUS, alwaysVisible = () => []) {
+    this.viewRadius = viewRadius;
+    this.alwaysVisible = alwaysVisible;
+    this.playerGrid = new SpatialGrid();
+    this.itemGrid = new SpatialGrid();
+    this.monsterGrid = new SpatialGrid();
+  }
+
+  // Rebuild the spatial index from the current world state
+  index(players, items, monsters = []) {
+    this.players = players;
+    this.items = new Map(items.map(item => [item.itemId, item]));
+    this.monsters = new Map(monsters.map(monster => [monster.monsterId, monster]));
+    this.serialized = new Map();
+
+    this.playerGrid.clear();
+    Object.values(players).forEach(player => this.playerGrid.insert(player.id, player.position));
+
+    this.itemGrid.clear();
+    items.forEach(item => this.itemGrid.insert(item.itemId, item.position));
+
+    this.monsterGrid.clear();
+    monsters.forEach(monster => this.monsterGrid.insert(monster.monsterId, monster.position));
+  }
+
+  // Serialize each entity once per index pass, no matter how many clients see it
+  serialize(key, build) {
+    if (!this.serialized.has(key)) {
+      this.serialized.set(key, JSON.stringify(build()));
+    }
+    return this.serialized.get(key);
+  }
+
+  // Entities currently visible to a viewer, as id -> serialized entity
+  visibleEntities(viewerId) {
+    const viewer = this.players[viewerId];
+    const visiblePlayers = new Map();
+    const visibleItems = new Map();
+    const visibleMonsters = new Map();
+    if (!viewer) {
+      return { visiblePlayers, visibleItems, visibleMonsters };
+    }
+
+    const nearbyPlayers = this.playerGrid.queryRadius(viewer.position, this.viewRadius);
+    const extraPlayers = this.alwaysVisible(viewerId).filter(id => this.players[id]);
+    new Set([...nearbyPlayers, ...extraPlayers]).forEach(id => {
+      if (id !== viewerId) {
+        visiblePlayers.set(id, this.serialize(`player:${id}`, () => toPublicPlayer(this.players[id])));
+      }
+    });
+
+    // Players always see their own full record
+    visiblePlayers.set(viewerId, this.serialize(`self:${viewerId}`, () => viewer));
+
+    this.itemGrid.queryRadius(viewer.position, this.viewRadius).forEach(itemId => {
+      visibleItems.set(itemId, this.serialize(`item:${itemId}`, () => this.items.get(itemId)));
+    });
+
+    this.monsterGrid.queryRadius(viewer.position, this.viewRadius).forEach(monsterId => {
+      visibleMonsters.set(monsterId, this.serialize(`monster:${monsterId}`, () => toPublicMonster(this.monsters.get(monsterId))));
+    });
+
+    return { visiblePlayers, visibleItems, visibleMonsters };
+  }
+
+  // Compare what the client was last sent with what it should see now
+  diffEntities(sent, visible) {
+    const changes = emptyChanges();
+
+    visible.forEach((json, id) => {
+      if (!sent.has(id)) {
+        changes.added.push(JSON.parse(json));
+      } else if (sent.get(id) !== json) {
+        changes.changed.push(JSON.parse(json));
+      }
+    });
+    sent.forEach((json, id) => {
+      if (!visible.has(id)) {
+        changes.removed.push(id);
+      }
+    });
+
+    return changes;
+  }
+
+  // Build the next world_update delta for a client, or null if nothing changed
+  diff(view) {
+    const { visiblePlayers, visibleItems, visibleMonsters } = this.visibleEntities(view.viewerId);
+    const playerChanges = this.diffEntities(view.players, visiblePlayers);
+    const itemChanges = this.diffEntities(view.items, visibleItems);
+    const monsterChanges = this.diffEntities(view.monsters, visibleMonsters);
+
+    const hasChanges = [playerChanges, itemChanges, monsterChanges].some(changes =>
+      changes.added.length > 0 || changes.changed.length > 0 || changes.removed.length > 0
+    );
+    if (!hasChanges) return null;
+
+    view.players = visiblePlayers;
+    view.items = visibleItems;
+    view.monsters = visibleMonsters;
+    view.seq++;
+
+    return {
+      type: 'world_update',
+      seq: view.seq,
+      players: playerChanges,
+      items: itemChanges,
+      monsters: monsterChanges
+    };
+  }
+
+  // Build a full world_update that replaces everything the client knows
+  snapshot(view) {
+    const { visiblePlayers, visibleItems, visibleMonsters } = this.visibleEntities(view.viewerId);
+
+    view.players = visiblePlayers;
+    view.items = visibleItems;
+    view.monsters = visibleMonsters;
+    view.seq++;
+
+    return {
+      type: 'world_update',
+      seq: view.seq,
+      snapshot: true,
+      players: { ...emptyChanges(), added: Array.from(visiblePlayers.values(), json => JSON.parse(json)) },
+      items: { ...emptyChanges(), added: Array.from(visibleItems.values(), json => JSON.parse(json)) },
+      monsters: { ...emptyChanges(), added: Array.from(visibleMonsters.values(), json => JSON.parse(json)) }
+    };
+  }
+}
+
+module.exports = {
+  VIEW_RADIUS,
+  ClientView,
+  WorldSync,
+  toPublicPlayer
+};
@@ -0,0 +1,163 @@
+
+// Account and session system for persistent players
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+// How long a disconnected player lingers in the world before being removed
+const OFFLINE_GRACE_PERIOD = 2 * 60 * 1000; // 2 minutes
+
+// How long an unused session token stays valid
+const SESSION_TTL = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const USERNAME_PATTERN = /^[\w-]{3,20}$/;
+const MIN_PASSWORD_LENGTH = 6;
+
+// Registered accounts, keyed by lowercase username
+const accounts = new Map();
+
+// Session tokens (token -> { playerId, username, lastSeen })
+// Guests get a session too so they can resume within the grace period
+const sessions = new Map();
+
+// Saved player records for registered accounts that are not in the world (playerId -> player)
+const savedPlayers = new Map();
+
+class AccountError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'AccountError';
+    this.status = status;
+  }
+}
+
+function hashPassword(password, salt) {
+  return crypto.scryptSync(password, salt, 64).toString('hex');
+}
+
+function findAccount(username) {
+  return accounts.get(String(username || '').toLowerCase()) || null;
+}
+
+// Register a new account and return its first session
+function registerAccount(username, password, now = Date.now()) {
+  if (typeof username !== 'string' || !USERNAME_PATTERN.test(username)) {
+    throw new AccountError('Username must be 3-20 letters, numbers, dashes or underscores');
+  }
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    throw new AccountError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+  }
+  if (findAccount(username)) {
+    throw new AccountError('Username is already taken', 409);
+  }
+
+  const salt = crypto.randomBytes(16).toString('hex');
+  const account = {
+    username: username,
+    passwordHash: hashPassword(password, salt),
+    salt: salt,
+    playerId: uuidv4(),
+    createdAt: new Date(now)
+  };
+  accounts.set(username.toLowerCase(), account);
+
+  return createSession(account.playerId, account.username, now);
+}
+
+// Check credentials and return a new session
+function login(username, password, now = Date.now()) {
+  const account = findAccount(username);
+  if (!account || typeof password !== 'string') {
+    throw new AccountError('Invalid username or password', 401);
+  }
+
+  const expected = Buffer.from(account.passwordHash, 'hex');
+  const actual = Buffer.from(hashPassword(password, account.salt), 'hex');
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    throw new AccountError('Invalid username or password', 401);
+  }
+
+  return createSession(account.playerId, account.username, now);
+}
+
+// Issue a resumable session token for a player (username is null for guests)
+function createSession(playerId, username = null, now = Date.now()) {
+  const token = crypto.randomBytes(32).toString('hex');
+  sessions.set(token, { playerId, username, lastSeen: now });
+  return { token, playerId, username };
+}
+
+// Look up a session token, refreshing it if still valid
+function resolveSession(token, now = Date.now()) {
+  if (!token) return null;
+  const session = sessions.get(token);
+  if (!session) return null;
+
+  if (now - session.lastSeen > SESSION_TTL) {
+    sessions.delete(token);
+    return null;
+  }
+
+  session.lastSeen = now;
+  return session;
+}
+
+function revokeSession(token) {
+  return sessions.delete(token);
+}
+
+// Drop every session that points at a player (used when a guest expires)
+function revokePlayerSessions(playerId) {
+  sessions.forEach((session, token) => {
+    if (session.playerId === playerId) {
+      sessions.delete(token);
+    }
+  });
+}
+
+// Keep a registered player's record while they are out of the world
+function savePlayerRecord(player) {
+  savedPlayers.set(player.id, player);
+}
+
+function loadPlayerRecord(playerId) {
+  return savedPlayers.get(playerId) || null;
+}
+
+function listSavedPlayers() {
+  return Array.from(savedPlayers.values());
+}
+
+// Plain records of every account and live session, for the storage layer
+function exportAccounts() {
+  return {
+    accounts: Array.from(accounts.values()),
+    sessions: Array.from(sessions, ([token, session]) => ({ token, ...session }))
+  };
+}
+
+// Restore accounts and sessions loaded from storage
+function importAccounts({ accounts: accountRecords = [], sessions: sessionRecords = [] }) {
+  accountRecords.forEach(account => {
+    accounts.set(account.username.toLowerCase(), account);
+  });
+  sessionRecords.forEach(({ token, ...session }) => {
+    sessions.set(token, session);
+  });
+}
+
+module.exports = {
+  OFFLINE_GRACE_PERIOD,
+  SESSION_TTL,
+  AccountError,
+  registerAccount,
+  login,
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokePlayerSessions,
+  savePlayerRecord,
+  loadPlayerRecord,
+  listSavedPlayers,
+  exportAccounts,
+  importAccounts
+};
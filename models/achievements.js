@@ -0,0 +1,185 @@
+// Achievements - milestones players unlock by playing
+//
+// Achievements are defined in config/achievements.json. Each one watches a
+// kind of gameplay event, optionally only those matching some fields, and
+// counts them - or adds up one of their fields - until it reaches its target:
+//   { "event": "collect", "where": { "rarity": "legendary" }, "target": 1 }
+//   { "event": "heal", "sum": "amount", "target": 500 }
+// Progress and unlocks are kept on the player, so they are saved with them.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'achievements.json');
+
+// Gameplay events achievements can watch, and the fields they carry
+const AchievementEvents = {
+  COLLECT: 'collect',   // picked up a world item: templateId, rarity, itemType, quantity, gold
+  KNOCKOUT: 'knockout', // knocked out another player
+  DEFEAT: 'defeat',     // defeated a monster: monsterId
+  HEAL: 'heal',         // healed a player, maybe yourself: amount
+  LEVEL_UP: 'level_up', // reached a level: level
+  CAPTURE: 'capture'    // helped capture a territory: territoryId
+};
+
+const ACHIEVEMENT_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+// Achievement definitions by id, filled from the config by useAchievements
+const ACHIEVEMENTS = {};
+
+class AchievementConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'AchievementConfigError';
+  }
+}
+
+// Check one raw achievement and fill in defaults
+const validateAchievement = (raw, index) => {
+  const label = `Achievement "${(raw && raw.id) || index}"`;
+  const fail = (message) => { throw new AchievementConfigError(`${label} ${message}`); };
+
+  if (!raw || typeof raw !== 'object') {
+    throw new AchievementConfigError(`Achievement ${index} must be an object`);
+  }
+  if (typeof raw.id !== 'string' || !ACHIEVEMENT_ID_PATTERN.test(raw.id)) {
+    fail('needs an id of lowercase letters, digits and hyphens');
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    fail('needs a name');
+  }
+  if (!Object.values(AchievementEvents).includes(raw.event)) {
+    fail(`watches unknown event "${raw.event}" - it must be one of ${Object.values(AchievementEvents).join(', ')}`);
+  }
+  const where = raw.where || {};
+  if (typeof where !== 'object' || Array.isArray(where) || Object.values(where).some(value => value === null || typeof value === 'object')) {
+    fail('where must map event fields to the values they need to have');
+  }
+  if (raw.sum !== undefined && typeof raw.sum !== 'string') {
+    fail('sum must name a numeric event field');
+  }
+  if (!(Number.isInteger(raw.target) && raw.target > 0)) {
+    fail('target must be a positive whole number');
+  }
+  const reward = raw.reward || {};
+  if (reward.gold !== undefined && !(Number.isInteger(reward.gold) && reward.gold >= 0)) {
+    fail('reward gold must be a whole number of at least 0');
+  }
+  if (reward.xp !== undefined && !(reward.xp >= 0)) {
+    fail('reward xp must be a number of at least 0');
+  }
+
+  return {
+    id: raw.id,
+    name: raw.name,
+    description: raw.description || '',
+    icon: raw.icon || '🏆',
+    event: raw.event,
+    where: where,
+    sum: raw.sum || null,
+    target: raw.target,
+    reward: { gold: reward.gold || 0, xp: reward.xp || 0 }
+  };
+};
+
+// Check a raw achievement config ({ achievements: [...] }), throwing an AchievementConfigError on anything invalid
+// Returns achievements by id
+function validateAchievementConfig(raw) {
+  if (!raw || typeof raw !== 'object' || !Array.isArray(raw.achievements)) {
+    throw new AchievementConfigError('Achievement config must be an object with a list of achievements');
+  }
+  const achievements = {};
+  raw.achievements.forEach((entry, index) => {
+    const achievement = validateAchievement(entry, index);
+    if (achievements[achievement.id]) {
+      throw new AchievementConfigError(`Achievement id "${achievement.id}" is used more than once`);
+    }
+    achievements[achievement.id] = achievement;
+  });
+  return achievements;
+}
+
+// Read and validate an achievement config file
+function loadAchievementConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new AchievementConfigError(`Could not read achievement config ${filePath}: ${error.message}`);
+  }
+  return validateAchievementConfig(raw);
+}
+
+// Swap in a set of achievements
+function useAchievements(achievements) {
+  Object.keys(ACHIEVEMENTS).forEach(id => delete ACHIEVEMENTS[id]);
+  Object.assign(ACHIEVEMENTS, achievements);
+}
+
+const createAchievementLog = () => ({
+  progress: {}, // achievementId -> count so far
+  unlocked: {}  // achievementId -> when it was unlocked
+});
+
+// Players saved before achievements existed
+const ensureAchievementLog = (player) => {
+  if (!player.achievements) {
+    player.achievements = createAchievementLog();
+  }
+  return player.achievements;
+};
+
+// Does an event count towards an achievement?
+const matchesAchievement = (achievement, event) =>
+  achievement.event === event.type &&
+  Object.entries(achievement.where).every(([field, value]) => event[field] === value);
+
+// Count a gameplay event towards a player's achievements
+// Returns the achievements it unlocked
+function recordAchievementEvent(player, event, now = Date.now()) {
+  const log = ensureAchievementLog(player);
+  const unlocked = [];
+
+  Object.values(ACHIEVEMENTS).forEach(achievement => {
+    if (log.unlocked[achievement.id] || !matchesAchievement(achievement, event)) return;
+
+    const amount = achievement.sum ? Number(event[achievement.sum]) || 0 : 1;
+    if (amount <= 0) return;
+    log.progress[achievement.id] = Math.min(achievement.target, (log.progress[achievement.id] || 0) + amount);
+
+    if (log.progress[achievement.id] >= achievement.target) {
+      log.unlocked[achievement.id] = now;
+      unlocked.push(achievement);
+    }
+  });
+
+  return unlocked;
+}
+
+// Every achievement with how far a player has got, unlocked ones first
+function getAchievementView(player) {
+  const log = ensureAchievementLog(player);
+  return Object.values(ACHIEVEMENTS)
+    .map(achievement => ({
+      id: achievement.id,
+      name: achievement.name,
+      description: achievement.description,
+      icon: achievement.icon,
+      target: achievement.target,
+      progress: log.progress[achievement.id] || 0,
+      unlockedAt: log.unlocked[achievement.id] || null
+    }))
+    .sort((a, b) => Boolean(b.unlockedAt) - Boolean(a.unlockedAt));
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  AchievementEvents,
+  ACHIEVEMENTS,
+  AchievementConfigError,
+  validateAchievementConfig,
+  loadAchievementConfig,
+  useAchievements,
+  createAchievementLog,
+  recordAchievementEvent,
+  getAchievementView
+};
@@ -0,0 +1,332 @@
+
+// Chat system - channels, history, rate limiting and moderation
+//
+// Messages go out as dedicated chat events rather than riding on world updates.
+// "say" reaches players near the sender, "global" reaches everyone online,
+// "whisper" goes to one player and "party" / "guild" reach the sender's group.
+// Each player keeps their own mute and block lists: muting hides someone's
+// public messages, blocking also refuses their whispers.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { distance } = require('../lib/geo');
+const { getPlayerParty } = require('./parties');
+const { getPlayerGuild } = require('./guilds');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'chat.json');
+
+const ChatChannels = {
+  SAY: 'say',
+  GLOBAL: 'global',
+  WHISPER: 'whisper',
+  PARTY: 'party',
+  GUILD: 'guild'
+};
+
+const DEFAULT_CHAT_CONFIG = {
+  maxLength: 200,
+  sayRange: 100, // meters
+  historySize: 50,
+  whisperHistorySize: 20,
+  rateLimit: { messages: 5, windowMs: 10000 },
+  filter: { mode: 'mask', words: [] } // mode is "mask" or "reject"
+};
+
+let config = DEFAULT_CHAT_CONFIG;
+let filterPattern = null;
+
+const history = new Map();        // channel (or "party:<id>" / "guild:<id>") -> recent messages, oldest first
+const whisperHistory = new Map(); // playerId -> recent whispers sent or received
+const recentMessages = new Map(); // playerId -> timestamps of messages in the rate limit window
+
+class ChatError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatError';
+  }
+}
+
+class ChatConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ChatConfigError';
+  }
+}
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Use a chat config, filling in anything it leaves out
+function configureChat(overrides = {}) {
+  config = {
+    ...DEFAULT_CHAT_CONFIG,
+    ...overrides,
+    rateLimit: { ...DEFAULT_CHAT_CONFIG.rateLimit, ...(overrides.rateLimit || {}) },
+    filter: { ...DEFAULT_CHAT_CONFIG.filter, ...(overrides.filter || {}) }
+  };
+
+  const words = config.filter.words.filter(word => typeof word === 'string' && word.trim());
+  filterPattern = words.length > 0
+    ? new RegExp(`\\b(${words.map(escapeRegExp).join('|')})\\b`, 'gi')
+    : null;
+  return config;
+}
+
+const requireWholeNumber = (value, description, minimum) => {
+  if (!(Number.isInteger(value) && value >= minimum)) {
+    throw new ChatConfigError(`${description} must be a whole number of at least ${minimum}`);
+  }
+};
+
+// Check a raw chat config, throwing a ChatConfigError on anything invalid
+// Returns it with defaults filled in for anything it leaves out
+function validateChatConfig(raw) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ChatConfigError('Chat config must be an object');
+  }
+  const checked = {
+    ...DEFAULT_CHAT_CONFIG,
+    ...raw,
+    rateLimit: { ...DEFAULT_CHAT_CONFIG.rateLimit, ...(raw.rateLimit || {}) },
+    filter: { ...DEFAULT_CHAT_CONFIG.filter, ...(raw.filter || {}) }
+  };
+
+  requireWholeNumber(checked.maxLength, 'maxLength', 1);
+  if (!(checked.sayRange > 0)) {
+    throw new ChatConfigError('sayRange must be a positive number');
+  }
+  requireWholeNumber(checked.historySize, 'historySize', 0);
+  requireWholeNumber(checked.whisperHistorySize, 'whisperHistorySize', 0);
+  requireWholeNumber(checked.rateLimit.messages, 'rateLimit messages', 1);
+  if (!(checked.rateLimit.windowMs > 0)) {
+    throw new ChatConfigError('rateLimit windowMs must be a positive number');
+  }
+  if (!['mask', 'reject'].includes(checked.filter.mode)) {
+    throw new ChatConfigError(`filter mode must be "mask" or "reject", not "${checked.filter.mode}"`);
+  }
+  if (!Array.isArray(checked.filter.words) || !checked.filter.words.every(word => typeof word === 'string')) {
+    throw new ChatConfigError('filter words must be a list of strings');
+  }
+  return checked;
+}
+
+// Read and validate a chat config file
+function loadChatConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new ChatConfigError(`Could not read chat config ${filePath}: ${error.message}`);
+  }
+  return validateChatConfig(raw);
+}
+
+const getChatConfig = () => config;
+
+const createChatSettings = () => ({
+  muted: [],  // playerIds whose say and global messages are hidden
+  blocked: [] // playerIds who are hidden everywhere and can't whisper
+});
+
+const ensureChatSettings = (player) => {
+  if (!player.chat) {
+    player.chat = createChatSettings();
+  }
+  return player.chat;
+};
+
+// Trim, length-check and filter a message, returning the text to send
+function filterMessage(text) {
+  if (typeof text !== 'string' || !text.trim()) {
+    throw new ChatError('Message is empty');
+  }
+
+  const trimmed = text.trim();
+  if (trimmed.length > config.maxLength) {
+    throw new ChatError(`Messages can be at most ${config.maxLength} characters`);
+  }
+  if (!filterPattern) return trimmed;
+
+  filterPattern.lastIndex = 0;
+  if (config.filter.mode === 'reject' && filterPattern.test(trimmed)) {
+    throw new ChatError('Message contains blocked words');
+  }
+  return trimmed.replace(filterPattern, word => '*'.repeat(word.length));
+}
+
+// Throw if a player has sent too many messages recently
+function checkRateLimit(playerId, now = Date.now()) {
+  const { messages, windowMs } = config.rateLimit;
+  const recent = (recentMessages.get(playerId) || []).filter(time => now - time < windowMs);
+
+  if (recent.length >= messages) {
+    recentMessages.set(playerId, recent);
+    const waitSeconds = Math.ceil((windowMs - (now - recent[0])) / 1000);
+    throw new ChatError(`You're sending messages too quickly, wait ${waitSeconds}s`);
+  }
+
+  recent.push(now);
+  recentMessages.set(playerId, recent);
+}
+
+// The party or guild a player's group messages go to
+const getGroupId = (player, channel) => {
+  if (channel === ChatChannels.PARTY) {
+    const party = getPlayerParty(player.id);
+    return party ? party.id : null;
+  }
+  if (channel === ChatChannels.GUILD) {
+    const guild = getPlayerGuild(player);
+    return guild ? guild.id : null;
+  }
+  return null;
+};
+
+const historyKey = (message) => message.groupId ? `${message.channel}:${message.groupId}` : message.channel;
+
+const pushBounded = (list, message, size) => {
+  list.push(message);
+  if (list.length > size) {
+    list.splice(0, list.length - size);
+  }
+};
+
+// Build, filter and record a message
+// options.target is the receiving player for whispers
+function createMessage(sender, channel, text, options = {}, now = Date.now()) {
+  if (!Object.values(ChatChannels).includes(channel)) {
+    throw new ChatError(`Unknown chat channel ${channel}`);
+  }
+
+  const target = options.target || null;
+  if (channel === ChatChannels.WHISPER) {
+    if (!target) {
+      throw new ChatError('That player is not online');
+    }
+    if (target.id === sender.id) {
+      throw new ChatError("You can't whisper to yourself");
+    }
+    if (ensureChatSettings(target).blocked.includes(sender.id)) {
+      throw new ChatError(`${target.name} is not accepting your whispers`);
+    }
+  }
+
+  const groupId = getGroupId(sender, channel);
+  if ((channel === ChatChannels.PARTY || channel === ChatChannels.GUILD) && !groupId) {
+    throw new ChatError(`You are not in a ${channel}`);
+  }
+
+  const filtered = filterMessage(text);
+  checkRateLimit(sender.id, now);
+
+  const message = {
+    id: uuidv4(),
+    channel: channel,
+    senderId: sender.id,
+    senderName: sender.name,
+    text: filtered,
+    timestamp: now
+  };
+  if (channel === ChatChannels.SAY) {
+    message.position = { ...sender.position };
+  }
+  if (target) {
+    message.targetId = target.id;
+    message.targetName = target.name;
+  }
+  if (groupId) {
+    message.groupId = groupId;
+  }
+
+  if (channel === ChatChannels.WHISPER) {
+    [sender.id, target.id].forEach(id => {
+      if (!whisperHistory.has(id)) whisperHistory.set(id, []);
+      pushBounded(whisperHistory.get(id), message, config.whisperHistorySize);
+    });
+  } else {
+    const key = historyKey(message);
+    if (!history.has(key)) history.set(key, []);
+    pushBounded(history.get(key), message, config.historySize);
+  }
+  return message;
+}
+
+// Should a player see a message, given where they are and who they've muted or blocked?
+function canReceive(player, message) {
+  const settings = ensureChatSettings(player);
+  if (message.senderId === player.id) return true;
+  if (settings.blocked.includes(message.senderId)) return false;
+
+  switch (message.channel) {
+    case ChatChannels.SAY:
+      return !settings.muted.includes(message.senderId) &&
+        distance(player.position, message.position) <= config.sayRange;
+    case ChatChannels.GLOBAL:
+      return !settings.muted.includes(message.senderId);
+    case ChatChannels.WHISPER:
+      return message.targetId === player.id;
+    case ChatChannels.PARTY:
+    case ChatChannels.GUILD:
+      return getGroupId(player, message.channel) === message.groupId;
+    default:
+      return false;
+  }
+}
+
+// Recent messages a player should see when they join, oldest first
+function getChatHistory(player) {
+  const groupKeys = [ChatChannels.PARTY, ChatChannels.GUILD]
+    .map(channel => ({ channel, groupId: getGroupId(player, channel) }))
+    .filter(({ groupId }) => groupId)
+    .map(historyKey);
+
+  const messages = [
+    ...(history.get(ChatChannels.SAY) || []),
+    ...(history.get(ChatChannels.GLOBAL) || []),
+    ...groupKeys.flatMap(key => history.get(key) || []),
+    ...(whisperHistory.get(player.id) || [])
+  ];
+  return messages
+    .filter(message => canReceive(player, message))
+    .sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Add or remove a player from one of a player's lists ("muted" or "blocked")
+function setChatListEntry(player, list, targetId, enabled) {
+  const settings = ensureChatSettings(player);
+  if (!settings[list]) {
+    throw new ChatError(`Unknown chat list ${list}`);
+  }
+  if (targetId === player.id) {
+    throw new ChatError(`You can't ${list === 'muted' ? 'mute' : 'block'} yourself`);
+  }
+
+  settings[list] = settings[list].filter(id => id !== targetId);
+  if (enabled) {
+    settings[list].push(targetId);
+  }
+  return settings;
+}
+
+function clearChatState(playerId) {
+  recentMessages.delete(playerId);
+}
+
+configureChat();
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  ChatChannels,
+  ChatError,
+  ChatConfigError,
+  configureChat,
+  validateChatConfig,
+  loadChatConfig,
+  getChatConfig,
+  createChatSettings,
+  filterMessage,
+  createMessage,
+  canReceive,
+  getChatHistory,
+  setChatListEntry,
+  clearChatState
+};
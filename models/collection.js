@@ -0,0 +1,104 @@
+// Collection - the timed, interruptible pickup of world items
+//
+// Only one player can collect an item at a time. The collector's id and name
+// and when they started and will finish are kept on the item, so everyone who
+// can see it knows who is collecting it and how far along they are. The lock is
+// let go when the collector cancels, walks out of range, takes damage, is
+// knocked out or disconnects, or when the item leaves the world.
+//
+// Everything here takes the current time rather than reading a clock.
+const { distance } = require('../lib/geo');
+const { isAlive } = require('./combat');
+
+// Why a collection stopped before it finished
+const InterruptReasons = {
+  CANCELED: 'canceled',
+  MOVED_AWAY: 'moved_away',
+  DAMAGED: 'damaged',
+  KNOCKED_OUT: 'knocked_out',
+  DISCONNECTED: 'disconnected',
+  DESPAWNED: 'despawned'
+};
+
+const INTERRUPT_MESSAGES = {
+  [InterruptReasons.CANCELED]: 'You stopped collecting',
+  [InterruptReasons.MOVED_AWAY]: 'You moved too far away and stopped collecting',
+  [InterruptReasons.DAMAGED]: 'You were hurt and stopped collecting',
+  [InterruptReasons.KNOCKED_OUT]: 'You were knocked out and stopped collecting',
+  [InterruptReasons.DISCONNECTED]: 'You disconnected and stopped collecting',
+  [InterruptReasons.DESPAWNED]: 'The item you were collecting is gone'
+};
+
+function getInterruptMessage(reason) {
+  return INTERRUPT_MESSAGES[reason] || INTERRUPT_MESSAGES[InterruptReasons.CANCELED];
+}
+
+// Lock an item to a player for the given number of ms
+function startCollection(item, player, duration, now) {
+  item.beingCollected = true;
+  item.collectorId = player.id;
+  item.collectorName = player.name;
+  item.collectionStartedAt = now;
+  item.collectionEndsAt = now + duration;
+  return item;
+}
+
+// Let go of an item someone was collecting
+function releaseCollection(item) {
+  item.beingCollected = false;
+  item.collectorId = null;
+  delete item.collectorName;
+  delete item.collectionStartedAt;
+  delete item.collectionEndsAt;
+  return item;
+}
+
+// How far along a collection is, from 0 to 1 - null if nobody is collecting the item
+function getCollectionProgress(item, now) {
+  if (!item.beingCollected) return null;
+  const duration = item.collectionEndsAt - item.collectionStartedAt;
+  if (!(duration > 0)) return 1;
+  return Math.min(1, Math.max(0, (now - item.collectionStartedAt) / duration));
+}
+
+// Items a player is collecting
+function findCollectionsBy(worldItems, playerId) {
+  return worldItems.filter(item => item.beingCollected && item.collectorId === playerId);
+}
+
+// Items whose collection time is up
+function findFinishedCollections(worldItems, now) {
+  return worldItems.filter(item => item.beingCollected && item.collectionEndsAt <= now);
+}
+
+// Collections whose collector is gone, offline, downed or out of range
+// Returns [{ item, reason }]
+function findBrokenCollections(worldItems, players, range) {
+  return worldItems
+    .filter(item => item.beingCollected)
+    .map(item => {
+      const collector = players[item.collectorId];
+      if (!collector || collector.online === false) {
+        return { item, reason: InterruptReasons.DISCONNECTED };
+      }
+      if (!isAlive(collector)) {
+        return { item, reason: InterruptReasons.KNOCKED_OUT };
+      }
+      if (distance(collector.position, item.position) > range) {
+        return { item, reason: InterruptReasons.MOVED_AWAY };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
+
+module.exports = {
+  InterruptReasons,
+  getInterruptMessage,
+  startCollection,
+  releaseCollection,
+  getCollectionProgress,
+  findCollectionsBy,
+  findFinishedCollections,
+  findBrokenCollections
+};
@@ -0,0 +1,119 @@
+
+// Combat system - damage, equipment, knockouts and respawning
+const { createItemFromTemplate, getItemTemplate } = require('./items');
+const { toWorldItem } = require('./inventory');
+const { getMaxHp } = require('./progression');
+const { randomPointWithin } = require('../lib/geo');
+const { GoldSources, changeGold } = require('./economy');
+const { getModifier, clearEffects } = require('./effects');
+
+const DEFAULT_WEAPON_COOLDOWN = 1500; // ms between attacks if the weapon doesn't say
+const RESPAWN_TIME = 15000; // 15 seconds downed before respawning
+const ITEM_DROP_CHANCE = 0.5; // each carried item has this chance to drop on knockout
+const GOLD_DROP_FRACTION = 0.25; // share of gold dropped on knockout
+const CRITICAL_MULTIPLIER = 1.5;
+const LOOT_SCATTER_RADIUS = 10; // meters
+
+const PlayerStates = {
+  ALIVE: 'alive',
+  DEAD: 'dead'
+};
+
+// Stats always come from the template, never from the client's copy of an item
+// A broken item doesn't do anything
+const getTemplateStats = (item) => {
+  const template = getItemTemplate(item);
+  return template && item.durability !== 0 ? template.stats : {};
+};
+
+const isAlive = (player) => player.state !== PlayerStates.DEAD;
+
+// Total defense from every equipped item and any status effects
+function getDefense(player, now = Date.now()) {
+  const equipped = Object.values(player.equipment || {})
+    .filter(Boolean)
+    .reduce((total, item) => total + (getTemplateStats(item).defense || 0), 0);
+  return Math.max(0, equipped + getModifier(player, 'defense', now));
+}
+
+function getWeaponCooldown(weapon) {
+  return getTemplateStats(weapon).cooldown || DEFAULT_WEAPON_COOLDOWN;
+}
+
+// Work out the damage of one hit
+// Strength and attack buffs add to the weapon's attack, dexterity gives a chance
+// to crit, and the defender's armor and defense buffs soak up damage
+function calculateDamage(attacker, defender, weapon, now = Date.now(), random = Math.random) {
+  const weaponAttack = (getTemplateStats(weapon).attack || 0) + getModifier(attacker, 'attack', now);
+  const strength = (attacker.stats && attacker.stats.strength) || 0;
+  const dexterity = (attacker.stats && attacker.stats.dexterity) || 0;
+
+  const critical = random() < dexterity * 0.02; // 2% per point of dexterity
+  let damage = weaponAttack + Math.floor(strength / 2);
+  if (critical) {
+    damage = Math.floor(damage * CRITICAL_MULTIPLIER);
+  }
+
+  const defense = getDefense(defender, now);
+  return {
+    damage: Math.max(1, damage - defense),
+    critical: critical,
+    blocked: Math.min(defense, damage - 1)
+  };
+}
+
+// Scatter a position slightly so dropped loot doesn't stack on one spot
+const scatterPosition = (position, random) => randomPointWithin(position, LOOT_SCATTER_RADIUS, random);
+
+// Put a player into the downed state and return the loot they dropped as world items
+function knockOut(player, now = Date.now(), random = Math.random) {
+  player.hp = 0;
+  player.state = PlayerStates.DEAD;
+  player.respawnAt = now + RESPAWN_TIME;
+  clearEffects(player);
+
+  // Each stack either drops whole or stays
+  const droppedItems = [];
+  player.inventory = player.inventory.filter(item => {
+    if (random() >= ITEM_DROP_CHANCE) return true;
+
+    droppedItems.push(toWorldItem(item, {
+      position: scatterPosition(player.position, random),
+      collectionTime: 1000,
+      beingCollected: false,
+      collectorId: null
+    }));
+    return false;
+  });
+
+  const droppedGold = Math.floor(player.gold * GOLD_DROP_FRACTION);
+  if (droppedGold > 0) {
+    changeGold(player, -droppedGold, GoldSources.KNOCKOUT, {}, now);
+    droppedItems.push(createItemFromTemplate('gold-coin', {
+      name: `${droppedGold} Gold`,
+      value: droppedGold,
+      position: scatterPosition(player.position, random),
+      collectionTime: 1000
+    }));
+  }
+
+  return droppedItems;
+}
+
+// Bring a downed player back with full health
+function respawn(player) {
+  player.state = PlayerStates.ALIVE;
+  player.hp = getMaxHp(player);
+  delete player.respawnAt;
+}
+
+module.exports = {
+  RESPAWN_TIME,
+  PlayerStates,
+  isAlive,
+  getDefense,
+  getWeaponCooldown,
+  calculateDamage,
+  knockOut,
+  respawn
+};
@@ -0,0 +1,171 @@
+
+// Crafting - recipes that turn inventory items (and gold) into new items
+//
+// Ingredients are matched by template id. Crafting takes time like collecting
+// does: the ingredients are checked when crafting starts and again when it
+// finishes, and are only used up once the new item is made. Some recipes need
+// the player to stand at an NPC's workshop.
+const { ITEM_TEMPLATES, createItemFromTemplate } = require('./items');
+const { NPC_INTERACT_RANGE, getNpc, isInNpcRange } = require('./npcs');
+const { GoldSources, changeGold } = require('./economy');
+const { InventoryError, addItems, countItems, removeByTemplate } = require('./inventory');
+
+// Recipe definitions
+// ingredients: [{ templateId, count }], gold: extra cost, craftTime: ms (0 for instant),
+// npcId: NPC the player has to be near, result: { templateId, count }
+const RECIPES = {
+  'steel-sword': {
+    id: 'steel-sword',
+    name: 'Forge a Steel Sword',
+    description: 'Greta can fold two iron swords into one of steel',
+    ingredients: [
+      { templateId: 'iron-sword', count: 2 }
+    ],
+    gold: 10,
+    craftTime: 8000,
+    npcId: 'blacksmith',
+    result: { templateId: 'steel-sword', count: 1 }
+  },
+  'health-potion': {
+    id: 'health-potion',
+    name: 'Brew a Health Potion',
+    description: 'Steep healing herbs into a potion',
+    ingredients: [
+      { templateId: 'healing-herb', count: 3 }
+    ],
+    gold: 0,
+    craftTime: 3000,
+    npcId: null,
+    result: { templateId: 'health-potion', count: 1 }
+  }
+};
+
+// playerId -> { recipeId, startedAt, completesAt }
+const activeCrafts = new Map();
+
+class CraftingError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'CraftingError';
+  }
+}
+
+// Null for anything that is not a recipe, "toString" and "constructor" included
+function getRecipe(recipeId) {
+  return Object.hasOwn(RECIPES, recipeId) ? RECIPES[recipeId] : null;
+}
+
+// Throw unless the player could craft a recipe right now
+function checkRecipe(player, recipe) {
+  const missing = recipe.ingredients.find(ingredient => countItems(player, ingredient.templateId) < ingredient.count);
+  if (missing) {
+    const template = ITEM_TEMPLATES[missing.templateId];
+    throw new CraftingError(`You need ${missing.count} ${template ? template.name : missing.templateId} for that`);
+  }
+  if (player.gold < recipe.gold) {
+    throw new CraftingError(`You need ${recipe.gold} gold for that`);
+  }
+
+  const npc = recipe.npcId ? getNpc(recipe.npcId) : null;
+  if (npc && !isInNpcRange(player, npc)) {
+    throw new CraftingError(`You need to be at ${npc.name} to do that`);
+  }
+}
+
+function getActiveCraft(playerId) {
+  return activeCrafts.get(playerId) || null;
+}
+
+// Begin crafting - returns the active craft, which finishCrafting completes
+function startCrafting(player, recipeId, now = Date.now()) {
+  const recipe = getRecipe(recipeId);
+  if (!recipe) {
+    throw new CraftingError('There is no such recipe');
+  }
+  if (activeCrafts.has(player.id)) {
+    throw new CraftingError('You are already crafting something');
+  }
+  checkRecipe(player, recipe);
+
+  const craft = { recipeId: recipe.id, startedAt: now, completesAt: now + recipe.craftTime };
+  activeCrafts.set(player.id, craft);
+  return craft;
+}
+
+// Players whose craft is done by now
+function findFinishedCrafts(now = Date.now()) {
+  return Array.from(activeCrafts.entries())
+    .filter(([playerId, craft]) => craft.completesAt <= now)
+    .map(([playerId]) => playerId);
+}
+
+function cancelCrafting(playerId) {
+  const craft = activeCrafts.get(playerId) || null;
+  activeCrafts.delete(playerId);
+  return craft;
+}
+
+// Use up the ingredients and add the crafted item to the inventory
+// Returns the new item
+function finishCrafting(player, now = Date.now()) {
+  const craft = cancelCrafting(player.id);
+  const recipe = craft && getRecipe(craft.recipeId);
+  if (!recipe) {
+    throw new CraftingError('You are not crafting anything');
+  }
+  checkRecipe(player, recipe);
+
+  const used = recipe.ingredients.flatMap(ingredient => removeByTemplate(player, ingredient.templateId, ingredient.count));
+  const crafted = createItemFromTemplate(recipe.result.templateId, { quantity: recipe.result.count });
+  try {
+    addItems(player, [crafted]);
+  } catch (error) {
+    if (!(error instanceof InventoryError)) throw error;
+    addItems(player, used, { ignoreCapacity: true });
+    throw new CraftingError(`${error.message} - make some room first`);
+  }
+
+  changeGold(player, -recipe.gold, GoldSources.CRAFT, { recipeId: recipe.id }, now);
+  return crafted;
+}
+
+// Recipe as sent to clients, with template details filled in
+function toRecipeView(recipe) {
+  const templateView = ({ templateId, count }) => {
+    const template = ITEM_TEMPLATES[templateId];
+    return {
+      templateId: templateId,
+      name: template ? template.name : templateId,
+      imageUrl: template ? template.imageUrl : null,
+      count: count
+    };
+  };
+  const npc = recipe.npcId ? getNpc(recipe.npcId) : null;
+
+  return {
+    id: recipe.id,
+    name: recipe.name,
+    description: recipe.description,
+    ingredients: recipe.ingredients.map(templateView),
+    gold: recipe.gold,
+    craftTime: recipe.craftTime,
+    station: npc ? { npcId: npc.id, name: npc.name, position: npc.position, range: NPC_INTERACT_RANGE } : null,
+    result: templateView(recipe.result)
+  };
+}
+
+const getRecipeBook = () => Object.values(RECIPES).map(toRecipeView);
+
+module.exports = {
+  RECIPES,
+  CraftingError,
+  getRecipe,
+  checkRecipe,
+  getActiveCraft,
+  findFinishedCrafts,
+  startCrafting,
+  cancelCrafting,
+  finishCrafting,
+  toRecipeView,
+  getRecipeBook
+};
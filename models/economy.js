@@ -0,0 +1,107 @@
+
+// Gold ledger - every change to a player's gold goes through here
+//
+// Each change is recorded with where it came from and the balance it left,
+// and running totals per source show how much gold enters and leaves the
+// game. Comparing those totals with the gold actually held is a quick way to
+// spot duplication bugs.
+
+// Where gold comes from or goes to
+const GoldSources = {
+  NEW_PLAYER: 'new_player',     // starting gold
+  COLLECT: 'collect',           // picking up coins
+  PARTY_SHARE: 'party_share',   // a party member's pickup
+  QUEST: 'quest',               // quest rewards
+  KNOCKOUT: 'knockout',         // gold dropped when knocked out
+  TRADE_ESCROW: 'trade_escrow', // offered in a trade
+  TRADE_RETURN: 'trade_return', // offer withdrawn or trade cancelled
+  TRADE: 'trade',               // received from a completed trade
+  CRAFT: 'craft',               // crafting costs
+  SHOP_BUY: 'shop_buy',         // bought from a vendor
+  SHOP_SELL: 'shop_sell',       // sold to a vendor
+  ADMIN: 'admin',               // set by an admin through the admin API
+  TERRITORY: 'territory',       // income from a captured territory
+  ACHIEVEMENT: 'achievement'    // achievement rewards
+};
+
+const MAX_LEDGER_ENTRIES = 5000;
+
+// Recent gold changes, newest last
+const ledger = [];
+
+// source -> { gained, spent, count } since the server started
+const totals = new Map();
+
+// Called with (player, entry) after every change is recorded
+const listeners = [];
+
+// Add (or with a negative amount, remove) gold and record why
+// details are any extra context worth keeping, like an item or trade id
+function changeGold(player, amount, source, details = {}, now = Date.now()) {
+  if (!Number.isInteger(amount)) {
+    throw new Error(`Gold changes must be whole numbers, got ${amount}`);
+  }
+  if (amount === 0) return player.gold;
+  if (player.gold + amount < 0) {
+    throw new Error(`${player.name} can't lose ${-amount} gold with only ${player.gold}`);
+  }
+
+  player.gold += amount;
+
+  const entry = {
+    time: now,
+    playerId: player.id,
+    name: player.name,
+    source: source,
+    amount: amount,
+    balance: player.gold,
+    details: details
+  };
+  ledger.push(entry);
+  if (ledger.length > MAX_LEDGER_ENTRIES) {
+    ledger.splice(0, ledger.length - MAX_LEDGER_ENTRIES);
+  }
+
+  if (!totals.has(source)) {
+    totals.set(source, { gained: 0, spent: 0, count: 0 });
+  }
+  const total = totals.get(source);
+  total[amount > 0 ? 'gained' : 'spent'] += Math.abs(amount);
+  total.count++;
+
+  listeners.forEach(listener => listener(player, entry));
+
+  return player.gold;
+}
+
+// Recent gold changes for admins, newest first
+function getGoldLedger({ playerId = null, source = null, limit = 100 } = {}) {
+  return ledger
+    .filter(entry => (!playerId || entry.playerId === playerId) && (!source || entry.source === source))
+    .slice(-limit)
+    .reverse();
+}
+
+// Totals per source, plus how much gold has entered and left the game overall
+function getGoldTotals() {
+  const bySource = Object.fromEntries(totals);
+  const sum = (key) => Array.from(totals.values()).reduce((acc, total) => acc + total[key], 0);
+  return {
+    bySource: bySource,
+    gained: sum('gained'),
+    spent: sum('spent')
+  };
+}
+
+// Hear about every gold change, e.g. to keep stats that depend on gold earned
+function onGoldChange(listener) {
+  listeners.push(listener);
+}
+
+module.exports = {
+  GoldSources,
+  changeGold,
+  onGoldChange,
+  getGoldLedger,
+  getGoldTotals
+};
@@ -0,0 +1,253 @@
+
+// Status effects - timed buffs and debuffs on players
+//
+// Effects are defined here and applied by items: consumables list effects
+// they give whoever uses them, weapons list effects a hit may inflict. Each
+// player carries their active effects with absolute expiry times, and the
+// server's game loop calls tickEffects to heal or hurt over time and drop
+// whatever has run out. Applying an effect a player already has follows the
+// effect's stacking rule.
+const { getItemTemplate } = require('./items');
+const { getMaxHp } = require('./progression');
+
+const EffectKinds = {
+  HEAL_OVER_TIME: 'heal_over_time',
+  DAMAGE_OVER_TIME: 'damage_over_time',
+  MODIFIER: 'modifier', // changes attack, defense or movement radius while it lasts
+  STUN: 'stun'          // no moving, attacking or using items
+};
+
+// What happens when an effect is applied to someone who already has it
+const StackingRules = {
+  REFRESH: 'refresh', // restart the duration
+  STACK: 'stack',     // add a stack (up to maxStacks) and restart the duration - strength scales with stacks
+  EXTEND: 'extend',   // add the duration on top of what's left (up to maxDuration)
+  IGNORE: 'ignore'    // the existing effect stays as it is
+};
+
+// Effect definitions
+// amount is per tick (every interval ms) for over-time effects,
+// modifiers are { attack, defense, moveRadius (meters) } per stack
+const STATUS_EFFECTS = {
+  'regeneration': {
+    id: 'regeneration',
+    name: 'Regeneration',
+    icon: '💚',
+    kind: EffectKinds.HEAL_OVER_TIME,
+    amount: 4,
+    interval: 2000,
+    duration: 20000,
+    stacking: StackingRules.REFRESH
+  },
+  'poison': {
+    id: 'poison',
+    name: 'Poison',
+    icon: '☠️',
+    kind: EffectKinds.DAMAGE_OVER_TIME,
+    amount: 2,
+    interval: 2000,
+    duration: 10000,
+    stacking: StackingRules.STACK,
+    maxStacks: 3
+  },
+  'bleed': {
+    id: 'bleed',
+    name: 'Bleeding',
+    icon: '🩸',
+    kind: EffectKinds.DAMAGE_OVER_TIME,
+    amount: 3,
+    interval: 1000,
+    duration: 4000,
+    stacking: StackingRules.EXTEND,
+    maxDuration: 12000
+  },
+  'swiftness': {
+    id: 'swiftness',
+    name: 'Swiftness',
+    icon: '🏃',
+    kind: EffectKinds.MODIFIER,
+    modifiers: { moveRadius: 50 },
+    duration: 60000,
+    stacking: StackingRules.REFRESH
+  },
+  'might': {
+    id: 'might',
+    name: 'Might',
+    icon: '💪',
+    kind: EffectKinds.MODIFIER,
+    modifiers: { attack: 3 },
+    duration: 45000,
+    stacking: StackingRules.REFRESH
+  },
+  'stoneskin': {
+    id: 'stoneskin',
+    name: 'Stoneskin',
+    icon: '🪨',
+    kind: EffectKinds.MODIFIER,
+    modifiers: { defense: 3 },
+    duration: 45000,
+    stacking: StackingRules.REFRESH
+  },
+  'stun': {
+    id: 'stun',
+    name: 'Stunned',
+    icon: '💫',
+    kind: EffectKinds.STUN,
+    duration: 2000,
+    stacking: StackingRules.IGNORE
+  }
+};
+
+function getStatusEffect(effectId) {
+  return STATUS_EFFECTS[effectId] || null;
+}
+
+const getActiveEffects = (player) => player.effects || [];
+
+const findEffect = (player, effectId) => getActiveEffects(player).find(effect => effect.id === effectId) || null;
+
+// Apply an effect to a player
+// source is { id, name } of whoever caused it, if anyone
+// Returns the active effect, or null if the stacking rule left things as they were
+function applyEffect(player, effectId, source = null, now = Date.now()) {
+  const definition = getStatusEffect(effectId);
+  if (!definition) {
+    throw new Error(`Status effect ${effectId} not found`);
+  }
+  if (!player.effects) {
+    player.effects = [];
+  }
+
+  const existing = findEffect(player, effectId);
+  if (existing) {
+    switch (definition.stacking) {
+      case StackingRules.IGNORE:
+        return null;
+      case StackingRules.STACK:
+        existing.stacks = Math.min(definition.maxStacks || 1, existing.stacks + 1);
+        existing.expiresAt = now + definition.duration;
+        break;
+      case StackingRules.EXTEND:
+        existing.expiresAt = Math.min(now + (definition.maxDuration || definition.duration), existing.expiresAt + definition.duration);
+        break;
+      default:
+        existing.expiresAt = now + definition.duration;
+    }
+    if (source) {
+      existing.sourceId = source.id;
+      existing.sourceName = source.name;
+    }
+    return existing;
+  }
+
+  const effect = {
+    id: effectId,
+    stacks: 1,
+    sourceId: source ? source.id : null,
+    sourceName: source ? source.name : null,
+    appliedAt: now,
+    expiresAt: now + definition.duration
+  };
+  if (definition.interval) {
+    effect.nextTickAt = now + definition.interval;
+  }
+  player.effects.push(effect);
+  return effect;
+}
+
+function removeEffect(player, effectId) {
+  const existing = findEffect(player, effectId);
+  player.effects = getActiveEffects(player).filter(effect => effect.id !== effectId);
+  return existing;
+}
+
+function clearEffects(player) {
+  player.effects = [];
+}
+
+// Effects an item gives whoever uses it
+function applyItemEffects(player, item, now = Date.now()) {
+  const template = getItemTemplate(item);
+  if (!template) return [];
+  return template.effects
+    .map(effectId => applyEffect(player, effectId, { id: player.id, name: player.name }, now))
+    .filter(Boolean);
+}
+
+// Roll a weapon's on-hit effects against the player it hit
+// Returns the effects that took hold
+function applyOnHitEffects(attacker, defender, weapon, now = Date.now(), random = Math.random) {
+  const template = getItemTemplate(weapon);
+  if (!template || weapon.durability === 0) return [];
+  return template.onHit
+    .filter(({ chance }) => random() < chance)
+    .map(({ effectId }) => applyEffect(defender, effectId, { id: attacker.id, name: attacker.name }, now))
+    .filter(Boolean);
+}
+
+// Total of one modifier (attack, defense or moveRadius) across a player's active effects
+function getModifier(player, stat, now = Date.now()) {
+  return getActiveEffects(player)
+    .filter(effect => effect.expiresAt > now)
+    .reduce((total, effect) => {
+      const definition = getStatusEffect(effect.id);
+      const modifier = definition && definition.modifiers ? definition.modifiers[stat] || 0 : 0;
+      return total + modifier * effect.stacks;
+    }, 0);
+}
+
+function isStunned(player, now = Date.now()) {
+  return getActiveEffects(player).some(effect => {
+    const definition = getStatusEffect(effect.id);
+    return definition && definition.kind === EffectKinds.STUN && effect.expiresAt > now;
+  });
+}
+
+// Run a player's effects up to now
+// Returns { ticks: [{ effectId, kind, amount, sourceId }], expired: [effectId] }
+// Damage stops at 0 hp - knocking the player out is up to the caller
+function tickEffects(player, now = Date.now()) {
+  const ticks = [];
+  const expired = [];
+
+  getActiveEffects(player).forEach(effect => {
+    const definition = getStatusEffect(effect.id);
+    if (!definition || !definition.interval) return;
+
+    // Catch up on every tick that fell due before the effect ran out
+    while (effect.nextTickAt <= Math.min(now, effect.expiresAt) && player.hp > 0) {
+      const amount = definition.amount * effect.stacks;
+      if (definition.kind === EffectKinds.HEAL_OVER_TIME) {
+        player.hp = Math.min(getMaxHp(player), player.hp + amount);
+      } else {
+        player.hp = Math.max(0, player.hp - amount);
+      }
+      ticks.push({ effectId: effect.id, kind: definition.kind, amount: amount, sourceId: effect.sourceId });
+      effect.nextTickAt += definition.interval;
+    }
+  });
+
+  player.effects = getActiveEffects(player).filter(effect => {
+    if (effect.expiresAt > now && getStatusEffect(effect.id)) return true;
+    expired.push(effect.id);
+    return false;
+  });
+
+  return { ticks, expired };
+}
+
+module.exports = {
+  EffectKinds,
+  StackingRules,
+  STATUS_EFFECTS,
+  getStatusEffect,
+  getActiveEffects,
+  applyEffect,
+  removeEffect,
+  clearEffects,
+  applyItemEffects,
+  applyOnHitEffects,
+  getModifier,
+  isStunned,
+  tickEffects
+};
@@ -0,0 +1,218 @@
+
+// Guilds - persistent named groups with ranks
+//
+// A guild has one leader, any number of officers and members. Officers can
+// invite and kick members, only the leader can promote, demote or kick officers.
+// Guilds are saved with the world snapshot; pending invites only live in memory.
+const { v4: uuidv4 } = require('uuid');
+
+const GUILD_NAME_PATTERN = /^[\w' -]{3,24}$/;
+const GUILD_INVITE_TIMEOUT = 5 * 60 * 1000;
+const MAX_GUILD_SIZE = 50;
+
+// Ranks from lowest to highest
+const GuildRanks = {
+  MEMBER: 'member',
+  OFFICER: 'officer',
+  LEADER: 'leader'
+};
+const RANK_ORDER = [GuildRanks.MEMBER, GuildRanks.OFFICER, GuildRanks.LEADER];
+
+const guilds = new Map();       // guildId -> guild
+const guildInvites = new Map(); // invited playerId -> { guildId, inviterId, expiresAt }
+
+class GuildError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'GuildError';
+  }
+}
+
+// Member ids come from clients, so only the guild's own keys count - never "__proto__" and friends
+const isMember = (guild, playerId) => Object.hasOwn(guild.members, playerId);
+const rankOf = (guild, playerId) => isMember(guild, playerId) ? guild.members[playerId].rank : null;
+const outranks = (guild, aId, bId) => RANK_ORDER.indexOf(rankOf(guild, aId)) > RANK_ORDER.indexOf(rankOf(guild, bId));
+
+function getGuild(guildId) {
+  return guilds.get(guildId) || null;
+}
+
+// The guild a player belongs to, if it still exists and still lists them
+function getPlayerGuild(player) {
+  const guild = player.guildId ? guilds.get(player.guildId) : null;
+  return guild && isMember(guild, player.id) ? guild : null;
+}
+
+const addMember = (guild, player, rank, now) => {
+  guild.members[player.id] = { name: player.name, rank: rank, joinedAt: now };
+  player.guildId = guild.id;
+};
+
+function createGuild(player, name, now = Date.now()) {
+  if (getPlayerGuild(player)) {
+    throw new GuildError('Leave your current guild first');
+  }
+  const trimmed = typeof name === 'string' ? name.trim() : '';
+  if (!GUILD_NAME_PATTERN.test(trimmed)) {
+    throw new GuildError('Guild names must be 3-24 letters, numbers, spaces, dashes or apostrophes');
+  }
+  const taken = Array.from(guilds.values()).some(guild => guild.name.toLowerCase() === trimmed.toLowerCase());
+  if (taken) {
+    throw new GuildError('That guild name is already taken');
+  }
+
+  const guild = { id: uuidv4(), name: trimmed, createdAt: now, members: {} };
+  addMember(guild, player, GuildRanks.LEADER, now);
+  guilds.set(guild.id, guild);
+  return guild;
+}
+
+function inviteToGuild(inviter, target, now = Date.now()) {
+  const guild = getPlayerGuild(inviter);
+  if (!guild) {
+    throw new GuildError('You are not in a guild');
+  }
+  if (rankOf(guild, inviter.id) === GuildRanks.MEMBER) {
+    throw new GuildError('Only officers and the leader can invite players');
+  }
+  if (getPlayerGuild(target)) {
+    throw new GuildError(`${target.name} is already in a guild`);
+  }
+  if (Object.keys(guild.members).length >= MAX_GUILD_SIZE) {
+    throw new GuildError('Your guild is full');
+  }
+
+  guildInvites.set(target.id, { guildId: guild.id, inviterId: inviter.id, expiresAt: now + GUILD_INVITE_TIMEOUT });
+  return guild;
+}
+
+function acceptGuildInvite(player, now = Date.now()) {
+  const invite = guildInvites.get(player.id);
+  guildInvites.delete(player.id);
+
+  const guild = invite && guilds.get(invite.guildId);
+  if (!guild || invite.expiresAt < now) {
+    throw new GuildError('That guild invite is no longer valid');
+  }
+  if (getPlayerGuild(player)) {
+    throw new GuildError('You are already in a guild');
+  }
+  if (Object.keys(guild.members).length >= MAX_GUILD_SIZE) {
+    throw new GuildError('That guild is full');
+  }
+
+  addMember(guild, player, GuildRanks.MEMBER, now);
+  return guild;
+}
+
+function declineGuildInvite(playerId) {
+  const invite = guildInvites.get(playerId);
+  guildInvites.delete(playerId);
+  return invite || null;
+}
+
+// Leave a guild - a leader hands over to the highest-ranked, longest-serving member,
+// and the last member out disbands it
+// Returns { guild, disbanded }
+function leaveGuild(player) {
+  const guild = getPlayerGuild(player);
+  if (!guild) {
+    throw new GuildError('You are not in a guild');
+  }
+
+  const wasLeader = rankOf(guild, player.id) === GuildRanks.LEADER;
+  delete guild.members[player.id];
+  player.guildId = null;
+
+  const remaining = Object.entries(guild.members);
+  if (remaining.length === 0) {
+    guilds.delete(guild.id);
+    return { guild, disbanded: true };
+  }
+
+  if (wasLeader) {
+    const [successorId] = remaining.sort(([, a], [, b]) =>
+      RANK_ORDER.indexOf(b.rank) - RANK_ORDER.indexOf(a.rank) || a.joinedAt - b.joinedAt
+    )[0];
+    guild.members[successorId].rank = GuildRanks.LEADER;
+  }
+  return { guild, disbanded: false };
+}
+
+// Remove another member - target may be offline, so it is identified by id
+// Returns the guild; the caller clears guildId on the target's record
+function kickFromGuild(kicker, targetId) {
+  const guild = getPlayerGuild(kicker);
+  if (!guild || !isMember(guild, targetId) || targetId === kicker.id) {
+    throw new GuildError('That player is not in your guild');
+  }
+  if (rankOf(guild, kicker.id) === GuildRanks.MEMBER || !outranks(guild, kicker.id, targetId)) {
+    throw new GuildError("You can't kick that player");
+  }
+
+  delete guild.members[targetId];
+  return guild;
+}
+
+// Move a member up or down one rank - leader only, and leadership can't be handed over this way
+function changeGuildRank(leader, targetId, direction) {
+  const guild = getPlayerGuild(leader);
+  if (!guild || !isMember(guild, targetId) || targetId === leader.id) {
+    throw new GuildError('That player is not in your guild');
+  }
+  if (rankOf(guild, leader.id) !== GuildRanks.LEADER) {
+    throw new GuildError('Only the guild leader can change ranks');
+  }
+
+  const current = RANK_ORDER.indexOf(rankOf(guild, targetId));
+  const next = current + (direction === 'promote' ? 1 : -1);
+  if (next < 0 || next >= RANK_ORDER.indexOf(GuildRanks.LEADER)) {
+    throw new GuildError(`That player can't be ${direction === 'promote' ? 'promoted' : 'demoted'} further`);
+  }
+
+  guild.members[targetId].rank = RANK_ORDER[next];
+  return guild;
+}
+
+// Guild as sent to clients
+function toGuildView(guild, players = {}) {
+  return {
+    id: guild.id,
+    name: guild.name,
+    createdAt: guild.createdAt,
+    members: Object.entries(guild.members)
+      .map(([id, member]) => ({
+        id: id,
+        name: players[id] ? players[id].name : member.name,
+        rank: member.rank,
+        online: Boolean(players[id] && players[id].online !== false)
+      }))
+      .sort((a, b) => RANK_ORDER.indexOf(b.rank) - RANK_ORDER.indexOf(a.rank))
+  };
+}
+
+// Plain guild records for the storage layer
+function exportGuilds() {
+  return Array.from(guilds.values());
+}
+
+function importGuilds(guildRecords = []) {
+  guildRecords.forEach(guild => guilds.set(guild.id, guild));
+}
+
+module.exports = {
+  GuildRanks,
+  GuildError,
+  getGuild,
+  getPlayerGuild,
+  createGuild,
+  inviteToGuild,
+  acceptGuildInvite,
+  declineGuildInvite,
+  leaveGuild,
+  kickFromGuild,
+  changeGuildRank,
+  toGuildView,
+  exportGuilds,
+  importGuilds
+};
@@ -0,0 +1,403 @@
+
+// Inventory - slots, stacks, carrying capacity and equipment
+//
+// player.inventory is a list of item instances, each sitting in a numbered slot.
+// Items of the same template stack in one slot up to the template's maxStack.
+// A player can only carry so many slots and so much weight (equipped items
+// count towards the weight). Equipped items live in player.equipment, one per slot.
+const { v4: uuidv4 } = require('uuid');
+const { ItemTypes, ITEM_TEMPLATES, getItemTemplate, getItemName } = require('./items');
+
+const INVENTORY_SLOTS = 20;
+const MAX_CARRY_WEIGHT = 60;
+
+// Equipment slot each item type goes into
+const EQUIPMENT_SLOTS = {
+  [ItemTypes.WEAPON]: 'weapon',
+  [ItemTypes.ARMOR]: 'armor',
+  [ItemTypes.ACCESSORY]: 'accessory'
+};
+
+// Fields a world item has that an inventory item doesn't
+const WORLD_FIELDS = ['position', 'expiresAt', 'spawnZone', 'collectionTime', 'beingCollected', 'collectorId', 'collectorName', 'collectionStartedAt', 'collectionEndsAt'];
+
+class InventoryError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InventoryError';
+  }
+}
+
+const createEquipment = () => ({
+  weapon: null,
+  armor: null,
+  accessory: null
+});
+
+// Strip the world-only fields from an item that's being picked up
+function toInventoryItem(worldItem) {
+  const item = { ...worldItem };
+  WORLD_FIELDS.forEach(field => delete item[field]);
+  return item;
+}
+
+// Turn an item saved before instances existed (a full template copy) into an instance
+function normalizeItem(item) {
+  if (item.templateId) return item;
+
+  const template = ITEM_TEMPLATES[item.id];
+  const normalized = { itemId: item.itemId, templateId: item.id, quantity: item.quantity || 1 };
+  if (template && template.durability) {
+    normalized.durability = template.durability;
+  }
+  // Knockout gold carried its amount in stats.value
+  if (item.id === 'gold-coin' && item.stats && template && item.stats.value !== template.stats.value) {
+    normalized.value = item.stats.value;
+    normalized.name = item.name;
+  }
+  return normalized;
+}
+
+// Same for an item lying in the world, keeping where it is and when it expires
+function normalizeWorldItem(item) {
+  const world = {};
+  WORLD_FIELDS.forEach(field => {
+    if (item[field] !== undefined) world[field] = item[field];
+  });
+  return { ...normalizeItem(item), ...world };
+}
+
+// An inventory item put down in the world - worldProperties give its position and so on
+function toWorldItem(item, worldProperties) {
+  const { slot, ...rest } = item;
+  return { ...rest, ...worldProperties };
+}
+
+const maxStackOf = (item) => {
+  const template = getItemTemplate(item);
+  return template ? template.maxStack : 1;
+};
+
+const weightOf = (item) => {
+  const template = getItemTemplate(item);
+  return (template ? template.weight : 0) * (item.quantity || 1);
+};
+
+// Items only stack with copies that have nothing particular about them
+const isPlain = (item) => Object.keys(item).every(key => ['itemId', 'templateId', 'quantity', 'slot'].includes(key));
+const canStack = (a, b) => a.templateId === b.templateId && maxStackOf(a) > 1 && isPlain(a) && isPlain(b);
+
+function getCarriedWeight(player) {
+  const equipped = Object.values(player.equipment || {}).filter(Boolean);
+  const total = [...player.inventory, ...equipped].reduce((sum, item) => sum + weightOf(item), 0);
+  return Math.round(total * 10) / 10;
+}
+
+function getCapacity(player) {
+  return {
+    slots: INVENTORY_SLOTS,
+    usedSlots: player.inventory.length,
+    weight: getCarriedWeight(player),
+    maxWeight: MAX_CARRY_WEIGHT
+  };
+}
+
+const freeSlots = (player) => {
+  const used = new Set(player.inventory.map(item => item.slot));
+  const free = [];
+  for (let slot = 0; slot < INVENTORY_SLOTS; slot++) {
+    if (!used.has(slot)) free.push(slot);
+  }
+  return free;
+};
+
+// Bring a saved inventory up to date - instances, stacks and a slot for everything
+function normalizeInventory(player) {
+  const seen = new Set();
+  const placed = [];
+  const unplaced = [];
+  (player.inventory || []).map(normalizeItem).forEach(item => {
+    if (Number.isInteger(item.slot) && item.slot >= 0 && !seen.has(item.slot)) {
+      seen.add(item.slot);
+      placed.push(item);
+    } else {
+      unplaced.push(item);
+    }
+  });
+  player.inventory = placed;
+  addItems(player, unplaced, { ignoreCapacity: true });
+
+  if (!player.equipment) {
+    player.equipment = createEquipment();
+  }
+  Object.keys(createEquipment()).forEach(slot => {
+    player.equipment[slot] = player.equipment[slot] ? normalizeItem(player.equipment[slot]) : null;
+  });
+}
+
+const newItemId = (templateId) => `${templateId}-${uuidv4()}`;
+
+// Work out the inventory after adding items, without touching the player
+// Returns { inventory, placed } or throws if the items don't fit
+const placeItems = (player, items, ignoreCapacity) => {
+  const incomingWeight = items.reduce((sum, item) => sum + weightOf(item), 0);
+  if (!ignoreCapacity && getCarriedWeight(player) + incomingWeight > MAX_CARRY_WEIGHT) {
+    throw new InventoryError("That's too heavy for you to carry");
+  }
+
+  const inventory = player.inventory.map(entry => ({ ...entry }));
+  const free = freeSlots(player);
+  let overflowSlot = Math.max(INVENTORY_SLOTS, ...inventory.map(entry => entry.slot + 1));
+  const placed = new Set();
+
+  items.forEach(incoming => {
+    const { slot, ...item } = incoming;
+    let remaining = item.quantity || 1;
+
+    // Top up matching stacks first
+    inventory.filter(stack => canStack(stack, item)).forEach(stack => {
+      const amount = Math.min(remaining, maxStackOf(stack) - stack.quantity);
+      if (amount > 0) {
+        stack.quantity += amount;
+        remaining -= amount;
+        placed.add(stack);
+      }
+    });
+
+    // Then start new stacks in free slots
+    while (remaining > 0) {
+      if (free.length === 0 && !ignoreCapacity) {
+        throw new InventoryError('Your inventory is full');
+      }
+      const amount = Math.min(remaining, maxStackOf(item));
+      const entry = {
+        ...item,
+        itemId: inventory.some(other => other.itemId === item.itemId) ? newItemId(item.templateId) : item.itemId,
+        quantity: amount,
+        slot: free.length > 0 ? free.shift() : overflowSlot++
+      };
+      inventory.push(entry);
+      placed.add(entry);
+      remaining -= amount;
+    }
+  });
+  return { inventory, placed: Array.from(placed) };
+};
+
+// Would these items fit?
+function canAddItems(player, items) {
+  try {
+    placeItems(player, items, false);
+    return true;
+  } catch (error) {
+    if (!(error instanceof InventoryError)) throw error;
+    return false;
+  }
+}
+
+// Add items, stacking where possible - all of them fit or none are added
+// options.ignoreCapacity lets items that were already the player's come back even if it overfills
+// Returns the inventory entries the items ended up in
+function addItems(player, items, { ignoreCapacity = false } = {}) {
+  const { inventory, placed } = placeItems(player, items, ignoreCapacity);
+  player.inventory = inventory;
+  return placed;
+}
+
+function addItem(player, item, options) {
+  return addItems(player, [item], options);
+}
+
+function findItem(player, itemId) {
+  return player.inventory.find(item => item.itemId === itemId) || null;
+}
+
+// How many of a template the player is carrying, across stacks
+function countItems(player, templateId) {
+  return player.inventory
+    .filter(item => item.templateId === templateId)
+    .reduce((sum, item) => sum + item.quantity, 0);
+}
+
+// Take an item (or part of a stack) out of the inventory and return it
+function removeItem(player, itemId, quantity = null) {
+  const item = findItem(player, itemId);
+  if (!item) {
+    throw new InventoryError("That item isn't in your inventory");
+  }
+
+  const amount = quantity === null ? item.quantity : quantity;
+  if (!Number.isInteger(amount) || amount < 1 || amount > item.quantity) {
+    throw new InventoryError(`You only have ${item.quantity} ${getItemName(item)}`);
+  }
+
+  const { slot, ...removed } = item;
+  if (amount === item.quantity) {
+    player.inventory = player.inventory.filter(entry => entry !== item);
+    return removed;
+  }
+
+  item.quantity -= amount;
+  return { ...removed, itemId: newItemId(item.templateId), quantity: amount };
+}
+
+// Take a number of a template out of the inventory, smallest stacks first
+// Returns the removed items, or throws if there aren't enough
+function removeByTemplate(player, templateId, count) {
+  if (countItems(player, templateId) < count) {
+    const template = ITEM_TEMPLATES[templateId];
+    throw new InventoryError(`You need ${count} ${template ? template.name : templateId}`);
+  }
+
+  const removed = [];
+  let remaining = count;
+  player.inventory
+    .filter(item => item.templateId === templateId)
+    .sort((a, b) => a.quantity - b.quantity)
+    .forEach(item => {
+      if (remaining === 0) return;
+      const amount = Math.min(remaining, item.quantity);
+      removed.push(removeItem(player, item.itemId, amount));
+      remaining -= amount;
+    });
+  return removed;
+}
+
+const checkSlot = (slot) => {
+  if (!Number.isInteger(slot) || slot < 0 || slot >= INVENTORY_SLOTS) {
+    throw new InventoryError('There is no such inventory slot');
+  }
+};
+
+// Move an item to another slot, merging into a matching stack or swapping with whatever is there
+function moveItem(player, itemId, toSlot) {
+  const item = findItem(player, itemId);
+  if (!item) {
+    throw new InventoryError("That item isn't in your inventory");
+  }
+  checkSlot(toSlot);
+
+  const occupant = player.inventory.find(entry => entry.slot === toSlot);
+  if (!occupant) {
+    item.slot = toSlot;
+  } else if (occupant !== item && canStack(occupant, item)) {
+    const amount = Math.min(item.quantity, maxStackOf(occupant) - occupant.quantity);
+    occupant.quantity += amount;
+    item.quantity -= amount;
+    if (item.quantity === 0) {
+      player.inventory = player.inventory.filter(entry => entry !== item);
+    }
+  } else {
+    occupant.slot = item.slot;
+    item.slot = toSlot;
+  }
+  return item;
+}
+
+// Split part of a stack into a free slot (the first free one unless a slot is given)
+function splitStack(player, itemId, quantity, toSlot = null) {
+  const item = findItem(player, itemId);
+  if (!item) {
+    throw new InventoryError("That item isn't in your inventory");
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity >= item.quantity) {
+    throw new InventoryError(`You can split off 1 to ${item.quantity - 1} ${getItemName(item)}`);
+  }
+
+  const free = freeSlots(player);
+  if (toSlot !== null) {
+    checkSlot(toSlot);
+    if (!free.includes(toSlot)) {
+      throw new InventoryError('That slot is taken');
+    }
+  } else if (free.length === 0) {
+    throw new InventoryError('Your inventory is full');
+  }
+
+  const { slot, ...rest } = removeItem(player, itemId, quantity);
+  const split = { ...rest, slot: toSlot !== null ? toSlot : free[0] };
+  player.inventory.push(split);
+  return split;
+}
+
+// Put an inventory item into its equipment slot, swapping out whatever was there
+function equipItem(player, itemId) {
+  const item = findItem(player, itemId);
+  const template = getItemTemplate(item);
+  const slot = template && EQUIPMENT_SLOTS[template.type];
+  if (!slot) {
+    throw new InventoryError("You can't equip that");
+  }
+  if (item.durability === 0) {
+    throw new InventoryError(`Your ${getItemName(item)} is broken`);
+  }
+
+  const previous = player.equipment[slot];
+  const { slot: inventorySlot, ...equipped } = item;
+  player.inventory = player.inventory.filter(entry => entry !== item);
+  player.equipment[slot] = equipped;
+  if (previous) {
+    player.inventory.push({ ...previous, slot: inventorySlot });
+  }
+  return { slot, item: equipped, previous };
+}
+
+// Move an equipped item back into the inventory
+function unequipItem(player, slot) {
+  const item = player.equipment && player.equipment[slot];
+  if (!item) {
+    throw new InventoryError('Nothing is equipped there');
+  }
+  const free = freeSlots(player);
+  if (free.length === 0) {
+    throw new InventoryError('Your inventory is full');
+  }
+
+  player.equipment[slot] = null;
+  player.inventory.push({ ...item, slot: free[0] });
+  return item;
+}
+
+// Wear down an equipped item - returns the item if it just broke
+// Broken items go back into the inventory (or stay equipped, useless, if there's no room)
+function wearEquipment(player, slot, amount = 1) {
+  const item = player.equipment && player.equipment[slot];
+  if (!item || typeof item.durability !== 'number' || item.durability <= 0) return null;
+
+  item.durability = Math.max(0, item.durability - amount);
+  if (item.durability > 0) return null;
+
+  const free = freeSlots(player);
+  if (free.length > 0) {
+    player.equipment[slot] = null;
+    player.inventory.push({ ...item, slot: free[0] });
+  }
+  return item;
+}
+
+module.exports = {
+  INVENTORY_SLOTS,
+  MAX_CARRY_WEIGHT,
+  EQUIPMENT_SLOTS,
+  InventoryError,
+  createEquipment,
+  toInventoryItem,
+  toWorldItem,
+  normalizeItem,
+  normalizeWorldItem,
+  normalizeInventory,
+  getCarriedWeight,
+  getCapacity,
+  canAddItems,
+  addItems,
+  addItem,
+  findItem,
+  countItems,
+  removeItem,
+  removeByTemplate,
+  moveItem,
+  splitStack,
+  equipItem,
+  unequipItem,
+  wearEquipment
+};
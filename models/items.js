@@ -1,90 +1,270 @@
 
 // Item template system for creating different types of items
+//
+// Templates hold everything that is the same for every copy of an item. Items
+// themselves are small instances - an itemId, the templateId, a quantity and
+// anything particular to that copy, like durability - wherever they are.
+//
+// Templates are authored in a data file (config/items.json, or YAML) that is
+// checked when it is loaded, and can be reloaded while the server runs.
+// Templates without an image of their own get a generated placeholder icon.
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const { v4: uuidv4 } = require('uuid');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'items.json');
+
+// Item images live under public/, and the server draws the placeholders
+const PUBLIC_DIR = path.join(__dirname, '..', 'public');
+const IMAGE_PATH = '/images/items/';
+const PLACEHOLDER_IMAGE_PATH = '/images/items/placeholder/';
+
 const ItemTypes = {
   WEAPON: 'weapon',
   ARMOR: 'armor',
+  ACCESSORY: 'accessory',
   CONSUMABLE: 'consumable',
-  COLLECTIBLE: 'collectible'
+  COLLECTIBLE: 'collectible',
+  MATERIAL: 'material' // only useful as a crafting ingredient
+};
+
+const RARITIES = ['common', 'uncommon', 'rare', 'legendary'];
+
+// Border colour of each rarity's placeholder icon
+const RARITY_COLORS = {
+  common: '#9e9e9e',
+  uncommon: '#4caf50',
+  rare: '#2196f3',
+  legendary: '#ff9800'
+};
+
+// Stats an item can have: attack and cooldown (ms) for weapons, defense for
+// armor and accessories, heal for potions and value (gold) for anything
+const STAT_KEYS = ['attack', 'cooldown', 'defense', 'heal', 'value'];
+
+// Template ids end up in item ids, so they are kept short and simple
+const TEMPLATE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+const MAX_TEMPLATE_ID_LENGTH = 48;
+
+const DEFAULT_COLLECTION_TIME = 3000;
+
+// Stack size, weight and durability for each type unless a template says otherwise
+// Items with durability wear out with use; null means they never do
+const TYPE_DEFAULTS = {
+  [ItemTypes.WEAPON]: { maxStack: 1, weight: 5, durability: 100 },
+  [ItemTypes.ARMOR]: { maxStack: 1, weight: 8, durability: 100 },
+  [ItemTypes.ACCESSORY]: { maxStack: 1, weight: 1, durability: null },
+  [ItemTypes.CONSUMABLE]: { maxStack: 10, weight: 1, durability: null },
+  [ItemTypes.COLLECTIBLE]: { maxStack: 99, weight: 0.1, durability: null },
+  [ItemTypes.MATERIAL]: { maxStack: 20, weight: 0.5, durability: null }
 };
 
 // Base item template
+// properties can override the type's maxStack, weight and durability, and add
+// status effects: effects (ids given to whoever uses it) and onHit ([{ effectId, chance }] for weapons)
 class ItemTemplate {
-  constructor(id, name, type, rarity, description, imageUrl, stats) {
+  constructor(id, name, type, rarity, description, imageUrl, stats, collectionTime, properties = {}) {
+    const defaults = TYPE_DEFAULTS[type] || TYPE_DEFAULTS[ItemTypes.COLLECTIBLE];
     this.id = id;
     this.name = name;
     this.type = type;
     this.rarity = rarity; // common, uncommon, rare, legendary
     this.description = description;
-    this.imageUrl = imageUrl;
+    this.imageUrl = imageUrl || getPlaceholderImageUrl(id);
     this.stats = stats || {};
+    this.collectionTime = collectionTime || DEFAULT_COLLECTION_TIME; // ms to pick up from the world
+    this.maxStack = properties.maxStack || defaults.maxStack;
+    this.weight = properties.weight !== undefined ? properties.weight : defaults.weight;
+    this.durability = properties.durability !== undefined ? properties.durability : defaults.durability;
+    this.effects = properties.effects || [];
+    this.onHit = properties.onHit || [];
   }
-  
+
+  // A new instance of this item - customProperties are per-copy, like a position in the world
   createItem(customProperties = {}) {
-    return {
-      ...this,
-      itemId: `${this.id}-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
-      createdAt: new Date(),
-      ...customProperties
+    const item = {
+      itemId: `${this.id}-${uuidv4()}`,
+      templateId: this.id,
+      quantity: 1
     };
+    if (this.durability) {
+      item.durability = this.durability;
+    }
+    return { ...item, ...customProperties };
+  }
+}
+
+// Where the generated icon for a template without an image is served
+function getPlaceholderImageUrl(templateId) {
+  return `${PLACEHOLDER_IMAGE_PATH}${templateId}.svg`;
+}
+
+// Item templates by id, filled from the data file by useItemTemplates
+// Other modules hold on to this object, so reloads change it in place
+const ITEM_TEMPLATES = {};
+
+class ItemConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ItemConfigError';
   }
 }
 
-// Item templates
-const ITEM_TEMPLATES = {
-  // Weapons
-  'iron-sword': new ItemTemplate(
-    'iron-sword',
-    'Iron Sword',
-    ItemTypes.WEAPON,
-    'common',
-    'A basic iron sword',
-    '/images/items/iron-sword.png',
-    { attack: 5 }
-  ),
-  'steel-sword': new ItemTemplate(
-    'steel-sword',
-    'Steel Sword',
-    ItemTypes.WEAPON,
-    'uncommon',
-    'A stronger steel sword',
-    '/images/items/steel-sword.png',
-    { attack: 10 }
-  ),
-  
-  // Armor
-  'leather-armor': new ItemTemplate(
-    'leather-armor',
-    'Leather Armor',
-    ItemTypes.ARMOR,
-    'common',
-    'Basic leather protection',
-    '/images/items/leather-armor.png',
-    { defense: 3 }
-  ),
-  
-  // Consumables
-  'health-potion': new ItemTemplate(
-    'health-potion',
-    'Health Potion',
-    ItemTypes.CONSUMABLE,
-    'common',
-    'Restores 20 health points',
-    '/images/items/health-potion.png',
-    { heal: 20 }
-  ),
-  
-  // Collectibles
-  'gold-coin': new ItemTemplate(
-    'gold-coin',
-    'Gold Coin',
-    ItemTypes.COLLECTIBLE,
-    'common',
-    'A shiny gold coin',
-    '/images/items/gold-coin.png',
-    { value: 1 }
-  ),
+const TEMPLATE_FIELDS = ['id', 'name', 'type', 'rarity', 'description', 'imageUrl', 'stats', 'collectionTime',
+  'maxStack', 'weight', 'durability', 'effects', 'onHit'];
+
+const isPlainObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// Check one raw template and build it, throwing an ItemConfigError on anything invalid
+const validateTemplate = (raw, index, { publicDir, effectIds }) => {
+  if (!isPlainObject(raw)) {
+    throw new ItemConfigError(`Item template ${index} must be an object`);
+  }
+  const label = `Item template "${raw.id || index}"`;
+  const fail = (message) => { throw new ItemConfigError(`${label} ${message}`); };
+
+  const unknownField = Object.keys(raw).find(field => !TEMPLATE_FIELDS.includes(field));
+  if (unknownField) {
+    fail(`has an unknown field "${unknownField}"`);
+  }
+  if (typeof raw.id !== 'string' || !TEMPLATE_ID_PATTERN.test(raw.id) || raw.id.length > MAX_TEMPLATE_ID_LENGTH) {
+    fail(`needs an id of lowercase letters, digits and hyphens, at most ${MAX_TEMPLATE_ID_LENGTH} characters long`);
+  }
+  if (typeof raw.name !== 'string' || !raw.name.trim()) {
+    fail('needs a name');
+  }
+  if (!Object.values(ItemTypes).includes(raw.type)) {
+    fail(`has type "${raw.type}" - it must be one of ${Object.values(ItemTypes).join(', ')}`);
+  }
+  if (!RARITIES.includes(raw.rarity)) {
+    fail(`has rarity "${raw.rarity}" - it must be one of ${RARITIES.join(', ')}`);
+  }
+  if (raw.description !== undefined && typeof raw.description !== 'string') {
+    fail('description must be text');
+  }
+
+  if (raw.imageUrl !== undefined) {
+    if (typeof raw.imageUrl !== 'string' || !raw.imageUrl.startsWith(IMAGE_PATH) || raw.imageUrl.includes('..')) {
+      fail(`imageUrl must be a path under ${IMAGE_PATH}`);
+    }
+    if (!fs.existsSync(path.join(publicDir, raw.imageUrl))) {
+      fail(`image ${raw.imageUrl} does not exist - leave imageUrl out to use a placeholder icon`);
+    }
+  }
+
+  const stats = raw.stats === undefined ? {} : raw.stats;
+  if (!isPlainObject(stats)) {
+    fail('stats must be an object');
+  }
+  Object.entries(stats).forEach(([key, value]) => {
+    if (!STAT_KEYS.includes(key)) {
+      fail(`has an unknown stat "${key}" - stats can be ${STAT_KEYS.join(', ')}`);
+    }
+    if (!Number.isFinite(value) || value < 0) {
+      fail(`stat ${key} must be a number of at least 0`);
+    }
+  });
+
+  if (raw.collectionTime !== undefined && !(raw.collectionTime > 0)) {
+    fail('collectionTime must be a positive number of ms');
+  }
+  if (raw.maxStack !== undefined && !(Number.isInteger(raw.maxStack) && raw.maxStack > 0)) {
+    fail('maxStack must be a positive whole number');
+  }
+  if (raw.weight !== undefined && !(Number.isFinite(raw.weight) && raw.weight >= 0)) {
+    fail('weight must be a number of at least 0');
+  }
+  if (raw.durability !== undefined && raw.durability !== null && !(Number.isInteger(raw.durability) && raw.durability > 0)) {
+    fail('durability must be a positive whole number, or null for items that never wear out');
+  }
+
+  const effects = raw.effects === undefined ? [] : raw.effects;
+  if (!Array.isArray(effects)) {
+    fail('effects must be a list of status effect ids');
+  }
+  effects.forEach(effectId => {
+    if (!effectIds.includes(effectId)) {
+      fail(`uses unknown status effect "${effectId}"`);
+    }
+  });
+  const onHit = raw.onHit === undefined ? [] : raw.onHit;
+  if (!Array.isArray(onHit)) {
+    fail('onHit must be a list of { effectId, chance }');
+  }
+  onHit.forEach(entry => {
+    if (!isPlainObject(entry) || !effectIds.includes(entry.effectId)) {
+      fail(`onHit uses unknown status effect "${entry && entry.effectId}"`);
+    }
+    if (!(entry.chance > 0 && entry.chance <= 1)) {
+      fail(`onHit chance for "${entry.effectId}" must be above 0 and at most 1`);
+    }
+  });
+
+  const properties = { effects, onHit };
+  ['maxStack', 'weight', 'durability'].forEach(key => {
+    if (raw[key] !== undefined) properties[key] = raw[key];
+  });
+  return new ItemTemplate(raw.id, raw.name, raw.type, raw.rarity, raw.description || '', raw.imageUrl,
+    stats, raw.collectionTime, properties);
 };
 
+// Check a raw item config ({ templates: [...] }) and build its templates,
+// throwing an ItemConfigError on anything invalid
+// Returns templates by id
+function validateItemConfig(raw, publicDir = PUBLIC_DIR) {
+  if (!isPlainObject(raw) || !Array.isArray(raw.templates) || raw.templates.length === 0) {
+    throw new ItemConfigError('Item config must be an object with a list of templates');
+  }
+  // Required here rather than at the top - effects needs this module first
+  const effectIds = Object.keys(require('./effects').STATUS_EFFECTS);
+
+  const templates = {};
+  raw.templates.forEach((entry, index) => {
+    const template = validateTemplate(entry, index, { publicDir, effectIds });
+    if (templates[template.id]) {
+      throw new ItemConfigError(`Item template id "${template.id}" is used more than once`);
+    }
+    templates[template.id] = template;
+  });
+  return templates;
+}
+
+// Read and validate an item config file - JSON, or YAML if it ends in .yaml or .yml
+function loadItemConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    const text = fs.readFileSync(filePath, 'utf8');
+    raw = /\.ya?ml$/i.test(filePath) ? yaml.load(text) : JSON.parse(text);
+  } catch (error) {
+    throw new ItemConfigError(`Could not read item config ${filePath}: ${error.message}`);
+  }
+  return validateItemConfig(raw);
+}
+
+// Swap in a new set of templates
+// Returns the ids that were added and changed
+function useItemTemplates(templates) {
+  const added = Object.keys(templates).filter(id => !ITEM_TEMPLATES[id]);
+  const changed = Object.keys(templates)
+    .filter(id => ITEM_TEMPLATES[id] && JSON.stringify(ITEM_TEMPLATES[id]) !== JSON.stringify(templates[id]));
+
+  Object.keys(ITEM_TEMPLATES).forEach(id => delete ITEM_TEMPLATES[id]);
+  Object.assign(ITEM_TEMPLATES, templates);
+  return { added, changed };
+}
+
+// Load the item config again and swap its templates in
+// Items in the world and in inventories may still use any template, so none can be taken out
+function reloadItemTemplates(filePath = DEFAULT_CONFIG_PATH) {
+  const templates = loadItemConfig(filePath);
+  const missing = Object.keys(ITEM_TEMPLATES).filter(id => !templates[id]);
+  if (missing.length > 0) {
+    throw new ItemConfigError(`Item templates can't be removed while the server is running - ${missing.join(', ')} ${missing.length > 1 ? 'are' : 'is'} missing`);
+  }
+  return useItemTemplates(templates);
+}
+
 // Function to create an item from a template
 function createItemFromTemplate(templateId, customProperties = {}) {
   const template = ITEM_TEMPLATES[templateId];
@@ -94,9 +274,40 @@ function createItemFromTemplate(templateId, customProperties = {}) {
   return template.createItem(customProperties);
 }
 
+function getItemTemplate(item) {
+  return (item && ITEM_TEMPLATES[item.templateId]) || null;
+}
+
+// Display name of an item - an instance can override its template's name
+function getItemName(item) {
+  const template = getItemTemplate(item);
+  return item.name || (template ? template.name : 'Unknown item');
+}
+
+// Gold a collectible turns into when picked up - dropped purses carry their own value
+function getGoldValue(item) {
+  const template = getItemTemplate(item);
+  if (!template || template.type !== ItemTypes.COLLECTIBLE) return 0;
+  return item.value !== undefined ? item.value : (template.stats.value || 0) * (item.quantity || 1);
+}
+
 module.exports = {
+  DEFAULT_CONFIG_PATH,
+  DEFAULT_COLLECTION_TIME,
   ItemTypes,
+  RARITIES,
+  RARITY_COLORS,
+  STAT_KEYS,
   ItemTemplate,
+  ItemConfigError,
   ITEM_TEMPLATES,
-  createItemFromTemplate
+  validateItemConfig,
+  loadItemConfig,
+  useItemTemplates,
+  reloadItemTemplates,
+  getPlaceholderImageUrl,
+  createItemFromTemplate,
+  getItemTemplate,
+  getItemName,
+  getGoldValue
 };
@@ -0,0 +1,159 @@
+// Leaderboards - ranking players by gold, level, kills and items collected
+//
+// Each player keeps running totals and per-day counts of what they earned and
+// did (UTC days, the last couple of weeks' worth), saved with the player. The
+// all-time boards rank by what players have now - gold held, level - or by
+// their totals; the daily and weekly boards add up the days in the window, so
+// gold and level become gold earned and XP gained there.
+const { GoldSources } = require('./economy');
+
+const Leaderboards = {
+  GOLD: 'gold',
+  LEVEL: 'level',
+  KILLS: 'kills',  // players knocked out and monsters defeated
+  ITEMS: 'items'   // world items picked up
+};
+
+const LeaderboardWindows = {
+  DAILY: 'daily',     // today, UTC
+  WEEKLY: 'weekly',   // since Monday, UTC
+  ALL_TIME: 'all_time'
+};
+
+// What each board counts from a player's activity
+const ACTIVITY_STATS = {
+  [Leaderboards.GOLD]: 'gold',
+  [Leaderboards.LEVEL]: 'xp',
+  [Leaderboards.KILLS]: 'kills',
+  [Leaderboards.ITEMS]: 'items'
+};
+
+// Gold that counts as earned - moving gold between players or admin edits doesn't
+const EARNING_SOURCES = [
+  GoldSources.COLLECT,
+  GoldSources.PARTY_SHARE,
+  GoldSources.QUEST,
+  GoldSources.SHOP_SELL,
+  GoldSources.TERRITORY,
+  GoldSources.ACHIEVEMENT
+];
+
+const DAY = 24 * 60 * 60 * 1000;
+const DAYS_KEPT = 14;
+const MAX_LIMIT = 100;
+
+class LeaderboardError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LeaderboardError';
+  }
+}
+
+// UTC day a time falls on, as YYYY-MM-DD
+const dayKey = (time) => new Date(time).toISOString().slice(0, 10);
+
+// The first day in a window - null for all time
+const windowStart = (window, now) => {
+  if (window === LeaderboardWindows.DAILY) return dayKey(now);
+  if (window === LeaderboardWindows.WEEKLY) {
+    const daysSinceMonday = (new Date(now).getUTCDay() + 6) % 7;
+    return dayKey(now - daysSinceMonday * DAY);
+  }
+  return null;
+};
+
+const createActivity = () => ({
+  totals: {}, // stat -> amount since the player started
+  days: {}    // YYYY-MM-DD -> { stat -> amount }
+});
+
+// Players saved before leaderboards existed
+const ensureActivity = (player) => {
+  if (!player.activity) {
+    player.activity = createActivity();
+  }
+  return player.activity;
+};
+
+// Count something a player did towards the boards
+function recordActivity(player, stat, amount, now = Date.now()) {
+  if (!(amount > 0)) return;
+  const activity = ensureActivity(player);
+  const today = dayKey(now);
+
+  activity.totals[stat] = (activity.totals[stat] || 0) + amount;
+  activity.days[today] = activity.days[today] || {};
+  activity.days[today][stat] = (activity.days[today][stat] || 0) + amount;
+
+  // Days older than any window are dropped
+  const oldest = dayKey(now - DAYS_KEPT * DAY);
+  Object.keys(activity.days).filter(day => day < oldest).forEach(day => delete activity.days[day]);
+}
+
+// Count gold from a ledger entry if it was earned
+function recordGoldActivity(player, entry) {
+  if (entry.amount > 0 && EARNING_SOURCES.includes(entry.source)) {
+    recordActivity(player, 'gold', entry.amount, entry.time);
+  }
+}
+
+// A player's score on a board
+const scoreFor = (player, board, window, now) => {
+  const activity = player.activity || createActivity();
+  const stat = ACTIVITY_STATS[board];
+  const start = windowStart(window, now);
+
+  if (start === null) {
+    if (board === Leaderboards.GOLD) return player.gold || 0;
+    if (board === Leaderboards.LEVEL) return player.level || 1;
+    return activity.totals[stat] || 0;
+  }
+  return Object.entries(activity.days)
+    .filter(([day]) => day >= start)
+    .reduce((sum, [, counts]) => sum + (counts[stat] || 0), 0);
+};
+
+// Rank players on a board
+// Returns { board, window, entries: [{ rank, playerId, name, level, score }] }
+function getLeaderboard(playerList, board, window = LeaderboardWindows.ALL_TIME, { now = Date.now(), limit = 10 } = {}) {
+  if (!Object.values(Leaderboards).includes(board)) {
+    throw new LeaderboardError(`Unknown leaderboard "${board}" - try ${Object.values(Leaderboards).join(', ')}`);
+  }
+  if (!Object.values(LeaderboardWindows).includes(window)) {
+    throw new LeaderboardError(`Unknown window "${window}" - try ${Object.values(LeaderboardWindows).join(', ')}`);
+  }
+
+  const ranked = playerList
+    .map(player => ({ player, score: scoreFor(player, board, window, now) }))
+    .filter(({ score }) => score > 0)
+    // Level ties go to whoever is further into the level
+    .sort((a, b) => b.score - a.score ||
+      (board === Leaderboards.LEVEL && window === LeaderboardWindows.ALL_TIME ? (b.player.xp || 0) - (a.player.xp || 0) : 0));
+
+  return {
+    board,
+    window,
+    entries: ranked.slice(0, Math.min(Math.max(1, limit), MAX_LIMIT)).map(({ player, score }, index) => ({
+      rank: index + 1,
+      playerId: player.id,
+      name: player.name,
+      level: player.level,
+      score: score
+    })),
+    // Where a given player stands, for showing "you are #12"
+    rankOf: (playerId) => {
+      const index = ranked.findIndex(({ player }) => player.id === playerId);
+      return index === -1 ? null : index + 1;
+    }
+  };
+}
+
+module.exports = {
+  Leaderboards,
+  LeaderboardWindows,
+  LeaderboardError,
+  createActivity,
+  recordActivity,
+  recordGoldActivity,
+  getLeaderboard
+};
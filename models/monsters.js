@@ -0,0 +1,396 @@
+// Monster system - server-controlled creatures that roam spawn zones
+//
+// Monster templates work like item templates: they hold what every monster of a
+// kind shares - hp, damage, how close a player has to come before it gives
+// chase, how fast it moves and what it drops. Where monsters live comes from
+// config/monsters.json. On each update a monster wanders around its home,
+// chases and attacks the nearest player in its aggro radius, and walks back
+// home (healing as it goes) once it strays past its leash.
+// Every radius and range is in meters, speeds are in meters per second.
+const fs = require('fs');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const { ITEM_TEMPLATES, createItemFromTemplate } = require('./items');
+const { getDefense } = require('./combat');
+const { distance, bearing, destination, randomPointWithin } = require('../lib/geo');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'monsters.json');
+
+const LOOT_SCATTER_RADIUS = 5; // meters
+const WANDER_CHANCE = 0.2;     // chance per second that an idle monster sets off somewhere new
+
+const MonsterStates = {
+  IDLE: 'idle',           // wandering around home
+  CHASING: 'chasing',     // after a player
+  RETURNING: 'returning', // leashed - walking home and ignoring everyone
+  DEAD: 'dead'
+};
+
+// Behaviour for templates that don't say otherwise
+const BEHAVIOR_DEFAULTS = {
+  attackCooldown: 2000, // ms between attacks
+  attackRange: 10,
+  aggroRadius: 30,
+  leashRadius: 120,     // how far from home it follows a player
+  wanderRadius: 40,
+  speed: 3
+};
+
+// Base monster template
+// stats: { hp, damage, xp }, loot: [{ templateId, chance, min, max }] with each
+// entry rolled on its own, behavior: anything in BEHAVIOR_DEFAULTS
+class MonsterTemplate {
+  constructor(id, name, level, icon, stats, loot = [], behavior = {}) {
+    this.id = id;
+    this.name = name;
+    this.level = level;
+    this.icon = icon; // shown on the map
+    this.stats = stats;
+    this.loot = loot.map(entry => ({ min: 1, max: 1, ...entry }));
+    Object.assign(this, BEHAVIOR_DEFAULTS, behavior);
+  }
+
+  // A new monster of this kind living at home
+  createMonster(home, zoneId, now = Date.now()) {
+    return {
+      monsterId: `${this.id}-${uuidv4()}`,
+      templateId: this.id,
+      zoneId: zoneId,
+      home: home,
+      position: home,
+      hp: this.stats.hp,
+      maxHp: this.stats.hp,
+      state: MonsterStates.IDLE,
+      targetId: null,
+      wanderTo: null,
+      attackReadyAt: now,
+      updatedAt: now
+    };
+  }
+}
+
+// Monster templates
+const MONSTER_TEMPLATES = {
+  'sewer-rat': new MonsterTemplate(
+    'sewer-rat',
+    'Sewer Rat',
+    1,
+    '🐀',
+    { hp: 20, damage: 3, xp: 10 },
+    [
+      { templateId: 'gold-coin', chance: 0.6, min: 1, max: 3 },
+      { templateId: 'healing-herb', chance: 0.3 },
+      { templateId: 'health-potion', chance: 0.1 }
+    ],
+    { aggroRadius: 20, speed: 3 }
+  ),
+  'stray-dog': new MonsterTemplate(
+    'stray-dog',
+    'Stray Dog',
+    2,
+    '🐕',
+    { hp: 35, damage: 5, xp: 20 },
+    [
+      { templateId: 'gold-coin', chance: 0.5, min: 2, max: 5 },
+      { templateId: 'health-potion', chance: 0.2 },
+      { templateId: 'leather-armor', chance: 0.05 }
+    ],
+    { attackCooldown: 1500, aggroRadius: 35, speed: 5 }
+  ),
+  'street-thug': new MonsterTemplate(
+    'street-thug',
+    'Street Thug',
+    4,
+    '🦹',
+    { hp: 80, damage: 9, xp: 50 },
+    [
+      { templateId: 'gold-coin', chance: 0.9, min: 5, max: 15 },
+      { templateId: 'might-tonic', chance: 0.1 },
+      { templateId: 'iron-sword', chance: 0.1 },
+      { templateId: 'venom-dagger', chance: 0.05 }
+    ],
+    { attackCooldown: 2500, aggroRadius: 30, leashRadius: 150, speed: 4 }
+  )
+};
+
+class MonsterConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MonsterConfigError';
+  }
+}
+
+const requirePositive = (value, description) => {
+  if (!(value > 0)) {
+    throw new MonsterConfigError(`${description} must be a positive number`);
+  }
+  return value;
+};
+
+// Turn a zone's monster list into [{ templateId, weight }]
+const normalizeMonsterTable = (label, entries) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new MonsterConfigError(`${label} must list at least one monster template`);
+  }
+  return entries.map(entry => {
+    const templateId = typeof entry === 'string' ? entry : entry.templateId;
+    if (!MONSTER_TEMPLATES[templateId]) {
+      throw new MonsterConfigError(`${label} references unknown monster template "${templateId}"`);
+    }
+    const weight = typeof entry === 'object' && entry.weight !== undefined ? entry.weight : 1;
+    return { templateId, weight: requirePositive(weight, `${label} weight for "${templateId}"`) };
+  });
+};
+
+// Check a raw monster config and fill in defaults, throwing a MonsterConfigError on anything invalid
+function validateMonsterConfig(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new MonsterConfigError('Monster config must be an object');
+  }
+  const respawnDelay = requirePositive(raw.respawnDelay || 30000, 'respawnDelay');
+
+  const zones = (raw.zones || []).map((zone, index) => {
+    const label = `Zone "${zone.id || index}"`;
+    if (!zone.id) {
+      throw new MonsterConfigError(`Zone ${index} needs an id`);
+    }
+    if (!zone.center || !Number.isFinite(zone.center.lat) || !Number.isFinite(zone.center.lng)) {
+      throw new MonsterConfigError(`${label} needs a center with lat and lng`);
+    }
+    return {
+      id: zone.id,
+      name: zone.name || zone.id,
+      center: zone.center,
+      radius: requirePositive(zone.radius, `${label} radius`),
+      monsters: normalizeMonsterTable(label, zone.monsters),
+      maxMonsters: requirePositive(zone.maxMonsters, `${label} maxMonsters`),
+      respawnDelay: zone.respawnDelay ? requirePositive(zone.respawnDelay, `${label} respawnDelay`) : respawnDelay
+    };
+  });
+
+  const ids = zones.map(zone => zone.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new MonsterConfigError(`Zone id "${duplicate}" is used more than once`);
+  }
+  return { respawnDelay, zones };
+}
+
+// Read and validate a monster config file
+function loadMonsterConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new MonsterConfigError(`Could not read monster config ${filePath}: ${error.message}`);
+  }
+  return validateMonsterConfig(raw);
+}
+
+function getMonsterTemplate(monster) {
+  return (monster && MONSTER_TEMPLATES[monster.templateId]) || null;
+}
+
+// What players are allowed to see about a monster
+const toPublicMonster = (monster) => {
+  const template = getMonsterTemplate(monster);
+  return {
+    monsterId: monster.monsterId,
+    templateId: monster.templateId,
+    name: template.name,
+    icon: template.icon,
+    level: template.level,
+    position: monster.position,
+    hp: monster.hp,
+    maxHp: monster.maxHp,
+    state: monster.state
+  };
+};
+
+// Step from one position towards another, stopping short by `stopAt` meters
+const moveToward = (from, to, meters, stopAt = 0) => {
+  const remaining = distance(from, to) - stopAt;
+  if (remaining <= 0) return from;
+  return destination(from, bearing(from, to), Math.min(remaining, meters));
+};
+
+class MonsterManager {
+  constructor(config, random = Math.random) {
+    this.config = config;
+    this.random = random;
+    this.monsters = new Map();    // monsterId -> monster
+    this.nextSpawnAt = new Map(); // zoneId -> when the zone may spawn again
+  }
+
+  get(monsterId) {
+    return this.monsters.get(monsterId) || null;
+  }
+
+  list() {
+    return Array.from(this.monsters.values());
+  }
+
+  // Weighted pick from a zone's monster list
+  rollTemplate(zone) {
+    const total = zone.monsters.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.random() * total;
+    for (const entry of zone.monsters) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.templateId;
+    }
+    return zone.monsters[zone.monsters.length - 1].templateId;
+  }
+
+  // Fill each zone on the first pass, then replace the fallen one at a time, at
+  // most once per respawn delay
+  // Returns the new monsters
+  spawn(now = Date.now()) {
+    const spawned = [];
+    this.config.zones.forEach(zone => {
+      const firstPass = !this.nextSpawnAt.has(zone.id);
+      if (!firstPass && this.nextSpawnAt.get(zone.id) > now) return;
+      const count = this.list().filter(monster => monster.zoneId === zone.id).length;
+      const wanted = firstPass ? zone.maxMonsters - count : Math.min(1, zone.maxMonsters - count);
+      if (wanted <= 0) return;
+
+      for (let i = 0; i < wanted; i++) {
+        const template = MONSTER_TEMPLATES[this.rollTemplate(zone)];
+        const monster = template.createMonster(randomPointWithin(zone.center, zone.radius, this.random), zone.id, now);
+        this.monsters.set(monster.monsterId, monster);
+        spawned.push(monster);
+      }
+      this.nextSpawnAt.set(zone.id, now + zone.respawnDelay);
+    });
+    return spawned;
+  }
+
+  // The player a monster should go after - who it is already chasing if they're
+  // still fair game, otherwise the nearest player in its aggro radius
+  findTarget(monster, template, candidates) {
+    const current = candidates.find(player => player.id === monster.targetId);
+    if (current && distance(current.position, monster.home) <= template.leashRadius) {
+      return current;
+    }
+
+    let nearest = null;
+    let nearestDistance = template.aggroRadius;
+    candidates.forEach(player => {
+      const playerDistance = distance(player.position, monster.position);
+      if (playerDistance <= nearestDistance) {
+        nearest = player;
+        nearestDistance = playerDistance;
+      }
+    });
+    return nearest;
+  }
+
+  // Move, chase and attack for every monster
+  // candidates are the players monsters may go after (alive and online)
+  // Returns { changed, attacks } - attacks are [{ monster, player, damage }] for the caller to apply
+  update(candidates, now = Date.now()) {
+    const attacks = [];
+    let changed = false;
+
+    this.monsters.forEach(monster => {
+      const template = getMonsterTemplate(monster);
+      const elapsed = Math.max(0, now - monster.updatedAt) / 1000;
+      const step = template.speed * elapsed;
+      const before = monster.position;
+      const beforeState = monster.state;
+      monster.updatedAt = now;
+
+      // Strayed too far - give up the chase and head home
+      if (monster.state !== MonsterStates.RETURNING && distance(monster.position, monster.home) > template.leashRadius) {
+        monster.state = MonsterStates.RETURNING;
+        monster.targetId = null;
+      }
+
+      if (monster.state === MonsterStates.RETURNING) {
+        monster.position = moveToward(monster.position, monster.home, step * 2);
+        if (distance(monster.position, monster.home) < 1) {
+          monster.state = MonsterStates.IDLE;
+          monster.hp = monster.maxHp;
+        }
+      } else {
+        const target = this.findTarget(monster, template, candidates);
+        monster.targetId = target ? target.id : null;
+        monster.state = target ? MonsterStates.CHASING : MonsterStates.IDLE;
+
+        if (target && distance(monster.position, target.position) <= template.attackRange) {
+          if (now >= monster.attackReadyAt) {
+            monster.attackReadyAt = now + template.attackCooldown;
+            attacks.push({
+              monster: monster,
+              player: target,
+              damage: Math.max(1, template.stats.damage - getDefense(target, now))
+            });
+          }
+        } else if (target) {
+          monster.position = moveToward(monster.position, target.position, step, template.attackRange * 0.8);
+        } else {
+          this.wander(monster, template, step, elapsed);
+        }
+      }
+
+      if (monster.position !== before || monster.state !== beforeState) {
+        changed = true;
+      }
+    });
+
+    return { changed, attacks };
+  }
+
+  // Amble about near home every now and then
+  wander(monster, template, step, elapsed) {
+    if (!monster.wanderTo && this.random() < WANDER_CHANCE * elapsed) {
+      monster.wanderTo = randomPointWithin(monster.home, template.wanderRadius, this.random);
+    }
+    if (!monster.wanderTo) return;
+
+    monster.position = moveToward(monster.position, monster.wanderTo, step / 2);
+    if (distance(monster.position, monster.wanderTo) < 1) {
+      monster.wanderTo = null;
+    }
+  }
+
+  // Hit a monster - it turns on whoever hit it unless it is on its way home
+  // Returns true if the hit killed it
+  damage(monster, attackerId, amount) {
+    monster.hp = Math.max(0, monster.hp - amount);
+    if (monster.state !== MonsterStates.RETURNING) {
+      monster.targetId = attackerId;
+      monster.state = MonsterStates.CHASING;
+    }
+    if (monster.hp > 0) return false;
+
+    monster.state = MonsterStates.DEAD;
+    this.monsters.delete(monster.monsterId);
+    return true;
+  }
+
+  // Roll a dead monster's loot table - returns world items scattered around where it fell
+  rollLoot(monster) {
+    const template = getMonsterTemplate(monster);
+    return template.loot
+      .filter(entry => ITEM_TEMPLATES[entry.templateId] && this.random() < entry.chance)
+      .map(entry => createItemFromTemplate(entry.templateId, {
+        quantity: entry.min + Math.floor(this.random() * (entry.max - entry.min + 1)),
+        position: randomPointWithin(monster.position, LOOT_SCATTER_RADIUS, this.random),
+        spawnZone: null,
+        collectionTime: 1000
+      }));
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  MONSTER_TEMPLATES,
+  MonsterStates,
+  MonsterTemplate,
+  MonsterConfigError,
+  MonsterManager,
+  getMonsterTemplate,
+  toPublicMonster,
+  validateMonsterConfig,
+  loadMonsterConfig
+};
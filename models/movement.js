@@ -0,0 +1,161 @@
+
+// Movement validation - server-side rules for update_position
+//
+// Each player has an anchor (their real GPS position) and a position they have
+// moved to on the map. The anchor can only move at a believable speed and the
+// position has to stay on a leash around the anchor. Breaking a rule rejects the
+// update and adds violation points; enough points flag the player for review.
+const { distance } = require('../lib/geo');
+const { getModifier } = require('./effects');
+
+const MOVEMENT_RULES = {
+  leashRadius: 100,   // meters, the click-to-move circle around the GPS position
+  leashTolerance: 5,  // meters of slack for rounding between client and server
+  maxAnchorSpeed: 50, // meters per second (a fast car)
+  gpsJitter: 30       // meters a GPS fix can jump without moving
+};
+
+// Points added per violation, and how they decay
+const VIOLATION_POINTS = {
+  invalid: 5,
+  speed: 3,
+  leash: 2
+};
+const SCORE_DECAY_PER_SECOND = 0.1;
+const FLAG_THRESHOLD = 20;
+const MAX_LOG_ENTRIES = 500;
+
+// playerId -> { score, scoredAt, anchorFixed, anchorAt }
+const tracking = new Map();
+
+// Suspicious movement, newest last
+const movementLog = [];
+
+const isValidPosition = (position) =>
+  position !== null &&
+  typeof position === 'object' &&
+  typeof position.lat === 'number' &&
+  typeof position.lng === 'number' &&
+  Number.isFinite(position.lat) &&
+  Number.isFinite(position.lng) &&
+  Math.abs(position.lat) <= 90 &&
+  Math.abs(position.lng) <= 180;
+
+const getTracking = (playerId) => {
+  if (!tracking.has(playerId)) {
+    tracking.set(playerId, { score: 0, scoredAt: 0, anchorFixed: false, anchorAt: 0 });
+  }
+  return tracking.get(playerId);
+};
+
+// Called when a player (re)connects
+// Only a player who has never had a GPS fix gets their first one trusted - anyone
+// else is speed checked from their last fix, however long ago that was, so
+// reconnecting is no way to jump across the map
+function resetMovementTracking(player) {
+  const entry = getTracking(player.id);
+  entry.anchorFixed = Number.isFinite(player.anchorAt);
+  entry.anchorAt = entry.anchorFixed ? player.anchorAt : 0;
+  if (!isValidPosition(player.anchor)) {
+    player.anchor = { ...player.position };
+  }
+}
+
+function clearMovementTracking(playerId) {
+  tracking.delete(playerId);
+}
+
+// Check a position update: { position, gpsPosition? }
+// Returns { position, anchor } to apply, or { violation: { reason, message } }
+function checkMovement(player, update, now = Date.now()) {
+  const entry = getTracking(player.id);
+  const reportedAnchor = update.gpsPosition;
+
+  if (!isValidPosition(update.position) || (reportedAnchor !== undefined && !isValidPosition(reportedAnchor))) {
+    return { violation: { reason: 'invalid', message: 'Invalid coordinates' } };
+  }
+
+  let anchor = player.anchor;
+  if (reportedAnchor) {
+    if (entry.anchorFixed) {
+      const elapsed = Math.max(0, now - entry.anchorAt) / 1000;
+      const allowed = MOVEMENT_RULES.maxAnchorSpeed * elapsed + MOVEMENT_RULES.gpsJitter;
+      if (distance(anchor, reportedAnchor) > allowed) {
+        return { violation: { reason: 'speed', message: 'You are moving too fast' } };
+      }
+    }
+    anchor = { lat: reportedAnchor.lat, lng: reportedAnchor.lng };
+  }
+
+  // Swiftness and the like lengthen the leash while they last
+  const position = { lat: update.position.lat, lng: update.position.lng };
+  const leashRadius = MOVEMENT_RULES.leashRadius + getModifier(player, 'moveRadius', now);
+  if (distance(anchor, position) > leashRadius + MOVEMENT_RULES.leashTolerance) {
+    return { violation: { reason: 'leash', message: 'That is outside your movement radius' } };
+  }
+
+  if (reportedAnchor) {
+    entry.anchorFixed = true;
+    entry.anchorAt = now;
+    // Kept on the player so it survives reconnects and restarts
+    player.anchorAt = now;
+  }
+  return { position, anchor };
+}
+
+// Score a rejected update and log it
+// Returns the player's score and whether this violation flagged them
+function recordViolation(player, violation, update, now = Date.now()) {
+  const entry = getTracking(player.id);
+
+  // Old violations count for less as time goes on
+  const elapsed = Math.max(0, now - entry.scoredAt) / 1000;
+  entry.score = Math.max(0, entry.score - elapsed * SCORE_DECAY_PER_SECOND);
+  entry.score += VIOLATION_POINTS[violation.reason] || 1;
+  entry.scoredAt = now;
+
+  const newlyFlagged = !player.flagged && entry.score >= FLAG_THRESHOLD;
+  if (newlyFlagged) {
+    player.flagged = true;
+    player.flaggedAt = now;
+  }
+
+  movementLog.push({
+    time: now,
+    playerId: player.id,
+    name: player.name,
+    reason: violation.reason,
+    reported: {
+      position: update.position,
+      gpsPosition: update.gpsPosition
+    },
+    position: player.position,
+    anchor: player.anchor,
+    score: Math.round(entry.score * 10) / 10,
+    flagged: Boolean(player.flagged)
+  });
+  if (movementLog.length > MAX_LOG_ENTRIES) {
+    movementLog.splice(0, movementLog.length - MAX_LOG_ENTRIES);
+  }
+
+  return { score: entry.score, newlyFlagged };
+}
+
+// Suspicious movement for admins, newest first
+function getMovementLog({ playerId = null, limit = 100 } = {}) {
+  return movementLog
+    .filter(entry => !playerId || entry.playerId === playerId)
+    .slice(-limit)
+    .reverse();
+}
+
+module.exports = {
+  MOVEMENT_RULES,
+  FLAG_THRESHOLD,
+  isValidPosition,
+  resetMovementTracking,
+  clearMovementTracking,
+  checkMovement,
+  recordViolation,
+  getMovementLog
+};
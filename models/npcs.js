@@ -0,0 +1,51 @@
+
+// NPC definitions - characters placed on the map that players can talk to
+const { distance } = require('../lib/geo');
+
+const NPC_INTERACT_RANGE = 30; // meters
+
+const NPCS = {
+  'old-man': {
+    id: 'old-man',
+    name: 'Old Man',
+    description: 'A weathered traveller who has seen better days',
+    position: { lat: 40.7129, lng: -74.0061 },
+    greeting: 'Ah, a new face! Could you help an old man out?'
+  },
+  'blacksmith': {
+    id: 'blacksmith',
+    name: 'Greta the Blacksmith',
+    description: 'Always looking for good iron',
+    position: { lat: 40.7133, lng: -74.0054 },
+    greeting: 'Bring me iron and I will make it worth your while.'
+  },
+  'park-ranger': {
+    id: 'park-ranger',
+    name: 'Park Ranger',
+    description: 'Keeps an eye on the city parks',
+    position: { lat: 40.7124, lng: -74.0066 },
+    greeting: 'Stay safe out there, adventurer.'
+  },
+  'merchant': {
+    id: 'merchant',
+    name: 'Marco the Merchant',
+    description: 'Buys anything, sells whatever he has',
+    position: { lat: 40.7126, lng: -74.0058 },
+    greeting: 'Everything has a price, friend. Care to browse?'
+  }
+};
+
+function getNpc(npcId) {
+  return Object.hasOwn(NPCS, npcId) ? NPCS[npcId] : null;
+}
+
+function isInNpcRange(player, npc) {
+  return distance(npc.position, player.position) <= NPC_INTERACT_RANGE;
+}
+
+module.exports = {
+  NPC_INTERACT_RANGE,
+  NPCS,
+  getNpc,
+  isInNpcRange
+};
@@ -0,0 +1,221 @@
+
+// Parties - small temporary groups of allies
+//
+// The leader invites players, who join by accepting. Party members can't hurt
+// each other, always see each other on the map and share rewards earned near
+// each other. A party only lives in memory and breaks up when one member is left.
+const { v4: uuidv4 } = require('uuid');
+const { distance } = require('../lib/geo');
+const { isAlive } = require('./combat');
+
+const MAX_PARTY_SIZE = 5;
+const PARTY_INVITE_TIMEOUT = 60 * 1000; // invites lapse after a minute
+const PARTY_SHARE_RANGE = 100; // meters - members this close share XP and gold
+
+const parties = new Map();       // partyId -> party
+const playerParties = new Map(); // playerId -> partyId
+const partyInvites = new Map();  // invited playerId -> { partyId, inviterId, expiresAt }
+
+class PartyError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PartyError';
+  }
+}
+
+function getPlayerParty(playerId) {
+  const partyId = playerParties.get(playerId);
+  return partyId ? parties.get(partyId) : null;
+}
+
+// Are two players in the same party?
+function areAllies(aId, bId) {
+  const party = getPlayerParty(aId);
+  return Boolean(party) && aId !== bId && party.members.includes(bId);
+}
+
+// Invite a player, starting a new party led by the inviter if they aren't in one
+function inviteToParty(inviter, target, now = Date.now()) {
+  if (inviter.id === target.id) {
+    throw new PartyError("You can't invite yourself");
+  }
+  if (getPlayerParty(target.id)) {
+    throw new PartyError(`${target.name} is already in a party`);
+  }
+  const pending = partyInvites.get(target.id);
+  if (pending && pending.expiresAt >= now) {
+    throw new PartyError(`${target.name} already has a party invite waiting`);
+  }
+
+  let party = getPlayerParty(inviter.id);
+  if (party && party.leaderId !== inviter.id) {
+    throw new PartyError('Only the party leader can invite players');
+  }
+  if (party && party.members.length >= MAX_PARTY_SIZE) {
+    throw new PartyError(`Parties can have at most ${MAX_PARTY_SIZE} members`);
+  }
+
+  if (!party) {
+    party = { id: uuidv4(), leaderId: inviter.id, members: [inviter.id], createdAt: now };
+    parties.set(party.id, party);
+    playerParties.set(inviter.id, party.id);
+  }
+
+  partyInvites.set(target.id, { partyId: party.id, inviterId: inviter.id, expiresAt: now + PARTY_INVITE_TIMEOUT });
+  // An expired invite it replaces may have been all that kept another party going
+  const replacedParty = pending && pending.partyId !== party.id && parties.get(pending.partyId);
+  if (replacedParty) disbandIfUnused(replacedParty);
+  return party;
+}
+
+// A party started by an invite nobody took up goes away again
+// Returns whether it did
+const disbandIfUnused = (party) => {
+  const pendingInvites = Array.from(partyInvites.values()).some(invite => invite.partyId === party.id);
+  if (party.members.length <= 1 && !pendingInvites) {
+    party.members.forEach(id => playerParties.delete(id));
+    parties.delete(party.id);
+    return true;
+  }
+  return false;
+};
+
+// Drop invites nobody answered in time, and the parties that were only waiting on them
+// Returns [{ inviteeId, invite, party, disbanded }]
+function expirePartyInvites(now = Date.now()) {
+  const expired = [];
+  partyInvites.forEach((invite, inviteeId) => {
+    if (invite.expiresAt >= now) return;
+    partyInvites.delete(inviteeId);
+    expired.push({ inviteeId, invite, party: parties.get(invite.partyId) || null });
+  });
+  return expired.map(entry => ({ ...entry, disbanded: Boolean(entry.party) && disbandIfUnused(entry.party) }));
+}
+
+// Take up a pending invite
+function acceptPartyInvite(playerId, now = Date.now()) {
+  const invite = partyInvites.get(playerId);
+  partyInvites.delete(playerId);
+
+  const party = invite && parties.get(invite.partyId);
+  if (!party || invite.expiresAt < now) {
+    if (party) disbandIfUnused(party);
+    throw new PartyError('That party invite is no longer valid');
+  }
+  if (getPlayerParty(playerId)) {
+    throw new PartyError('You are already in a party');
+  }
+  if (party.members.length >= MAX_PARTY_SIZE) {
+    throw new PartyError('That party is full');
+  }
+
+  party.members.push(playerId);
+  playerParties.set(playerId, party.id);
+  return party;
+}
+
+function declinePartyInvite(playerId) {
+  const invite = partyInvites.get(playerId);
+  partyInvites.delete(playerId);
+
+  const party = invite && parties.get(invite.partyId);
+  if (party) disbandIfUnused(party);
+  return invite || null;
+}
+
+// Drop a member, handing over leadership or disbanding as needed
+// Returns { party, disbanded } with the members left behind
+const removeMember = (party, playerId) => {
+  party.members = party.members.filter(id => id !== playerId);
+  playerParties.delete(playerId);
+
+  if (party.members.length <= 1) {
+    party.members.forEach(id => playerParties.delete(id));
+    parties.delete(party.id);
+    partyInvites.forEach((invite, inviteeId) => {
+      if (invite.partyId === party.id) partyInvites.delete(inviteeId);
+    });
+    return { party, disbanded: true };
+  }
+
+  if (party.leaderId === playerId) {
+    party.leaderId = party.members[0];
+  }
+  return { party, disbanded: false };
+};
+
+function leaveParty(playerId) {
+  const party = getPlayerParty(playerId);
+  if (!party) {
+    throw new PartyError('You are not in a party');
+  }
+  return removeMember(party, playerId);
+}
+
+function kickFromParty(leaderId, targetId) {
+  const party = getPlayerParty(leaderId);
+  if (!party || party.leaderId !== leaderId) {
+    throw new PartyError('Only the party leader can kick players');
+  }
+  if (targetId === leaderId || !party.members.includes(targetId)) {
+    throw new PartyError('That player is not in your party');
+  }
+  return removeMember(party, targetId);
+}
+
+// Party members (including the player) close enough to share a reward
+function getShareRecipients(playerId, position, players) {
+  const party = getPlayerParty(playerId);
+  if (!party) return [playerId];
+
+  return party.members.filter(id => {
+    if (id === playerId) return true;
+    const member = players[id];
+    return Boolean(member) && member.online !== false && isAlive(member) &&
+      distance(member.position, position) <= PARTY_SHARE_RANGE;
+  });
+}
+
+// Split an amount evenly, giving any remainder to the first recipients
+function splitAmount(amount, recipientIds) {
+  const whole = Math.floor(amount);
+  const base = Math.floor(whole / recipientIds.length);
+  const remainder = whole - base * recipientIds.length;
+  return recipientIds.map((id, index) => ({ playerId: id, amount: base + (index < remainder ? 1 : 0) }));
+}
+
+// Party as sent to its members
+function toPartyView(party, players) {
+  return {
+    id: party.id,
+    leaderId: party.leaderId,
+    members: party.members.map(id => {
+      const member = players[id];
+      return {
+        id: id,
+        name: member ? member.name : 'Unknown',
+        level: member ? member.level : null,
+        hp: member ? member.hp : null,
+        maxHp: member ? member.maxHp : null,
+        online: Boolean(member && member.online !== false)
+      };
+    })
+  };
+}
+
+module.exports = {
+  MAX_PARTY_SIZE,
+  PARTY_SHARE_RANGE,
+  PartyError,
+  getPlayerParty,
+  areAllies,
+  inviteToParty,
+  acceptPartyInvite,
+  declinePartyInvite,
+  expirePartyInvites,
+  leaveParty,
+  kickFromParty,
+  getShareRecipients,
+  splitAmount,
+  toPartyView
+};
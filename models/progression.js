@@ -0,0 +1,135 @@
+
+// Progression system - XP, levelling and stat allocation
+
+// XP needed to go from a level to the next is baseXp * level^exponent
+const LEVEL_CURVE = {
+  baseXp: 100,
+  exponent: 1.5,
+  maxLevel: 50
+};
+
+// XP awarded for gameplay events
+const XP_REWARDS = {
+  // Collecting an item, scaled by the template rarity
+  collect: {
+    common: 5,
+    uncommon: 15,
+    rare: 40,
+    legendary: 100
+  },
+  attackHit: 2,
+  knockout: 50,
+  healPerPoint: 0.5 // per point of health restored on another player
+};
+
+const STAT_POINTS_PER_LEVEL = 3;
+const STAT_NAMES = ['strength', 'dexterity', 'intelligence', 'stamina'];
+
+const BASE_MAX_HP = 100;
+const BASE_STAMINA = 5;
+const BASE_INTELLIGENCE = 5;
+const BASE_DEXTERITY = 5;
+const HP_PER_STAMINA = 10; // max HP gained for each point of stamina above the base
+const HEAL_BONUS_PER_INTELLIGENCE = 0.05; // +5% healing per point of intelligence above the base
+const COLLECT_SPEED_PER_DEXTERITY = 0.05;  // +5% collection speed per point of dexterity above the base
+
+function xpToNextLevel(level) {
+  return Math.floor(LEVEL_CURVE.baseXp * Math.pow(level, LEVEL_CURVE.exponent));
+}
+
+function getMaxHp(player) {
+  const stamina = (player.stats && player.stats.stamina) || BASE_STAMINA;
+  return BASE_MAX_HP + Math.max(0, stamina - BASE_STAMINA) * HP_PER_STAMINA;
+}
+
+// Healing done by a player, boosted by their intelligence
+function getHealAmount(player, baseHeal) {
+  const intelligence = (player.stats && player.stats.intelligence) || BASE_INTELLIGENCE;
+  const bonus = Math.max(0, intelligence - BASE_INTELLIGENCE) * HEAL_BONUS_PER_INTELLIGENCE;
+  return Math.round(baseHeal * (1 + bonus));
+}
+
+// How long a player takes to collect an item, shortened by their dexterity
+// Only dexterity counts here on purpose - stamina already pays off in max HP,
+// and quick hands are what a timed pickup rewards
+function getCollectionTime(player, baseTime) {
+  const dexterity = (player.stats && player.stats.dexterity) || BASE_DEXTERITY;
+  const bonus = Math.max(0, dexterity - BASE_DEXTERITY) * COLLECT_SPEED_PER_DEXTERITY;
+  return Math.round(baseTime / (1 + bonus));
+}
+
+function getCollectXp(rarity) {
+  return XP_REWARDS.collect[rarity] || XP_REWARDS.collect.common;
+}
+
+// Keep stored values that depend on stats up to date
+function refreshDerivedStats(player) {
+  player.maxHp = getMaxHp(player);
+  player.xpToNextLevel = xpToNextLevel(player.level);
+  player.hp = Math.min(player.hp, player.maxHp);
+}
+
+// Add XP to a player, levelling them up as many times as it covers
+// Returns the number of levels gained
+function awardXp(player, amount) {
+  if (!(amount > 0) || player.level >= LEVEL_CURVE.maxLevel) return 0;
+
+  player.xp += Math.floor(amount);
+  let levelsGained = 0;
+
+  while (player.level < LEVEL_CURVE.maxLevel && player.xp >= xpToNextLevel(player.level)) {
+    player.xp -= xpToNextLevel(player.level);
+    player.level++;
+    player.statPoints = (player.statPoints || 0) + STAT_POINTS_PER_LEVEL;
+    levelsGained++;
+  }
+
+  if (player.level >= LEVEL_CURVE.maxLevel) {
+    player.xp = 0;
+  }
+
+  refreshDerivedStats(player);
+  // Levelling up fully restores health, but a knocked out player stays at 0 hp
+  // until they respawn (combat requires this module, so its isAlive can't be used here)
+  if (levelsGained > 0 && player.hp > 0) {
+    player.hp = player.maxHp;
+  }
+  return levelsGained;
+}
+
+// Spend unspent stat points on a stat
+function allocateStat(player, stat, points = 1) {
+  if (!STAT_NAMES.includes(stat)) {
+    throw new Error(`Unknown stat ${stat}`);
+  }
+  if (!Number.isInteger(points) || points < 1) {
+    throw new Error('Points must be a positive whole number');
+  }
+  if ((player.statPoints || 0) < points) {
+    throw new Error('Not enough stat points');
+  }
+
+  const previousMaxHp = getMaxHp(player);
+  player.stats[stat] += points;
+  player.statPoints -= points;
+
+  // Extra max HP from stamina comes with the health to fill it
+  refreshDerivedStats(player);
+  player.hp += player.maxHp - previousMaxHp;
+}
+
+module.exports = {
+  LEVEL_CURVE,
+  XP_REWARDS,
+  STAT_POINTS_PER_LEVEL,
+  STAT_NAMES,
+  BASE_MAX_HP,
+  xpToNextLevel,
+  getMaxHp,
+  getHealAmount,
+  getCollectionTime,
+  getCollectXp,
+  refreshDerivedStats,
+  awardXp,
+  allocateStat
+};
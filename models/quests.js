@@ -0,0 +1,313 @@
+
+// Quest definitions and per-player quest progress
+const { ITEM_TEMPLATES } = require('./items');
+const { MONSTER_TEMPLATES } = require('./monsters');
+const { countItems, removeByTemplate } = require('./inventory');
+const { distance } = require('../lib/geo');
+
+const ObjectiveTypes = {
+  COLLECT: 'collect', // collect N items of a template
+  DEFEAT: 'defeat',   // knock out N players, or defeat N monsters of a template
+  VISIT: 'visit',     // reach a location
+  DELIVER: 'deliver'  // bring N items of a template to an NPC
+};
+
+// Quest definitions
+// Each quest is given by an NPC and turned in to the same NPC once every objective is done
+const QUESTS = {
+  'potion-gatherer': {
+    id: 'potion-gatherer',
+    name: 'Potion Gatherer',
+    description: 'Collect 2 Health Potions for the Old Man',
+    giverId: 'old-man',
+    objectives: [
+      { type: ObjectiveTypes.COLLECT, templateId: 'health-potion', count: 2 }
+    ],
+    reward: { xp: 50, gold: 10 }
+  },
+  'prove-yourself': {
+    id: 'prove-yourself',
+    name: 'Prove Yourself',
+    description: 'Knock out another adventurer in a fair fight',
+    giverId: 'old-man',
+    objectives: [
+      { type: ObjectiveTypes.DEFEAT, count: 1 }
+    ],
+    reward: { xp: 75, gold: 15 }
+  },
+  'park-patrol': {
+    id: 'park-patrol',
+    name: 'Park Patrol',
+    description: 'Check on City Hall Park for the Park Ranger',
+    giverId: 'park-ranger',
+    objectives: [
+      {
+        type: ObjectiveTypes.VISIT,
+        name: 'City Hall Park',
+        position: { lat: 40.7127, lng: -74.0070 },
+        radius: 30 // meters
+      }
+    ],
+    reward: { xp: 30, gold: 5, items: ['health-potion'] }
+  },
+  'pest-control': {
+    id: 'pest-control',
+    name: 'Pest Control',
+    description: 'Clear 3 Sewer Rats out of City Hall Park for the Park Ranger',
+    giverId: 'park-ranger',
+    objectives: [
+      { type: ObjectiveTypes.DEFEAT, monsterId: 'sewer-rat', count: 3 }
+    ],
+    reward: { xp: 60, gold: 15 }
+  },
+  'iron-for-the-forge': {
+    id: 'iron-for-the-forge',
+    name: 'Iron for the Forge',
+    description: 'Deliver an Iron Sword to Greta the Blacksmith',
+    giverId: 'blacksmith',
+    objectives: [
+      { type: ObjectiveTypes.DELIVER, templateId: 'iron-sword', count: 1, npcId: 'blacksmith' }
+    ],
+    reward: { xp: 60, gold: 25 }
+  }
+};
+
+class QuestError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'QuestError';
+  }
+}
+
+const createQuestLog = () => ({
+  active: {},   // questId -> { progress: [count per objective], acceptedAt }
+  completed: [] // questIds
+});
+
+const ensureQuestLog = (player) => {
+  if (!player.quests) {
+    player.quests = createQuestLog();
+  }
+  return player.quests;
+};
+
+const objectiveTarget = (objective) => objective.count || 1;
+
+const isQuestComplete = (quest, entry) =>
+  quest.objectives.every((objective, index) => entry.progress[index] >= objectiveTarget(objective));
+
+// Quests an NPC can offer to a player right now
+function getAvailableQuests(player, npcId) {
+  const log = ensureQuestLog(player);
+  return Object.values(QUESTS).filter(quest =>
+    quest.giverId === npcId &&
+    !log.active[quest.id] &&
+    !log.completed.includes(quest.id)
+  );
+}
+
+// Active quests a player can turn in at an NPC
+function getCompletableQuests(player, npcId) {
+  const log = ensureQuestLog(player);
+  return Object.keys(log.active)
+    .map(questId => QUESTS[questId])
+    .filter(quest => quest && quest.giverId === npcId && isQuestComplete(quest, log.active[quest.id]));
+}
+
+// Quest ids come from clients - names like "constructor" are not quests or journal entries
+const findQuest = (questId) => Object.hasOwn(QUESTS, questId) ? QUESTS[questId] : null;
+const isActive = (log, questId) => Object.hasOwn(log.active, questId);
+
+function acceptQuest(player, questId, npcId, now = Date.now()) {
+  const quest = findQuest(questId);
+  if (!quest || quest.giverId !== npcId) {
+    throw new QuestError('That quest is not offered here');
+  }
+
+  const log = ensureQuestLog(player);
+  if (isActive(log, questId)) {
+    throw new QuestError('You are already on that quest');
+  }
+  if (log.completed.includes(questId)) {
+    throw new QuestError('You have already completed that quest');
+  }
+
+  log.active[questId] = {
+    progress: quest.objectives.map(() => 0),
+    acceptedAt: now
+  };
+  return quest;
+}
+
+function abandonQuest(player, questId) {
+  const log = ensureQuestLog(player);
+  if (!isActive(log, questId)) {
+    throw new QuestError('You are not on that quest');
+  }
+  delete log.active[questId];
+}
+
+// Does a gameplay event count towards an objective?
+const matchesObjective = (objective, event) => {
+  if (objective.type !== event.type) return false;
+
+  switch (objective.type) {
+    case ObjectiveTypes.COLLECT:
+      return objective.templateId === event.templateId;
+    case ObjectiveTypes.DEFEAT:
+      // Objectives naming a monster only count that monster; the rest only count players
+      return (objective.monsterId || null) === (event.monsterId || null);
+    case ObjectiveTypes.VISIT:
+      return distance(objective.position, event.position) <= objective.radius;
+    default:
+      return false;
+  }
+};
+
+// Advance a player's active quests with a gameplay event:
+//   { type: 'collect', templateId }, { type: 'defeat' } for a player knocked out,
+//   { type: 'defeat', monsterId } for a monster template defeated or { type: 'visit', position }
+// Returns the quests whose progress changed
+function recordQuestEvent(player, event) {
+  const log = ensureQuestLog(player);
+  const updated = [];
+
+  Object.entries(log.active).forEach(([questId, entry]) => {
+    const quest = QUESTS[questId];
+    if (!quest) return;
+
+    let changed = false;
+    quest.objectives.forEach((objective, index) => {
+      if (entry.progress[index] < objectiveTarget(objective) && matchesObjective(objective, event)) {
+        entry.progress[index]++;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      updated.push(quest);
+    }
+  });
+
+  return updated;
+}
+
+// Hand over items for deliver objectives targeting this NPC
+// Items are taken out of the inventory as they count towards the objective
+function deliverQuestItems(player, npcId) {
+  const log = ensureQuestLog(player);
+  const updated = [];
+
+  Object.entries(log.active).forEach(([questId, entry]) => {
+    const quest = QUESTS[questId];
+    if (!quest) return;
+
+    let changed = false;
+    quest.objectives.forEach((objective, index) => {
+      if (objective.type !== ObjectiveTypes.DELIVER || objective.npcId !== npcId) return;
+
+      const needed = objectiveTarget(objective) - entry.progress[index];
+      const handedOver = Math.min(needed, countItems(player, objective.templateId));
+      if (handedOver > 0) {
+        removeByTemplate(player, objective.templateId, handedOver);
+        entry.progress[index] += handedOver;
+        changed = true;
+      }
+    });
+
+    if (changed) {
+      updated.push(quest);
+    }
+  });
+
+  return updated;
+}
+
+// Turn in a finished quest, returning the reward for the caller to hand out
+function completeQuest(player, questId, npcId) {
+  const quest = findQuest(questId);
+  const log = ensureQuestLog(player);
+  const entry = isActive(log, questId) ? log.active[questId] : null;
+
+  if (!quest || !entry) {
+    throw new QuestError('You are not on that quest');
+  }
+  if (quest.giverId !== npcId) {
+    throw new QuestError('Turn this quest in to the NPC who gave it to you');
+  }
+  if (!isQuestComplete(quest, entry)) {
+    throw new QuestError('You have not finished that quest yet');
+  }
+
+  delete log.active[questId];
+  log.completed.push(questId);
+  return quest.reward;
+}
+
+// Describe an objective for the quest journal
+const describeObjective = (objective) => {
+  const itemName = objective.templateId && ITEM_TEMPLATES[objective.templateId]
+    ? ITEM_TEMPLATES[objective.templateId].name
+    : objective.templateId;
+
+  switch (objective.type) {
+    case ObjectiveTypes.COLLECT:
+      return `Collect ${objectiveTarget(objective)} ${itemName}`;
+    case ObjectiveTypes.DEFEAT:
+      return objective.monsterId
+        ? `Defeat ${objectiveTarget(objective)} ${MONSTER_TEMPLATES[objective.monsterId] ? MONSTER_TEMPLATES[objective.monsterId].name : objective.monsterId}`
+        : `Knock out ${objectiveTarget(objective)} player(s)`;
+    case ObjectiveTypes.VISIT:
+      return `Visit ${objective.name}`;
+    case ObjectiveTypes.DELIVER:
+      return `Deliver ${objectiveTarget(objective)} ${itemName}`;
+    default:
+      return objective.type;
+  }
+};
+
+// Quest definition as sent to clients
+function toQuestView(quest, entry = null) {
+  return {
+    id: quest.id,
+    name: quest.name,
+    description: quest.description,
+    giverId: quest.giverId,
+    reward: quest.reward,
+    objectives: quest.objectives.map((objective, index) => ({
+      type: objective.type,
+      description: describeObjective(objective),
+      target: objectiveTarget(objective),
+      progress: entry ? Math.min(entry.progress[index], objectiveTarget(objective)) : 0,
+      position: objective.position || null
+    })),
+    complete: entry ? isQuestComplete(quest, entry) : false
+  };
+}
+
+// The player's quest journal
+function getQuestJournal(player) {
+  const log = ensureQuestLog(player);
+  return {
+    active: Object.entries(log.active)
+      .filter(([questId]) => QUESTS[questId])
+      .map(([questId, entry]) => toQuestView(QUESTS[questId], entry)),
+    completed: log.completed.filter(questId => QUESTS[questId]).map(questId => QUESTS[questId].name)
+  };
+}
+
+module.exports = {
+  ObjectiveTypes,
+  QUESTS,
+  QuestError,
+  createQuestLog,
+  getAvailableQuests,
+  getCompletableQuests,
+  acceptQuest,
+  abandonQuest,
+  recordQuestEvent,
+  deliverQuestItems,
+  completeQuest,
+  toQuestView,
+  getQuestJournal
+};
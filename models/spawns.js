@@ -0,0 +1,304 @@
+
+// Spawn system - data-driven item spawning and despawning
+//
+// Spawn rules live in config/spawns.json: fixed zones (a circle or a polygon),
+// spawning around each group of active players, loot tables weighted by rarity,
+// a cap on how many items each zone holds and how long spawned items last.
+// Every radius in the config is in meters.
+const fs = require('fs');
+const path = require('path');
+const { ITEM_TEMPLATES, createItemFromTemplate } = require('./items');
+const { distance, randomPointWithin, pointInPolygon } = require('../lib/geo');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'spawns.json');
+
+// Zone id given to items spawned around players rather than in a fixed zone
+const CLUSTER_ZONE = 'player-cluster';
+
+const ZoneShapes = {
+  RADIUS: 'radius',
+  POLYGON: 'polygon'
+};
+
+class SpawnConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpawnConfigError';
+  }
+}
+
+// Random point inside a polygon, sampled from its bounding box
+const randomPointInPolygon = (points, random) => {
+  const lats = points.map(p => p.lat);
+  const lngs = points.map(p => p.lng);
+  const bounds = {
+    minLat: Math.min(...lats), maxLat: Math.max(...lats),
+    minLng: Math.min(...lngs), maxLng: Math.max(...lngs)
+  };
+
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const point = {
+      lat: bounds.minLat + random() * (bounds.maxLat - bounds.minLat),
+      lng: bounds.minLng + random() * (bounds.maxLng - bounds.minLng)
+    };
+    if (pointInPolygon(point, points)) {
+      return point;
+    }
+  }
+  return null;
+};
+
+const isPosition = (value) =>
+  value && Number.isFinite(value.lat) && Number.isFinite(value.lng);
+
+// Turn a loot table into [{ templateId, weight }], taking weights from rarity unless given
+const normalizeLootTable = (name, entries, rarityWeights) => {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw new SpawnConfigError(`Loot table "${name}" must list at least one item template`);
+  }
+
+  return entries.map(entry => {
+    const templateId = typeof entry === 'string' ? entry : entry.templateId;
+    const template = ITEM_TEMPLATES[templateId];
+    if (!template) {
+      throw new SpawnConfigError(`Loot table "${name}" references unknown item template "${templateId}"`);
+    }
+
+    const weight = typeof entry === 'object' && entry.weight !== undefined
+      ? entry.weight
+      : rarityWeights[template.rarity];
+    if (!(weight > 0)) {
+      throw new SpawnConfigError(`Loot table "${name}" has no positive weight for "${templateId}"`);
+    }
+    return { templateId, weight };
+  });
+};
+
+const requireLootTable = (lootTables, name, owner) => {
+  if (!lootTables[name]) {
+    throw new SpawnConfigError(`${owner} uses unknown loot table "${name}"`);
+  }
+  return name;
+};
+
+const requirePositive = (value, description) => {
+  if (!(value > 0)) {
+    throw new SpawnConfigError(`${description} must be a positive number`);
+  }
+  return value;
+};
+
+// Check a raw spawn config and fill in defaults, throwing a SpawnConfigError on anything invalid
+function validateSpawnConfig(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new SpawnConfigError('Spawn config must be an object');
+  }
+
+  const interval = raw.interval || { min: 30000, max: 60000 };
+  requirePositive(interval.min, 'interval.min');
+  if (!(interval.max >= interval.min)) {
+    throw new SpawnConfigError('interval.max must be at least interval.min');
+  }
+
+  const defaultLifetime = requirePositive(raw.defaultLifetime || 10 * 60 * 1000, 'defaultLifetime');
+  const rarityWeights = raw.rarityWeights || {};
+
+  const lootTables = {};
+  Object.entries(raw.lootTables || {}).forEach(([name, entries]) => {
+    lootTables[name] = normalizeLootTable(name, entries, rarityWeights);
+  });
+
+  const zones = (raw.zones || []).map((zone, index) => {
+    const label = `Zone "${zone.id || index}"`;
+    if (!zone.id) {
+      throw new SpawnConfigError(`Zone ${index} needs an id`);
+    }
+    if (zone.id === CLUSTER_ZONE) {
+      throw new SpawnConfigError(`${label} uses the reserved id "${CLUSTER_ZONE}"`);
+    }
+
+    if (zone.shape === ZoneShapes.RADIUS) {
+      if (!isPosition(zone.center)) {
+        throw new SpawnConfigError(`${label} needs a center with lat and lng`);
+      }
+      requirePositive(zone.radius, `${label} radius`);
+    } else if (zone.shape === ZoneShapes.POLYGON) {
+      if (!Array.isArray(zone.points) || zone.points.length < 3 || !zone.points.every(isPosition)) {
+        throw new SpawnConfigError(`${label} needs at least 3 points with lat and lng`);
+      }
+    } else {
+      throw new SpawnConfigError(`${label} shape must be "${ZoneShapes.RADIUS}" or "${ZoneShapes.POLYGON}"`);
+    }
+
+    return {
+      ...zone,
+      name: zone.name || zone.id,
+      lootTable: requireLootTable(lootTables, zone.lootTable, label),
+      maxItems: requirePositive(zone.maxItems, `${label} maxItems`),
+      lifetime: zone.lifetime ? requirePositive(zone.lifetime, `${label} lifetime`) : defaultLifetime
+    };
+  });
+
+  const ids = zones.map(zone => zone.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new SpawnConfigError(`Zone id "${duplicate}" is used more than once`);
+  }
+
+  let playerClusters = { enabled: false };
+  if (raw.playerClusters && raw.playerClusters.enabled) {
+    const clusters = raw.playerClusters;
+    playerClusters = {
+      enabled: true,
+      clusterRadius: requirePositive(clusters.clusterRadius, 'playerClusters.clusterRadius'),
+      spawnRadius: requirePositive(clusters.spawnRadius, 'playerClusters.spawnRadius'),
+      lootTable: requireLootTable(lootTables, clusters.lootTable, 'playerClusters'),
+      maxItems: requirePositive(clusters.maxItems, 'playerClusters.maxItems'),
+      initialItems: clusters.initialItems || 0,
+      lifetime: clusters.lifetime ? requirePositive(clusters.lifetime, 'playerClusters.lifetime') : defaultLifetime
+    };
+  }
+
+  return {
+    firstSpawnDelay: raw.firstSpawnDelay || interval.min,
+    interval,
+    defaultLifetime,
+    droppedItemLifetime: raw.droppedItemLifetime || defaultLifetime,
+    lootTables,
+    zones,
+    playerClusters
+  };
+}
+
+// Read and validate a spawn config file
+function loadSpawnConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new SpawnConfigError(`Could not read spawn config ${filePath}: ${error.message}`);
+  }
+  return validateSpawnConfig(raw);
+}
+
+// Group players so that everyone within clusterRadius of a cluster's first player shares it
+// Returns the centre of each cluster
+const findPlayerClusters = (players, clusterRadius) => {
+  const clusters = [];
+  players.forEach(player => {
+    const cluster = clusters.find(c => distance(c.anchor, player.position) <= clusterRadius);
+    if (cluster) {
+      cluster.members.push(player.position);
+    } else {
+      clusters.push({ anchor: player.position, members: [player.position] });
+    }
+  });
+
+  return clusters.map(({ members }) => ({
+    lat: members.reduce((sum, p) => sum + p.lat, 0) / members.length,
+    lng: members.reduce((sum, p) => sum + p.lng, 0) / members.length
+  }));
+};
+
+class SpawnManager {
+  constructor(config, random = Math.random) {
+    this.config = config;
+    this.random = random;
+  }
+
+  // Delay before the next spawn pass
+  nextInterval() {
+    const { min, max } = this.config.interval;
+    return min + this.random() * (max - min);
+  }
+
+  // Weighted pick from a loot table
+  rollTemplate(tableName) {
+    const table = this.config.lootTables[tableName];
+    const total = table.reduce((sum, entry) => sum + entry.weight, 0);
+    let roll = this.random() * total;
+    for (const entry of table) {
+      roll -= entry.weight;
+      if (roll < 0) return entry.templateId;
+    }
+    return table[table.length - 1].templateId;
+  }
+
+  createSpawn(tableName, position, zoneId, lifetime, now) {
+    return createItemFromTemplate(this.rollTemplate(tableName), {
+      position: position,
+      spawnZone: zoneId,
+      expiresAt: now + lifetime
+    });
+  }
+
+  // One spawn pass - each zone and each player cluster under its cap gets one new item
+  // Returns the new items for the caller to add to the world
+  spawn(worldItems, activePlayers, now = Date.now()) {
+    const spawned = [];
+    const allItems = () => [...worldItems, ...spawned];
+
+    this.config.zones.forEach(zone => {
+      const count = allItems().filter(item => item.spawnZone === zone.id).length;
+      if (count >= zone.maxItems) return;
+
+      const position = zone.shape === ZoneShapes.POLYGON
+        ? randomPointInPolygon(zone.points, this.random)
+        : randomPointWithin(zone.center, zone.radius, this.random);
+      if (position) {
+        spawned.push(this.createSpawn(zone.lootTable, position, zone.id, zone.lifetime, now));
+      }
+    });
+
+    const clusters = this.config.playerClusters;
+    if (clusters.enabled) {
+      const positions = activePlayers.filter(player => player.position);
+      findPlayerClusters(positions, clusters.clusterRadius).forEach(center => {
+        if (this.countNear(allItems(), center) >= clusters.maxItems) return;
+
+        const position = randomPointWithin(center, clusters.spawnRadius, this.random);
+        spawned.push(this.createSpawn(clusters.lootTable, position, CLUSTER_ZONE, clusters.lifetime, now));
+      });
+    }
+
+    return spawned;
+  }
+
+  // Starting items for a player arriving somewhere with nothing around them
+  spawnInitial(worldItems, position, now = Date.now()) {
+    const clusters = this.config.playerClusters;
+    if (!clusters.enabled || this.countNear(worldItems, position) > 0) return [];
+
+    const spawned = [];
+    for (let i = 0; i < Math.min(clusters.initialItems, clusters.maxItems); i++) {
+      const itemPosition = randomPointWithin(position, clusters.spawnRadius, this.random);
+      spawned.push(this.createSpawn(clusters.lootTable, itemPosition, CLUSTER_ZONE, clusters.lifetime, now));
+    }
+    return spawned;
+  }
+
+  countNear(items, center) {
+    const radius = this.config.playerClusters.spawnRadius;
+    return items.filter(item => distance(item.position, center) <= radius).length;
+  }
+
+  // Lifetime stamp for items dropped by players
+  dropExpiry(now = Date.now()) {
+    return now + this.config.droppedItemLifetime;
+  }
+
+  // Items whose lifetime is up - anything mid-collection is left until it finishes
+  findExpired(worldItems, now = Date.now()) {
+    return worldItems.filter(item => item.expiresAt && item.expiresAt <= now && !item.beingCollected);
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  CLUSTER_ZONE,
+  ZoneShapes,
+  SpawnConfigError,
+  SpawnManager,
+  validateSpawnConfig,
+  loadSpawnConfig
+};
@@ -0,0 +1,330 @@
+// Territories - real-world landmarks players and guilds fight over
+//
+// Capture points live in config/territories.json, each a circle or a polygon
+// around a landmark. Standing inside one with nobody else around claims it for
+// your guild, or for yourself if you have none, once the capture time has run.
+// Two sides inside at once contest it and nobody makes progress; an owner
+// standing in their own territory wears an attacker's progress back down. The
+// owner is paid gold and sometimes items every income interval.
+// Every radius in the config is in meters and every time is in ms.
+const fs = require('fs');
+const path = require('path');
+const { ITEM_TEMPLATES, createItemFromTemplate } = require('./items');
+const { ZoneShapes } = require('./spawns');
+const { getPlayerGuild } = require('./guilds');
+const { isAlive } = require('./combat');
+const { distance, pointInPolygon } = require('../lib/geo');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '..', 'config', 'territories.json');
+
+// Who can hold a territory
+const OwnerTypes = {
+  PLAYER: 'player',
+  GUILD: 'guild'
+};
+
+class TerritoryConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TerritoryConfigError';
+  }
+}
+
+const isPosition = (point) => Boolean(point) && Number.isFinite(point.lat) && Number.isFinite(point.lng);
+
+const requirePositive = (value, description) => {
+  if (!(value > 0)) {
+    throw new TerritoryConfigError(`${description} must be a positive number`);
+  }
+  return value;
+};
+
+// Middle of a polygon, where its label goes and its item income drops
+const centerOf = (points) => ({
+  lat: points.reduce((sum, point) => sum + point.lat, 0) / points.length,
+  lng: points.reduce((sum, point) => sum + point.lng, 0) / points.length
+});
+
+// Turn a territory's income into { gold, items: [{ templateId, chance }] }
+const normalizeIncome = (label, income = {}) => {
+  const gold = income.gold || 0;
+  if (!(Number.isInteger(gold) && gold >= 0)) {
+    throw new TerritoryConfigError(`${label} income gold must be a whole number of at least 0`);
+  }
+  const items = (income.items || []).map(entry => {
+    if (!ITEM_TEMPLATES[entry.templateId]) {
+      throw new TerritoryConfigError(`${label} income references unknown item template "${entry.templateId}"`);
+    }
+    if (!(entry.chance > 0 && entry.chance <= 1)) {
+      throw new TerritoryConfigError(`${label} income chance for "${entry.templateId}" must be above 0 and at most 1`);
+    }
+    return { templateId: entry.templateId, chance: entry.chance };
+  });
+  return { gold, items };
+};
+
+// Check a raw territory config and fill in defaults, throwing a TerritoryConfigError on anything invalid
+function validateTerritoryConfig(raw) {
+  if (!raw || typeof raw !== 'object') {
+    throw new TerritoryConfigError('Territory config must be an object');
+  }
+  const captureTime = requirePositive(raw.captureTime || 60000, 'captureTime');
+  const incomeInterval = requirePositive(raw.incomeInterval || 5 * 60 * 1000, 'incomeInterval');
+
+  const territories = (raw.territories || []).map((territory, index) => {
+    const label = `Territory "${territory.id || index}"`;
+    if (!territory.id) {
+      throw new TerritoryConfigError(`Territory ${index} needs an id`);
+    }
+
+    let center;
+    if (territory.shape === ZoneShapes.RADIUS) {
+      if (!isPosition(territory.center)) {
+        throw new TerritoryConfigError(`${label} needs a center with lat and lng`);
+      }
+      requirePositive(territory.radius, `${label} radius`);
+      center = territory.center;
+    } else if (territory.shape === ZoneShapes.POLYGON) {
+      if (!Array.isArray(territory.points) || territory.points.length < 3 || !territory.points.every(isPosition)) {
+        throw new TerritoryConfigError(`${label} needs at least 3 points with lat and lng`);
+      }
+      center = centerOf(territory.points);
+    } else {
+      throw new TerritoryConfigError(`${label} shape must be "${ZoneShapes.RADIUS}" or "${ZoneShapes.POLYGON}"`);
+    }
+
+    return {
+      id: territory.id,
+      name: territory.name || territory.id,
+      shape: territory.shape,
+      center: center,
+      radius: territory.radius || null,
+      points: territory.points || null,
+      captureTime: territory.captureTime ? requirePositive(territory.captureTime, `${label} captureTime`) : captureTime,
+      incomeInterval: territory.incomeInterval ? requirePositive(territory.incomeInterval, `${label} incomeInterval`) : incomeInterval,
+      income: normalizeIncome(label, territory.income)
+    };
+  });
+
+  const ids = territories.map(territory => territory.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new TerritoryConfigError(`Territory id "${duplicate}" is used more than once`);
+  }
+  return { captureTime, incomeInterval, territories };
+}
+
+// Read and validate a territory config file
+function loadTerritoryConfig(filePath = DEFAULT_CONFIG_PATH) {
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    throw new TerritoryConfigError(`Could not read territory config ${filePath}: ${error.message}`);
+  }
+  return validateTerritoryConfig(raw);
+}
+
+// Whether a position is inside a territory
+function isInTerritory(territory, position) {
+  return territory.shape === ZoneShapes.POLYGON
+    ? pointInPolygon(position, territory.points)
+    : distance(position, territory.center) <= territory.radius;
+}
+
+// The side a player fights for - their guild if they have one, otherwise themselves
+// Returns { type, id, name }
+function getClaimant(player) {
+  const guild = getPlayerGuild(player);
+  return guild
+    ? { type: OwnerTypes.GUILD, id: guild.id, name: guild.name }
+    : { type: OwnerTypes.PLAYER, id: player.id, name: player.name };
+}
+
+const sameSide = (a, b) => Boolean(a && b) && a.type === b.type && a.id === b.id;
+const sideKey = (side) => `${side.type}:${side.id}`;
+
+// Whether a player is on the side that owns something
+function isOnSide(player, side) {
+  return sameSide(getClaimant(player), side);
+}
+
+// What clients are told about a territory
+const toPublicTerritory = (territory) => ({
+  id: territory.id,
+  name: territory.name,
+  shape: territory.shape,
+  center: territory.center,
+  radius: territory.radius,
+  points: territory.points,
+  owner: territory.owner,
+  capturedAt: territory.capturedAt,
+  contested: territory.contested,
+  capture: territory.capture ? {
+    claimant: territory.capture.claimant,
+    progress: Math.min(1, territory.capture.elapsed / territory.captureTime)
+  } : null,
+  captureTime: territory.captureTime,
+  nextIncomeAt: territory.owner ? territory.nextIncomeAt : null
+});
+
+class TerritoryManager {
+  constructor(config, random = Math.random) {
+    this.config = config;
+    this.random = random;
+    // territoryId -> territory: its config plus who owns it and how a capture is going
+    this.territories = new Map(config.territories.map(territory => [territory.id, {
+      ...territory,
+      owner: null,       // { type, id, name }
+      capturedAt: null,
+      nextIncomeAt: null,
+      contested: false,
+      capture: null,     // { claimant, elapsed } - ms spent capturing so far
+      updatedAt: null
+    }]));
+  }
+
+  get(territoryId) {
+    return this.territories.get(territoryId) || null;
+  }
+
+  list() {
+    return Array.from(this.territories.values());
+  }
+
+  // Territories owned by a side
+  ownedBy(side) {
+    return this.list().filter(territory => sameSide(territory.owner, side));
+  }
+
+  // Move every capture along for the players standing in each territory
+  // candidates are the players who count (alive and online)
+  // Returns { changed, events } - events are { type: 'captured' | 'attacked' | 'contested', territory, ... }
+  update(candidates, now = Date.now()) {
+    const changed = [];
+    const events = [];
+
+    this.territories.forEach(territory => {
+      const elapsed = territory.updatedAt === null ? 0 : Math.max(0, now - territory.updatedAt);
+      territory.updatedAt = now;
+      const before = JSON.stringify([territory.owner, territory.contested, territory.capture]);
+
+      // Everyone inside, grouped by the side they fight for
+      const sides = new Map();
+      candidates.filter(player => isAlive(player) && isInTerritory(territory, player.position)).forEach(player => {
+        const side = getClaimant(player);
+        sides.set(sideKey(side), side);
+      });
+
+      const wasContested = territory.contested;
+      territory.contested = sides.size > 1;
+      if (territory.contested) {
+        if (!wasContested) {
+          events.push({ type: 'contested', territory, sides: Array.from(sides.values()) });
+        }
+      } else if (sides.size === 1) {
+        const side = sides.values().next().value;
+        if (sameSide(side, territory.owner)) {
+          this.wearDown(territory, elapsed);
+        } else {
+          this.advanceCapture(territory, side, elapsed, now, events);
+        }
+      } else {
+        this.wearDown(territory, elapsed);
+      }
+
+      if (JSON.stringify([territory.owner, territory.contested, territory.capture]) !== before) {
+        changed.push(territory);
+      }
+    });
+
+    return { changed, events };
+  }
+
+  // A single side is holding a territory it doesn't own
+  advanceCapture(territory, side, elapsed, now, events) {
+    if (!territory.capture || !sameSide(territory.capture.claimant, side)) {
+      territory.capture = { claimant: side, elapsed: 0 };
+      if (territory.owner) {
+        events.push({ type: 'attacked', territory, attacker: side });
+      }
+      return;
+    }
+
+    territory.capture.elapsed += elapsed;
+    if (territory.capture.elapsed < territory.captureTime) return;
+
+    const previousOwner = territory.owner;
+    territory.owner = side;
+    territory.capturedAt = now;
+    territory.nextIncomeAt = now + territory.incomeInterval;
+    territory.capture = null;
+    events.push({ type: 'captured', territory, owner: side, previousOwner });
+  }
+
+  // Nobody is pushing a capture on - whatever progress there was fades at the same rate
+  wearDown(territory, elapsed) {
+    if (!territory.capture) return;
+    territory.capture.elapsed -= elapsed;
+    if (territory.capture.elapsed <= 0) {
+      territory.capture = null;
+    }
+  }
+
+  // Territories whose owners are due their income, with what they earn
+  // Returns [{ territory, owner, gold, items }] - items are new inventory items
+  collectIncome(now = Date.now()) {
+    return this.list()
+      .filter(territory => territory.owner && territory.nextIncomeAt <= now)
+      .map(territory => {
+        territory.nextIncomeAt = now + territory.incomeInterval;
+        const items = territory.income.items
+          .filter(entry => ITEM_TEMPLATES[entry.templateId] && this.random() < entry.chance)
+          .map(entry => createItemFromTemplate(entry.templateId));
+        return { territory, owner: territory.owner, gold: territory.income.gold, items };
+      });
+  }
+
+  // Take a territory away from whoever holds it
+  release(territoryId) {
+    const territory = this.get(territoryId);
+    if (!territory) return null;
+    territory.owner = null;
+    territory.capturedAt = null;
+    territory.nextIncomeAt = null;
+    territory.capture = null;
+    return territory;
+  }
+
+  // Who owns what, for the storage layer
+  exportOwnership() {
+    return this.list()
+      .filter(territory => territory.owner)
+      .map(({ id, owner, capturedAt }) => ({ id, owner, capturedAt }));
+  }
+
+  // Restore ownership from storage - income starts over from now, and
+  // territories no longer in the config are left out
+  importOwnership(records = [], now = Date.now()) {
+    records.forEach(record => {
+      const territory = this.get(record.id);
+      if (!territory) return;
+      territory.owner = record.owner;
+      territory.capturedAt = record.capturedAt;
+      territory.nextIncomeAt = now + territory.incomeInterval;
+    });
+  }
+}
+
+module.exports = {
+  DEFAULT_CONFIG_PATH,
+  OwnerTypes,
+  TerritoryConfigError,
+  TerritoryManager,
+  validateTerritoryConfig,
+  loadTerritoryConfig,
+  isInTerritory,
+  getClaimant,
+  isOnSide,
+  toPublicTerritory
+};
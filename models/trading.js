@@ -0,0 +1,274 @@
+
+// Player-to-player trading with escrowed offers
+//
+// A trade goes pending -> open -> completed (or cancelled at any point).
+// Offered items and gold are taken out of the player's inventory into escrow
+// so they can't be used, dropped or offered twice. Cancelling returns the escrow,
+// completing swaps both escrows in one step.
+const { v4: uuidv4 } = require('uuid');
+const { distance } = require('../lib/geo');
+const { GoldSources, changeGold } = require('./economy');
+const { addItems, canAddItems, removeItem } = require('./inventory');
+
+const TRADE_RANGE = 20; // meters, same as attack/heal range
+const TRADE_TIMEOUT = 2 * 60 * 1000; // trades with no activity for 2 minutes are cancelled
+const MAX_TRADE_ITEMS = 10;
+
+const TradeStatus = {
+  PENDING: 'pending',
+  OPEN: 'open',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const trades = new Map();       // tradeId -> trade
+const playerTrades = new Map(); // playerId -> tradeId
+
+class TradeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'TradeError';
+  }
+}
+
+function isInTradeRange(a, b) {
+  return distance(a.position, b.position) <= TRADE_RANGE;
+}
+
+function getPlayerTrade(playerId) {
+  const tradeId = playerTrades.get(playerId);
+  return tradeId ? trades.get(tradeId) : null;
+}
+
+// Look up a trade the player is part of
+function getTradeFor(tradeId, playerId) {
+  const trade = trades.get(tradeId);
+  if (!trade || !trade.sides[playerId]) {
+    throw new TradeError('Trade not found');
+  }
+  return trade;
+}
+
+const createSide = (player) => ({
+  player: player,
+  items: [],
+  gold: 0,
+  confirmed: false
+});
+
+// The other player in a trade
+function getPartnerId(trade, playerId) {
+  return Object.keys(trade.sides).find(id => id !== playerId);
+}
+
+// Ask another player to trade
+function requestTrade(initiator, target, now = Date.now()) {
+  if (initiator.id === target.id) {
+    throw new TradeError("You can't trade with yourself");
+  }
+  if (getPlayerTrade(initiator.id)) {
+    throw new TradeError('You are already trading');
+  }
+  if (getPlayerTrade(target.id)) {
+    throw new TradeError(`${target.name} is already trading`);
+  }
+  if (!isInTradeRange(initiator, target)) {
+    throw new TradeError(`${target.name} is too far away to trade`);
+  }
+
+  const trade = {
+    id: uuidv4(),
+    status: TradeStatus.PENDING,
+    initiatorId: initiator.id,
+    createdAt: now,
+    updatedAt: now,
+    sides: {
+      [initiator.id]: createSide(initiator),
+      [target.id]: createSide(target)
+    }
+  };
+
+  trades.set(trade.id, trade);
+  playerTrades.set(initiator.id, trade.id);
+  playerTrades.set(target.id, trade.id);
+  return trade;
+}
+
+// The invited player opens the trade window
+function acceptTrade(tradeId, playerId, now = Date.now()) {
+  const trade = getTradeFor(tradeId, playerId);
+  if (trade.status !== TradeStatus.PENDING || trade.initiatorId === playerId) {
+    throw new TradeError('There is no trade request to accept');
+  }
+
+  trade.status = TradeStatus.OPEN;
+  trade.updatedAt = now;
+  return trade;
+}
+
+// Give a side's escrow back to its owner - it was theirs, so it comes back even if their bags are full
+const returnEscrow = (trade, side, now) => {
+  addItems(side.player, side.items, { ignoreCapacity: true });
+  changeGold(side.player, side.gold, GoldSources.TRADE_RETURN, { tradeId: trade.id }, now);
+  side.items = [];
+  side.gold = 0;
+};
+
+// Replace a player's offer, moving the new items and gold into escrow
+function setOffer(tradeId, playerId, itemIds = [], gold = 0, now = Date.now()) {
+  const trade = getTradeFor(tradeId, playerId);
+  if (trade.status !== TradeStatus.OPEN) {
+    throw new TradeError('The trade is not open');
+  }
+  if (!Array.isArray(itemIds) || itemIds.length > MAX_TRADE_ITEMS) {
+    throw new TradeError(`You can offer at most ${MAX_TRADE_ITEMS} items`);
+  }
+  if (!Number.isInteger(gold) || gold < 0) {
+    throw new TradeError('Gold must be a whole number of at least 0');
+  }
+
+  const side = trade.sides[playerId];
+  const player = side.player;
+
+  // Check the whole offer against what the player would have with the old escrow returned
+  // Offering an item offers its whole stack
+  const offeredIds = new Set(itemIds);
+  const available = [...player.inventory, ...side.items];
+  if (Array.from(offeredIds).some(itemId => !available.some(item => item.itemId === itemId))) {
+    throw new TradeError('You can only offer items in your inventory');
+  }
+  if (gold > player.gold + side.gold) {
+    throw new TradeError("You don't have that much gold");
+  }
+
+  // Items already in escrow stay there, the rest move between the inventory and escrow
+  const kept = side.items.filter(item => offeredIds.has(item.itemId));
+  const returned = side.items.filter(item => !offeredIds.has(item.itemId));
+  const taken = Array.from(offeredIds)
+    .filter(itemId => !kept.some(item => item.itemId === itemId))
+    .map(itemId => removeItem(player, itemId));
+  addItems(player, returned, { ignoreCapacity: true });
+  side.items = [...kept, ...taken];
+
+  const goldChange = side.gold - gold;
+  changeGold(player, goldChange, goldChange > 0 ? GoldSources.TRADE_RETURN : GoldSources.TRADE_ESCROW, { tradeId: trade.id }, now);
+  side.gold = gold;
+
+  // Any change to the offer means both players have to confirm again
+  Object.values(trade.sides).forEach(s => { s.confirmed = false; });
+  trade.updatedAt = now;
+  return trade;
+}
+
+const closeTrade = (trade) => {
+  trades.delete(trade.id);
+  Object.keys(trade.sides).forEach(id => playerTrades.delete(id));
+};
+
+// Confirm the current offers, swapping everything once both sides have confirmed
+function confirmTrade(tradeId, playerId, now = Date.now()) {
+  const trade = getTradeFor(tradeId, playerId);
+  if (trade.status !== TradeStatus.OPEN) {
+    throw new TradeError('The trade is not open');
+  }
+
+  trade.sides[playerId].confirmed = true;
+  trade.updatedAt = now;
+
+  const sides = Object.values(trade.sides);
+  if (!sides.every(side => side.confirmed)) {
+    return trade;
+  }
+
+  const [a, b] = sides;
+  if (!isInTradeRange(a.player, b.player)) {
+    throw new TradeError('You are too far apart to complete the trade');
+  }
+  const noRoom = [[a, b], [b, a]].find(([receiver, giver]) => !canAddItems(receiver.player, giver.items));
+  if (noRoom) {
+    sides.forEach(side => { side.confirmed = false; });
+    throw new TradeError(`${noRoom[0].player.name} doesn't have room for those items`);
+  }
+
+  // Swap escrows
+  addItems(a.player, b.items);
+  changeGold(a.player, b.gold, GoldSources.TRADE, { tradeId: trade.id, fromPlayerId: b.player.id }, now);
+  addItems(b.player, a.items);
+  changeGold(b.player, a.gold, GoldSources.TRADE, { tradeId: trade.id, fromPlayerId: a.player.id }, now);
+
+  trade.status = TradeStatus.COMPLETED;
+  trade.completedAt = now;
+  closeTrade(trade);
+  return trade;
+}
+
+// Cancel a trade and return both escrows
+function cancelTrade(tradeId, reason, now = Date.now()) {
+  const trade = trades.get(tradeId);
+  if (!trade) return null;
+
+  Object.values(trade.sides).forEach(side => returnEscrow(trade, side, now));
+  trade.status = TradeStatus.CANCELLED;
+  trade.cancelReason = reason;
+  closeTrade(trade);
+  return trade;
+}
+
+// Trades that have gone quiet or whose players drifted apart
+function findStaleTrades(now = Date.now()) {
+  const stale = [];
+  trades.forEach(trade => {
+    const [a, b] = Object.values(trade.sides);
+    if (now - trade.updatedAt > TRADE_TIMEOUT) {
+      stale.push({ trade, reason: 'timeout' });
+    } else if (!isInTradeRange(a.player, b.player)) {
+      stale.push({ trade, reason: 'distance' });
+    }
+  });
+  return stale;
+}
+
+// Items and gold a player currently has in escrow (so snapshots don't lose them)
+function getEscrow(playerId) {
+  const trade = getPlayerTrade(playerId);
+  if (!trade) return { items: [], gold: 0 };
+
+  const side = trade.sides[playerId];
+  return { items: side.items, gold: side.gold };
+}
+
+// What clients are told about a trade
+function toTradeView(trade) {
+  return {
+    id: trade.id,
+    status: trade.status,
+    initiatorId: trade.initiatorId,
+    updatedAt: trade.updatedAt,
+    expiresAt: trade.updatedAt + TRADE_TIMEOUT,
+    sides: Object.values(trade.sides).map(side => ({
+      playerId: side.player.id,
+      name: side.player.name,
+      items: side.items,
+      gold: side.gold,
+      confirmed: side.confirmed
+    }))
+  };
+}
+
+module.exports = {
+  TRADE_RANGE,
+  TRADE_TIMEOUT,
+  TradeStatus,
+  TradeError,
+  isInTradeRange,
+  getPlayerTrade,
+  getPartnerId,
+  requestTrade,
+  acceptTrade,
+  setOffer,
+  confirmTrade,
+  cancelTrade,
+  findStaleTrades,
+  getEscrow,
+  toTradeView
+};
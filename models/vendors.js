@@ -0,0 +1,227 @@
+
+// Vendors - NPCs that buy and sell items for gold
+//
+// Prices come from the item template: its stats.value if it has one, otherwise
+// a base price for its rarity, scaled by the vendor's markup. Vendors pay a
+// fraction of that when buying. Each vendor holds limited stock that refills
+// one unit at a time; stock is worked out lazily whenever a shop is looked at.
+const { ITEM_TEMPLATES, createItemFromTemplate, getItemTemplate, getItemName } = require('./items');
+const { getNpc, isInNpcRange } = require('./npcs');
+const { GoldSources, changeGold } = require('./economy');
+const { InventoryError, addItems, findItem, removeItem } = require('./inventory');
+
+const RARITY_PRICES = {
+  common: 10,
+  uncommon: 40,
+  rare: 150,
+  legendary: 500
+};
+const SELL_RATIO = 0.4; // vendors pay this share of their own price
+const MAX_BUY_QUANTITY = 10;
+
+// Vendor definitions, keyed by NPC id
+// stock: templateId -> { max, restockEvery (ms per unit) }
+// buys: item types the vendor will take, or null for anything
+const VENDORS = {
+  'merchant': {
+    npcId: 'merchant',
+    markup: 1,
+    buys: null,
+    stock: {
+      'health-potion': { max: 10, restockEvery: 60 * 1000 },
+      'healing-herb': { max: 15, restockEvery: 30 * 1000 },
+      'regeneration-potion': { max: 5, restockEvery: 2 * 60 * 1000 },
+      'swiftness-potion': { max: 3, restockEvery: 5 * 60 * 1000 },
+      'might-tonic': { max: 3, restockEvery: 5 * 60 * 1000 },
+      'stoneskin-tonic': { max: 3, restockEvery: 5 * 60 * 1000 },
+      'leather-armor': { max: 2, restockEvery: 10 * 60 * 1000 },
+      'silver-ring': { max: 1, restockEvery: 15 * 60 * 1000 }
+    }
+  },
+  'blacksmith': {
+    npcId: 'blacksmith',
+    markup: 1.25,
+    buys: ['weapon', 'armor'],
+    stock: {
+      'iron-sword': { max: 3, restockEvery: 5 * 60 * 1000 },
+      'venom-dagger': { max: 2, restockEvery: 10 * 60 * 1000 },
+      'leather-armor': { max: 2, restockEvery: 5 * 60 * 1000 }
+    }
+  }
+};
+
+// npcId -> templateId -> { quantity, restockedAt }
+const vendorStock = new Map();
+
+class ShopError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ShopError';
+  }
+}
+
+function getVendor(npcId) {
+  return Object.hasOwn(VENDORS, npcId) ? VENDORS[npcId] : null;
+}
+
+// What a vendor charges for one of a template
+function getBuyPrice(vendor, template) {
+  const base = template.stats && template.stats.value
+    ? template.stats.value
+    : RARITY_PRICES[template.rarity] || RARITY_PRICES.common;
+  return Math.max(1, Math.round(base * vendor.markup));
+}
+
+// What a vendor pays for one of a template
+function getSellPrice(vendor, template) {
+  return Math.max(1, Math.floor(getBuyPrice(vendor, template) * SELL_RATIO));
+}
+
+// What a vendor pays for one of a particular item - worn-out gear fetches less
+const getItemSellPrice = (vendor, item, template) => {
+  const condition = item.durability !== undefined && template.durability ? item.durability / template.durability : 1;
+  return Math.floor(getSellPrice(vendor, template) * condition);
+};
+
+// Current stock for a vendor, refilled for however long it's been since we last looked
+const getStock = (vendor, now) => {
+  if (!vendorStock.has(vendor.npcId)) {
+    vendorStock.set(vendor.npcId, {});
+  }
+  const stock = vendorStock.get(vendor.npcId);
+
+  Object.entries(vendor.stock).forEach(([templateId, { max, restockEvery }]) => {
+    const entry = stock[templateId] || (stock[templateId] = { quantity: max, restockedAt: now });
+    if (entry.quantity >= max) {
+      entry.restockedAt = now;
+      return;
+    }
+    const units = Math.floor((now - entry.restockedAt) / restockEvery);
+    if (units > 0) {
+      entry.quantity = Math.min(max, entry.quantity + units);
+      entry.restockedAt += units * restockEvery;
+    }
+  });
+  return stock;
+};
+
+// Look up a vendor the player is standing at
+const getVendorFor = (player, npcId) => {
+  const vendor = getVendor(npcId);
+  const npc = getNpc(npcId);
+  if (!vendor || !npc) {
+    throw new ShopError('There is no shop here');
+  }
+  if (!isInNpcRange(player, npc)) {
+    throw new ShopError(`You need to be closer to ${npc.name}`);
+  }
+  return vendor;
+};
+
+// Buy items from a vendor's stock - returns the new item stack
+function buyItem(player, npcId, templateId, quantity = 1, now = Date.now()) {
+  const vendor = getVendorFor(player, npcId);
+  // The template id is the client's, so only own keys of the template list and stock count
+  const stock = getStock(vendor, now);
+  const template = Object.hasOwn(ITEM_TEMPLATES, templateId) ? ITEM_TEMPLATES[templateId] : null;
+  const entry = Object.hasOwn(stock, templateId) ? stock[templateId] : null;
+  if (!template || !entry) {
+    throw new ShopError("That isn't for sale here");
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_BUY_QUANTITY) {
+    throw new ShopError(`You can buy 1 to ${MAX_BUY_QUANTITY} at a time`);
+  }
+  if (entry.quantity < quantity) {
+    throw new ShopError(entry.quantity === 0 ? `${template.name} is sold out` : `Only ${entry.quantity} ${template.name} left`);
+  }
+
+  const cost = getBuyPrice(vendor, template) * quantity;
+  if (player.gold < cost) {
+    throw new ShopError(`You need ${cost} gold for that`);
+  }
+
+  const bought = createItemFromTemplate(templateId, { quantity: quantity });
+  try {
+    addItems(player, [bought]);
+  } catch (error) {
+    if (!(error instanceof InventoryError)) throw error;
+    throw new ShopError(error.message);
+  }
+
+  entry.quantity -= quantity;
+  changeGold(player, -cost, GoldSources.SHOP_BUY, { npcId: npcId, templateId: templateId, quantity: quantity }, now);
+  return bought;
+}
+
+// Sell some or all of an inventory stack to a vendor - returns { item, price }
+function sellItem(player, npcId, itemId, quantity = 1, now = Date.now()) {
+  const vendor = getVendorFor(player, npcId);
+  const item = findItem(player, itemId);
+  if (!item) {
+    throw new ShopError('You can only sell items in your inventory');
+  }
+
+  const template = getItemTemplate(item);
+  if (!template || (vendor.buys && !vendor.buys.includes(template.type))) {
+    throw new ShopError(`${getNpc(npcId).name} doesn't want your ${getItemName(item)}`);
+  }
+  if (!Number.isInteger(quantity) || quantity < 1 || quantity > item.quantity) {
+    throw new ShopError(`You only have ${item.quantity} ${getItemName(item)}`);
+  }
+
+  // Anything the vendor stocks goes back on the shelf
+  const entry = getStock(vendor, now)[item.templateId];
+  if (entry) {
+    entry.quantity = Math.min(vendor.stock[item.templateId].max, entry.quantity + quantity);
+  }
+
+  const price = getItemSellPrice(vendor, item, template) * quantity;
+  const sold = removeItem(player, itemId, quantity);
+  changeGold(player, price, GoldSources.SHOP_SELL, { npcId: npcId, templateId: item.templateId, itemId: itemId, quantity: quantity }, now);
+  return { item: sold, price };
+}
+
+// Shop as sent to a player - what's for sale and what their items would fetch
+function toShopView(npcId, player, now = Date.now()) {
+  const vendor = getVendor(npcId);
+  if (!vendor) return null;
+
+  const stock = getStock(vendor, now);
+  const sellPrices = {};
+  player.inventory.forEach(item => {
+    const template = getItemTemplate(item);
+    if (template && (!vendor.buys || vendor.buys.includes(template.type))) {
+      sellPrices[item.itemId] = getItemSellPrice(vendor, item, template);
+    }
+  });
+
+  return {
+    npcId: npcId,
+    forSale: Object.entries(stock).map(([templateId, entry]) => {
+      const template = ITEM_TEMPLATES[templateId];
+      const { max, restockEvery } = vendor.stock[templateId];
+      return {
+        templateId: templateId,
+        name: template.name,
+        description: template.description,
+        rarity: template.rarity,
+        price: getBuyPrice(vendor, template),
+        quantity: entry.quantity,
+        max: max,
+        nextRestockAt: entry.quantity < max ? entry.restockedAt + restockEvery : null
+      };
+    }),
+    sellPrices: sellPrices
+  };
+}
+
+module.exports = {
+  VENDORS,
+  ShopError,
+  getVendor,
+  getBuyPrice,
+  getSellPrice,
+  buyItem,
+  sellItem,
+  toShopView
+};
@@ -5,22 +5,703 @@ const cors = require("cors");
 const path = require("path");
 const { v4: uuidv4 } = require("uuid");
 const fs = require('fs');
+const crypto = require("crypto");
 
 // Import item system
-const { createItemFromTemplate, ITEM_TEMPLATES } = require('./models/items');
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_ITEM_CONFIG_PATH,
+  ITEM_TEMPLATES,
+  RARITY_COLORS,
+  ItemConfigError,
+  loadItemConfig,
+  useItemTemplates,
+  reloadItemTemplates,
+  getItemTemplate,
+  getItemName,
+  getGoldValue,
+  createItemFromTemplate
+} = require('./models/items');
+
+// Import inventory system
+const {
+  INVENTORY_SLOTS,
+  MAX_CARRY_WEIGHT,
+  InventoryError,
+  createEquipment,
+  toInventoryItem,
+  normalizeWorldItem,
+  normalizeInventory,
+  toWorldItem,
+  addItem,
+  addItems,
+  removeItem,
+  wearEquipment
+} = require('./models/inventory');
+
+// Import account system
+const {
+  OFFLINE_GRACE_PERIOD,
+  AccountError,
+  registerAccount,
+  login,
+  createSession,
+  resolveSession,
+  revokeSession,
+  revokePlayerSessions,
+  savePlayerRecord,
+  loadPlayerRecord,
+  listSavedPlayers,
+  exportAccounts,
+  importAccounts
+} = require('./models/accounts');
+
+// Import combat system
+const {
+  PlayerStates,
+  isAlive,
+  knockOut,
+  respawn
+} = require('./models/combat');
+
+// Import collection
+const {
+  InterruptReasons,
+  getInterruptMessage,
+  releaseCollection,
+  findCollectionsBy,
+  findFinishedCollections,
+  findBrokenCollections
+} = require('./models/collection');
+
+// Import status effects
+const {
+  EffectKinds,
+  STATUS_EFFECTS,
+  getStatusEffect,
+  getActiveEffects,
+  isStunned,
+  tickEffects
+} = require('./models/effects');
+
+// Import progression system
+const {
+  XP_REWARDS,
+  getCollectXp,
+  refreshDerivedStats,
+  awardXp
+} = require('./models/progression');
+
+// Import trading system
+const {
+  getPlayerTrade,
+  cancelTrade,
+  findStaleTrades,
+  getEscrow,
+  toTradeView
+} = require('./models/trading');
+
+// Import NPC and quest system
+const { NPCS } = require('./models/npcs');
+const {
+  createQuestLog,
+  recordQuestEvent,
+  getQuestJournal
+} = require('./models/quests');
+
+// Import movement validation
+const {
+  resetMovementTracking,
+  clearMovementTracking,
+  getMovementLog
+} = require('./models/movement');
+
+// Import parties and guilds
+const {
+  getPlayerParty,
+  leaveParty,
+  getShareRecipients,
+  splitAmount,
+  expirePartyInvites,
+  toPartyView
+} = require('./models/parties');
+const {
+  getGuild,
+  getPlayerGuild,
+  toGuildView,
+  exportGuilds,
+  importGuilds
+} = require('./models/guilds');
+
+// Import chat system
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_CHAT_CONFIG_PATH,
+  configureChat,
+  loadChatConfig,
+  createChatSettings,
+  getChatHistory,
+  clearChatState
+} = require('./models/chat');
+
+// Import crafting system
+const {
+  CraftingError,
+  getActiveCraft,
+  findFinishedCrafts,
+  cancelCrafting,
+  finishCrafting,
+  getRecipeBook
+} = require('./models/crafting');
+
+// Import the gold ledger
+const { GoldSources, changeGold, onGoldChange, getGoldLedger, getGoldTotals } = require('./models/economy');
+
+// Import achievements and leaderboards
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_ACHIEVEMENT_CONFIG_PATH,
+  AchievementEvents,
+  loadAchievementConfig,
+  useAchievements,
+  createAchievementLog,
+  recordAchievementEvent
+} = require('./models/achievements');
+const {
+  LeaderboardError,
+  createActivity,
+  recordActivity,
+  recordGoldActivity,
+  getLeaderboard
+} = require('./models/leaderboards');
+
+// Import spawn system
+const { SpawnManager, loadSpawnConfig, DEFAULT_CONFIG_PATH } = require('./models/spawns');
+
+// Import monster system
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_MONSTER_CONFIG_PATH,
+  MonsterManager,
+  loadMonsterConfig,
+  getMonsterTemplate
+} = require('./models/monsters');
+
+// Import territory control
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_TERRITORY_CONFIG_PATH,
+  OwnerTypes,
+  TerritoryManager,
+  loadTerritoryConfig,
+  isInTerritory,
+  isOnSide,
+  toPublicTerritory
+} = require('./models/territories');
+
+// Import storage layer
+const { createStorage } = require('./storage');
+
+// Import area-of-interest world sync
+const { ClientView, WorldSync } = require('./lib/worldSync');
+
+// Import the game loop, its clock and outgoing message batching
+const { systemClock, ManualClock } = require('./lib/clock');
+const { GameLoop, DEFAULT_TICK_RATE } = require('./lib/gameLoop');
+const { Outbox } = require('./lib/outbox');
+
+// Import the message protocol and its handlers
+const { ErrorCodes } = require('./lib/dispatcher');
+const { createDispatcher } = require('./handlers');
+
+// Import the admin audit log
+const { AuditLog, DEFAULT_AUDIT_FILE } = require('./lib/auditLog');
+
+// Import geodesic distance helpers (shared with the client)
+const { distance } = require('./lib/geo');
+
+// Import rate limiting and abuse protection
+const {
+  DEFAULT_CONFIG_PATH: DEFAULT_LIMITS_CONFIG_PATH,
+  AbuseMonitor,
+  loadLimitsConfig,
+  ipKey,
+  playerKey
+} = require('./lib/abuse');
+const { renderPlaceholderIcon } = require('./lib/placeholderIcon');
 
 const app = express();
 const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+
+// Item templates come first - the spawn, monster and vendor setup all refer to them
+// A bad item config stops the server at boot
+const ITEM_CONFIG_PATH = process.env.ITEM_CONFIG || DEFAULT_ITEM_CONFIG_PATH;
+try {
+  useItemTemplates(loadItemConfig(ITEM_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid item config: ${error.message}`);
+  process.exit(1);
+}
+
+// Message size, rate and connection limits - a bad config stops the server at boot
+let limits;
+try {
+  limits = loadLimitsConfig(process.env.LIMITS_CONFIG || DEFAULT_LIMITS_CONFIG_PATH);
+} catch (error) {
+  console.error(`Invalid limits config: ${error.message}`);
+  process.exit(1);
+}
+
+// Frames over maxFrameBytes close the connection before they are even read
+const wss = new WebSocket.Server({ server, maxPayload: limits.maxFrameBytes });
 
 app.use(cors());
 app.use(express.json());
 app.use(express.static(path.join(__dirname, 'public')));
 
+// The geo helpers are shared with the browser client
+app.get("/js/geo.js", (req, res) => {
+  res.sendFile(path.join(__dirname, 'lib', 'geo.js'));
+});
+
 app.get("/", (req, res) => {
   res.sendFile(path.join(__dirname, 'public', 'index.html'));
 });
 
+// Generated icons for item templates that have no image of their own
+app.get("/images/items/placeholder/:templateId.svg", (req, res) => {
+  const template = ITEM_TEMPLATES[req.params.templateId];
+  if (!template) {
+    return res.status(404).end();
+  }
+  res.type("image/svg+xml").send(renderPlaceholderIcon(template.name, RARITY_COLORS[template.rarity]));
+});
+
+// Send account errors back with their status code
+const sendAccountError = (res, error) => {
+  if (error instanceof AccountError) {
+    return res.status(error.status).json({ error: error.message });
+  }
+  console.error("Account error:", error);
+  res.status(500).json({ error: "Internal server error" });
+};
+
+// Account registration - returns a session token to connect with
+app.post("/api/register", (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.status(201).json(registerAccount(username, password, clock.now()));
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+// Account login - returns a fresh session token
+app.post("/api/login", (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json(login(username, password, clock.now()));
+  } catch (error) {
+    sendAccountError(res, error);
+  }
+});
+
+// Invalidate a session token
+app.post("/api/logout", (req, res) => {
+  const { token } = req.body || {};
+  revokeSession(token);
+  res.json({ success: true });
+});
+
+// Leaderboards - ?window=daily|weekly|all_time (default all_time) and ?limit=
+app.get("/api/leaderboards/:board", (req, res) => {
+  try {
+    const { entries, board, window } = rankPlayers(req.params.board, req.query.window, Number(req.query.limit) || undefined);
+    res.json({ board, window, entries });
+  } catch (error) {
+    if (!(error instanceof LeaderboardError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin endpoints need the ADMIN_TOKEN set in the environment as a bearer token
+// Both sides are hashed to the same length so the comparison takes the same time whatever was sent
+const digest = (value) => crypto.createHash("sha256").update(value).digest();
+const requireAdmin = (req, res, next) => {
+  const adminToken = process.env.ADMIN_TOKEN;
+  const header = req.get("authorization") || "";
+  if (!adminToken || !crypto.timingSafeEqual(digest(header), digest(`Bearer ${adminToken}`))) {
+    return res.status(401).json({ error: "Admin authorization required" });
+  }
+  next();
+};
+
+// Every change made through the admin API goes in the audit log
+// Admins can name themselves with an X-Admin-Name header
+const auditLog = new AuditLog(process.env.AUDIT_LOG_FILE || DEFAULT_AUDIT_FILE);
+const recordAdminAction = (req, action, target = null, details = {}) => auditLog.record({
+  actor: req.get("x-admin-name") || "admin",
+  ip: req.ip,
+  action: action,
+  target: target,
+  details: details
+});
+
+// Suspicious movement reports, newest first
+app.get("/api/admin/movement-log", requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+  res.json({
+    entries: getMovementLog({ playerId: req.query.playerId || null, limit: limit }),
+    flaggedPlayers: Object.values(players)
+      .filter(player => player.flagged)
+      .map(player => ({ id: player.id, name: player.name, flaggedAt: player.flaggedAt }))
+  });
+});
+
+// Game loop state, and pausing or stepping it by hand
+const loopState = () => ({
+  running: gameLoop.running,
+  tickRate: gameLoop.tickRate,
+  tickCount: gameLoop.tickCount,
+  manualClock: manualClock,
+  time: clock.now()
+});
+
+app.get("/api/admin/loop", requireAdmin, (req, res) => {
+  res.json(loopState());
+});
+
+// With a manual clock each step first moves time on by ms (one tick's worth by default)
+app.post("/api/admin/loop/:action", requireAdmin, (req, res) => {
+  const ticks = Math.min(parseInt(req.body.ticks, 10) || 1, 100);
+  const ms = Number(req.body.ms) > 0 ? Number(req.body.ms) : gameLoop.tickInterval;
+  switch (req.params.action) {
+    case "pause":
+      gameLoop.stop();
+      break;
+    case "resume":
+      if (manualClock) {
+        return res.status(409).json({ error: "The manual clock only moves when the loop is stepped" });
+      }
+      gameLoop.start();
+      break;
+    case "step":
+      for (let i = 0; i < ticks; i++) {
+        if (manualClock) clock.advance(ms);
+        gameLoop.step();
+      }
+      break;
+    default:
+      return res.status(404).json({ error: `Unknown loop action ${req.params.action}` });
+  }
+  recordAdminAction(req, `loop_${req.params.action}`, null, req.params.action === "step" ? { ticks, ms: manualClock ? ms : null } : {});
+  res.json(loopState());
+});
+
+// Rate limit hits, refused connections and active bans
+app.get("/api/admin/abuse", requireAdmin, (req, res) => {
+  res.json(abuse.getMetrics());
+});
+
+// Ban an address or player by hand - { ip | playerId, minutes, reason }
+app.post("/api/admin/bans", requireAdmin, (req, res) => {
+  const { ip, playerId, reason = "admin" } = req.body || {};
+  const minutes = Number(req.body && req.body.minutes) || 60;
+  if (!ip && !playerId) {
+    return res.status(400).json({ error: "An ip or playerId is required" });
+  }
+  const bans = [ip && ipKey(ip), playerId && playerKey(playerId)]
+    .filter(Boolean)
+    .map(key => abuse.ban(key, minutes * 60 * 1000, reason));
+  disconnectBanned({ ip, playerId, reason, until: bans[0].until });
+  recordAdminAction(req, "ban", ip || playerId, { ip, playerId, minutes, reason });
+  res.status(201).json({ bans: bans });
+});
+
+// Lift a ban early - the key is ip:<address> or player:<id>
+app.delete("/api/admin/bans/:key", requireAdmin, (req, res) => {
+  if (!abuse.unban(req.params.key)) {
+    return res.status(404).json({ error: `No ban on ${req.params.key}` });
+  }
+  recordAdminAction(req, "unban", req.params.key);
+  res.json({ success: true });
+});
+
+// Gold changes and per-source totals, for tuning the economy and spotting duplication
+app.get("/api/admin/gold-log", requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const held = Object.values(players).reduce((sum, player) => sum + player.gold + getEscrow(player.id).gold, 0);
+  res.json({
+    entries: getGoldLedger({ playerId: req.query.playerId || null, source: req.query.source || null, limit: limit }),
+    totals: getGoldTotals(),
+    heldByPlayersInWorld: held
+  });
+});
+
+// What the admin player list shows for each player
+const toAdminPlayerSummary = (player) => ({
+  id: player.id,
+  name: player.name,
+  username: player.username,
+  online: player.online !== false,
+  state: player.state,
+  level: player.level,
+  hp: player.hp,
+  maxHp: player.maxHp,
+  gold: player.gold,
+  position: player.position,
+  flagged: Boolean(player.flagged)
+});
+
+// Players in the world, online and offline
+app.get("/api/admin/players", requireAdmin, (req, res) => {
+  const list = Object.values(players)
+    .filter(player => req.query.online !== "true" || player.online !== false)
+    .map(toAdminPlayerSummary);
+  res.json({ players: list });
+});
+
+// Everything about one player - registered players who are away come from their saved record
+app.get("/api/admin/players/:playerId", requireAdmin, (req, res) => {
+  const player = players[req.params.playerId] || loadPlayerRecord(req.params.playerId);
+  if (!player) {
+    return res.status(404).json({ error: "Player not found" });
+  }
+  res.json({
+    player: player,
+    inWorld: Boolean(players[player.id]),
+    connected: playerSockets.has(player.id),
+    escrow: getEscrow(player.id),
+    trade: getPlayerTrade(player.id) ? toTradeView(getPlayerTrade(player.id)) : null,
+    activeCraft: getActiveCraft(player.id),
+    effects: getActiveEffects(player)
+  });
+});
+
+// Admin changes only apply to players in the world
+const findWorldPlayer = (req, res) => {
+  const player = players[req.params.playerId];
+  if (!player) {
+    res.status(404).json({ error: "Player is not in the world" });
+  }
+  return player || null;
+};
+
+// Disconnect a player - they can log straight back in unless they are also banned
+app.post("/api/admin/players/:playerId/kick", requireAdmin, (req, res) => {
+  const player = findWorldPlayer(req, res);
+  if (!player) return;
+  const socket = playerSockets.get(player.id);
+  if (!socket) {
+    return res.status(409).json({ error: `${player.name} is not connected` });
+  }
+
+  const reason = String((req.body && req.body.reason) || "Kicked by an admin").slice(0, 100);
+  closeWithError(socket, 4005, { code: ErrorCodes.KICKED, message: reason });
+  recordAdminAction(req, "kick", player.id, { name: player.name, reason: reason });
+  res.json({ success: true });
+});
+
+// Set a player's gold or hp - { gold, hp }
+// Gold goes through the ledger, hp 0 knocks the player out and hp on a downed player revives them
+app.patch("/api/admin/players/:playerId", requireAdmin, (req, res) => {
+  const player = findWorldPlayer(req, res);
+  if (!player) return;
+  const { gold, hp } = req.body || {};
+  if (gold !== undefined && !(Number.isInteger(gold) && gold >= 0)) {
+    return res.status(400).json({ error: "gold must be a whole number of at least 0" });
+  }
+  if (hp !== undefined && !(Number.isInteger(hp) && hp >= 0 && hp <= player.maxHp)) {
+    return res.status(400).json({ error: `hp must be a whole number from 0 to ${player.maxHp}` });
+  }
+
+  const before = { gold: player.gold, hp: player.hp };
+  // Hp first, since a knockout drops some of the player's gold
+  if (hp === 0 && isAlive(player)) {
+    knockOutPlayer(player.id, null);
+  } else if (hp !== undefined && hp > 0) {
+    if (!isAlive(player)) {
+      respawn(player);
+      sendCombatLog({
+        event: "respawn",
+        targetId: player.id,
+        targetName: player.name,
+        message: `${player.name} was revived by an admin`
+      });
+    }
+    player.hp = hp;
+  }
+  if (gold !== undefined) {
+    changeGold(player, gold - player.gold, GoldSources.ADMIN, { actor: req.get("x-admin-name") || "admin" }, clock.now());
+  }
+
+  recordAdminAction(req, "edit_player", player.id, { name: player.name, before: before, after: { gold: player.gold, hp: player.hp } });
+  sendInventory(player.id, "An admin adjusted your character");
+  syncWorld();
+  res.json({ player: toAdminPlayerSummary(player) });
+});
+
+// Give a player items from a template - { templateId, quantity, force }
+// force puts them in even if the inventory is full
+app.post("/api/admin/players/:playerId/items", requireAdmin, (req, res) => {
+  const player = findWorldPlayer(req, res);
+  if (!player) return;
+  const { templateId, force = false } = req.body || {};
+  const quantity = req.body && req.body.quantity !== undefined ? req.body.quantity : 1;
+  if (!ITEM_TEMPLATES[templateId]) {
+    return res.status(400).json({ error: `Unknown item template ${templateId}` });
+  }
+  if (!(Number.isInteger(quantity) && quantity >= 1 && quantity <= 1000)) {
+    return res.status(400).json({ error: "quantity must be a whole number from 1 to 1000" });
+  }
+
+  try {
+    const added = addItems(player, [createItemFromTemplate(templateId, { quantity: quantity })], { ignoreCapacity: Boolean(force) });
+    recordAdminAction(req, "give_item", player.id, { name: player.name, templateId: templateId, quantity: quantity });
+    sendInventory(player.id, `An admin gave you ${quantity > 1 ? `${quantity}x ` : ""}${ITEM_TEMPLATES[templateId].name}`);
+    res.status(201).json({ items: added, inventory: player.inventory });
+  } catch (error) {
+    if (!(error instanceof InventoryError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Take a stack, or part of one, out of a player's inventory - ?quantity= for part of it
+app.delete("/api/admin/players/:playerId/items/:itemId", requireAdmin, (req, res) => {
+  const player = findWorldPlayer(req, res);
+  if (!player) return;
+  try {
+    const quantity = req.query.quantity === undefined ? null : Number(req.query.quantity);
+    const removed = removeItem(player, req.params.itemId, quantity);
+    recordAdminAction(req, "remove_item", player.id, { name: player.name, itemId: req.params.itemId, templateId: removed.templateId, quantity: removed.quantity });
+    sendInventory(player.id, `An admin removed ${removed.quantity > 1 ? `${removed.quantity}x ` : ""}${getItemName(removed)} from your inventory`);
+    res.json({ removed: removed, inventory: player.inventory });
+  } catch (error) {
+    if (!(error instanceof InventoryError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Read an area from the query or body - { lat, lng, radius } with radius in meters
+const parseArea = (source) => {
+  const lat = Number(source.lat);
+  const lng = Number(source.lng);
+  const radius = Number(source.radius);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || Math.abs(lat) > 90 || Math.abs(lng) > 180) {
+    return null;
+  }
+  return { center: { lat, lng }, radius: radius > 0 ? radius : null };
+};
+
+const isInArea = (area) => (item) => !area.radius || distance(item.position, area.center) <= area.radius;
+
+// Items lying in the world, optionally only those in an area
+app.get("/api/admin/items", requireAdmin, (req, res) => {
+  const area = req.query.lat !== undefined ? parseArea(req.query) : null;
+  const items = area ? worldItems.filter(isInArea(area)) : worldItems;
+  res.json({ count: items.length, items: items.slice(0, 500) });
+});
+
+// Spawn any item template at a coordinate - { templateId, lat, lng, quantity, lifetimeMinutes }
+app.post("/api/admin/items", requireAdmin, (req, res) => {
+  const { templateId, quantity = 1, lifetimeMinutes } = req.body || {};
+  const area = parseArea(req.body || {});
+  if (!ITEM_TEMPLATES[templateId]) {
+    return res.status(400).json({ error: `Unknown item template ${templateId}` });
+  }
+  if (!area) {
+    return res.status(400).json({ error: "lat and lng must be valid coordinates" });
+  }
+  if (!(Number.isInteger(quantity) && quantity >= 1 && quantity <= 1000)) {
+    return res.status(400).json({ error: "quantity must be a whole number from 1 to 1000" });
+  }
+
+  const item = createItemFromTemplate(templateId, {
+    quantity: quantity,
+    position: area.center,
+    spawnZone: null,
+    expiresAt: lifetimeMinutes > 0 ? clock.now() + lifetimeMinutes * 60 * 1000 : spawnManager.dropExpiry(clock.now())
+  });
+  worldItems.push(item);
+  syncWorld();
+  recordAdminAction(req, "spawn_item", item.itemId, { templateId: templateId, quantity: quantity, position: area.center });
+  res.status(201).json({ item: item });
+});
+
+// Clear every item within radius meters of a point - ?lat=&lng=&radius=
+app.delete("/api/admin/items", requireAdmin, (req, res) => {
+  const area = parseArea(req.query);
+  if (!area || !area.radius) {
+    return res.status(400).json({ error: "lat, lng and a positive radius are required" });
+  }
+  const cleared = worldItems.filter(isInArea(area));
+  removeWorldItems(cleared);
+  syncWorld();
+  recordAdminAction(req, "clear_items", null, { center: area.center, radius: area.radius, count: cleared.length });
+  res.json({ cleared: cleared.length });
+});
+
+// Send every connected player a server announcement - { message }
+app.post("/api/admin/announcements", requireAdmin, (req, res) => {
+  const message = String((req.body && req.body.message) || "").trim();
+  if (!message || message.length > 500) {
+    return res.status(400).json({ error: "message must be 1 to 500 characters" });
+  }
+  sendToEveryone({ type: "announcement", message: message, time: clock.now() });
+  recordAdminAction(req, "announce", null, { message: message, recipients: playerSockets.size });
+  res.status(201).json({ recipients: playerSockets.size });
+});
+
+// Save a world snapshot now rather than waiting for the next one
+app.post("/api/admin/snapshots", requireAdmin, async (req, res) => {
+  const saved = await saveWorldSnapshot();
+  recordAdminAction(req, "snapshot", null, { saved: saved, storage: storage.name });
+  if (!saved) {
+    return res.status(500).json({ error: "Saving the world failed - see the server log" });
+  }
+  res.status(201).json({ savedAt: clock.now(), storage: storage.name, players: Object.keys(players).length, items: worldItems.length });
+});
+
+// Item templates, for picking what to spawn or give
+app.get("/api/admin/item-templates", requireAdmin, (req, res) => {
+  res.json({
+    templates: Object.values(ITEM_TEMPLATES).map(({ id, name, type, rarity }) => ({ id, name, type, rarity }))
+  });
+});
+
+// Territories with their owners and any capture under way
+app.get("/api/admin/territories", requireAdmin, (req, res) => {
+  res.json({ territories: territoryManager.list().map(toPublicTerritory) });
+});
+
+// Take a territory away from its owner so it can be captured afresh
+app.delete("/api/admin/territories/:id/owner", requireAdmin, (req, res) => {
+  const territory = territoryManager.get(req.params.id);
+  if (!territory) {
+    return res.status(404).json({ error: "Territory not found" });
+  }
+  const previousOwner = territory.owner;
+  territoryManager.release(territory.id);
+  sendToEveryone({ type: "territory_update", territories: [toPublicTerritory(territory)] });
+  recordAdminAction(req, "release_territory", territory.id, { previousOwner: previousOwner });
+  res.json({ territory: toPublicTerritory(territory) });
+});
+
+// Read the item config again and send the new templates to everyone
+app.post("/api/admin/item-templates/reload", requireAdmin, (req, res) => {
+  try {
+    const changes = reloadTemplates();
+    recordAdminAction(req, "reload_item_templates", null, changes);
+    res.json(changes);
+  } catch (error) {
+    if (!(error instanceof ItemConfigError)) throw error;
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Admin actions, newest first
+app.get("/api/admin/audit-log", requireAdmin, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  res.json({
+    entries: auditLog.list({ action: req.query.action || null, target: req.query.target || null, limit: limit })
+  });
+});
+
 // Get available avatars from the directory
 const getAvailableAvatars = () => {
   const avatarDir = path.join(__dirname, 'public', 'images', 'avatars');
@@ -56,637 +737,1263 @@ const getAvailableAvatars = () => {
 };
 
 // In-memory data storage
-const players = {};
+// Player ids arrive in client messages, so the registry has no prototype to look keys up on
+const players = Object.create(null);
 const avatars = getAvailableAvatars();
 
 // Default position for items and players
 const DEFAULT_LAT = 40.7128;
 const DEFAULT_LNG = -74.0060;
 
-// Create world items from templates with collection timers
-// Initially empty, will be populated after first player joins for better positioning
+// Interaction ranges in meters
+const PICKUP_RANGE = 100;
+const COMBAT_RANGE = 20; // attacking and healing
+
+// Gold a brand new player starts with
+const STARTING_GOLD = 10;
+
+// Items lying in the world, spawned from config/spawns.json or dropped by players
 let worldItems = [];
 
-// Function to create initial items near a specific position
-function createInitialItemsNearPosition(lat, lng) {
-  // Only create if no items exist yet
-  if (worldItems.length === 0) {
-    worldItems = [
-      createItemFromTemplate('health-potion', { 
-        position: { lat: lat, lng: lng + 0.0002 },
-        collectionTime: 2000 // 2 seconds to collect
-      }),
-      createItemFromTemplate('iron-sword', { 
-        position: { lat: lat + 0.0002, lng: lng - 0.0001 },
-        collectionTime: 5000 // 5 seconds to collect
-      }),
-      createItemFromTemplate('gold-coin', { 
-        position: { lat: lat - 0.0001, lng: lng + 0.0001 },
-        collectionTime: 1000 // 1 second to collect
-      }),
-      createItemFromTemplate('leather-armor', { 
-        position: { lat: lat + 0.0001, lng: lng - 0.0002 },
-        collectionTime: 3000 // 3 seconds to collect
-      })
-    ];
-  }
-  return worldItems;
+// Spawn zones, loot tables and item lifetimes - a bad config stops the server at boot
+let spawnManager;
+try {
+  spawnManager = new SpawnManager(loadSpawnConfig(process.env.SPAWN_CONFIG || DEFAULT_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid spawn config: ${error.message}`);
+  process.exit(1);
+}
+
+// Monster templates per zone and how fast they come back
+let monsterManager;
+try {
+  monsterManager = new MonsterManager(loadMonsterConfig(process.env.MONSTER_CONFIG || DEFAULT_MONSTER_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid monster config: ${error.message}`);
+  process.exit(1);
+}
+
+// Capture points at real landmarks and what holding them pays
+let territoryManager;
+try {
+  territoryManager = new TerritoryManager(loadTerritoryConfig(process.env.TERRITORY_CONFIG || DEFAULT_TERRITORY_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid territory config: ${error.message}`);
+  process.exit(1);
+}
+
+// Achievement definitions - a bad config stops the server at boot
+try {
+  useAchievements(loadAchievementConfig(process.env.ACHIEVEMENT_CONFIG || DEFAULT_ACHIEVEMENT_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid achievement config: ${error.message}`);
+  process.exit(1);
 }
 
-// Function to spawn new items periodically
-function spawnNewItems() {
-  // Get average player position or default to NYC if no players
-  let centerLat = 40.7128;
-  let centerLng = -74.0060;
-
-  // Use first player's position if available (for debugging)
-  const playerIds = Object.keys(players);
-  if (playerIds.length > 0) {
-    const firstPlayer = players[playerIds[0]];
-    if (firstPlayer && firstPlayer.position) {
-      centerLat = firstPlayer.position.lat;
-      centerLng = firstPlayer.position.lng;
+// Gold earned counts towards the gold leaderboards
+onGoldChange(recordGoldActivity);
+
+// Chat length limit, profanity filter and rate limits
+try {
+  configureChat(loadChatConfig(process.env.CHAT_CONFIG || DEFAULT_CHAT_CONFIG_PATH));
+} catch (error) {
+  console.error(`Invalid chat config: ${error.message}`);
+  process.exit(1);
+}
+
+// Area-of-interest sync - each client only receives nearby entities as deltas
+// Party members see each other at any distance
+const worldSync = new WorldSync(undefined, (viewerId) => {
+  const party = getPlayerParty(viewerId);
+  return party ? party.members : [];
+});
+
+// Everything timed in the world runs off this clock and the game loop's ticks
+// GAME_CLOCK=manual swaps in a clock that only moves when the loop is stepped
+// through the admin API, so a test can drive the world tick by tick
+const clock = process.env.GAME_CLOCK === "manual" ? new ManualClock(Date.now()) : systemClock;
+const manualClock = clock instanceof ManualClock;
+const gameLoop = new GameLoop({ tickRate: Number(process.env.TICK_RATE) || DEFAULT_TICK_RATE, clock: clock });
+
+// Rate limit hits, strikes, bans and connections per address
+const abuse = new AbuseMonitor(limits, clock);
+
+// Outgoing messages are queued and sent together at the end of each tick
+const outbox = new Outbox();
+const send = (socket, message) => outbox.queue(socket, message);
+
+// World changes are sent once per tick, however many things changed during it
+let worldChanged = false;
+const syncWorld = () => {
+  worldChanged = true;
+};
+
+// Send every connected client the changes within its view since its last update
+const broadcastWorld = () => {
+  worldSync.index(players, worldItems, monsterManager.list());
+  wss.clients.forEach((client) => {
+    if (client.readyState === WebSocket.OPEN && client.view) {
+      const update = worldSync.diff(client.view);
+      if (update) {
+        send(client, update);
+      }
     }
+  });
+};
+
+// Send a message to a player if they are connected
+const sendToPlayer = (targetId, message) => {
+  const socket = playerSockets.get(targetId);
+  if (socket && socket.readyState === WebSocket.OPEN) {
+    send(socket, message);
   }
+};
 
-  const radius = 0.0008; // roughly 80 meters - closer for debugging
+// Read the item config again and send every connected player the new templates
+// Throws an ItemConfigError and keeps the old templates if the file is invalid
+const reloadTemplates = () => {
+  const changes = reloadItemTemplates(ITEM_CONFIG_PATH);
+  console.log(`Reloaded item templates: ${changes.added.length} added, ${changes.changed.length} changed`);
+  sendToEveryone({ type: "item_templates", itemTemplates: ITEM_TEMPLATES });
+  return changes;
+};
 
-  // Random position within radius
-  const randomPosition = () => {
-    const r = radius * Math.sqrt(Math.random());
-    const theta = Math.random() * 2 * Math.PI;
-    return {
-      lat: centerLat + r * Math.cos(theta),
-      lng: centerLng + r * Math.sin(theta)
-    };
-  };
+// With ITEM_CONFIG_WATCH set, saving the item config reloads it
+const watchItemConfig = () => {
+  fs.watchFile(ITEM_CONFIG_PATH, { interval: 1000 }, (current, previous) => {
+    if (current.mtimeMs === previous.mtimeMs) return;
+    try {
+      const changes = reloadTemplates();
+      auditLog.record({ actor: "file-watch", ip: null, action: "reload_item_templates", target: null, details: changes });
+    } catch (error) {
+      if (!(error instanceof ItemConfigError)) throw error;
+      console.error(`Item config not reloaded: ${error.message}`);
+    }
+  });
+  console.log(`Watching ${ITEM_CONFIG_PATH} for item template changes`);
+};
 
-  // Possible item types to spawn
-  const itemTypes = ['health-potion', 'iron-sword', 'gold-coin', 'leather-armor'];
-  const randomItemType = itemTypes[Math.floor(Math.random() * itemTypes.length)];
+// Send a message to every connected player
+const sendToEveryone = (message) => {
+  playerSockets.forEach((socket, id) => sendToPlayer(id, message));
+};
 
-  // Collection times based on rarity
-  const collectionTimes = {
-    'health-potion': 2000,
-    'iron-sword': 5000,
-    'gold-coin': 1000,
-    'leather-armor': 3000
-  };
+// Tell both sides of a fight what happened
+const sendCombatLog = (entry) => {
+  const message = { type: "combat_log", time: clock.now(), ...entry };
+  new Set([entry.attackerId, entry.targetId]).forEach(id => sendToPlayer(id, message));
+};
+
+// Give a player XP and tell them about it (and any level ups)
+const grantXp = (targetId, amount, source) => {
+  const player = players[targetId];
+  if (!player || !(amount > 0)) return;
 
-  // Create and add the new item
-  const newItem = createItemFromTemplate(randomItemType, {
-    position: randomPosition(),
-    collectionTime: collectionTimes[randomItemType]
+  const levelsGained = awardXp(player, amount);
+  recordActivity(player, "xp", amount, clock.now());
+  sendToPlayer(targetId, {
+    type: "xp_gained",
+    amount: Math.floor(amount),
+    source: source,
+    xp: player.xp,
+    xpToNextLevel: player.xpToNextLevel,
+    level: player.level
   });
 
-  worldItems.push(newItem);
+  if (levelsGained > 0) {
+    console.log(`Player ${player.name} reached level ${player.level}`);
+    sendToPlayer(targetId, {
+      type: "level_up",
+      message: `You reached level ${player.level}! You have ${player.statPoints} stat point(s) to spend.`,
+      level: player.level,
+      levelsGained: levelsGained,
+      statPoints: player.statPoints,
+      maxHp: player.maxHp
+    });
+    for (let level = player.level - levelsGained + 1; level <= player.level; level++) {
+      trackAchievements(targetId, { type: AchievementEvents.LEVEL_UP, level: level });
+    }
+  }
+};
+
+// Split XP and gold between a player and any party members near them
+const shareReward = (playerId, { xp = 0, gold = 0 }, source) => {
+  const player = players[playerId];
+  const recipients = getShareRecipients(playerId, player.position, players);
+  const goldShares = splitAmount(gold, recipients);
 
-  // Broadcast the new item to all clients
-  wss.clients.forEach(client => {
-    if (client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({
-        type: "item_spawned",
-        item: newItem
-      }));
+  recipients.forEach((id, index) => {
+    grantXp(id, xp / recipients.length, source);
+    changeGold(players[id], goldShares[index].amount, id === playerId ? source : GoldSources.PARTY_SHARE, { fromPlayerId: playerId }, clock.now());
+
+    if (id !== playerId) {
+      sendToPlayer(id, {
+        type: "party_share",
+        source: source,
+        fromName: player.name,
+        xp: Math.floor(xp / recipients.length),
+        gold: goldShares[index].amount,
+        message: `You shared ${goldShares[index].amount} gold and ${Math.floor(xp / recipients.length)} XP from ${player.name}`
+      });
     }
   });
+};
 
-  // Schedule next spawn (random between 30-60 seconds)
-  const nextSpawnTime = 30000 + Math.random() * 30000;
-  setTimeout(spawnNewItems, nextSpawnTime);
-}
+// Send a player their quest journal, with an optional message about what changed
+const sendQuestJournal = (targetId, message) => {
+  if (!players[targetId]) return;
+  sendToPlayer(targetId, {
+    type: "quest_log",
+    journal: getQuestJournal(players[targetId]),
+    message: message
+  });
+};
 
-// Start the item spawning cycle
-setTimeout(spawnNewItems, 10000); // First spawn after 10 seconds
+// Feed a gameplay event into a player's active quests
+const advanceQuests = (targetId, event) => {
+  const player = players[targetId];
+  if (!player) return;
 
-// Session tokens for security (mapping clientId -> playerId)
-const clientSessions = new Map();
+  const updated = recordQuestEvent(player, event);
+  if (updated.length > 0) {
+    sendQuestJournal(targetId, `Quest updated: ${updated.map(quest => quest.name).join(", ")}`);
+  }
+};
 
-// Helper to validate that a client is authorized to modify a player
-const isAuthorizedForPlayer = (clientId, targetPlayerId) => {
-  return clientSessions.get(clientId) === targetPlayerId;
+// Rank everyone on a leaderboard - players in the world plus registered players who are away
+const rankPlayers = (board, window, limit) => {
+  const everyone = [...Object.values(players), ...listSavedPlayers().filter(player => !players[player.id])];
+  return getLeaderboard(everyone, board, window, { now: clock.now(), limit });
 };
 
-// WebSocket connection handling
-wss.on("connection", (ws) => {
-  console.log("New client connected!");
-  const clientId = uuidv4(); // Unique ID for this connection
-  const playerId = uuidv4(); // Unique ID for the player
+// Feed a gameplay event into a player's achievements, paying out anything it unlocks
+const trackAchievements = (targetId, event) => {
+  const player = players[targetId];
+  if (!player) return;
+
+  recordAchievementEvent(player, event, clock.now()).forEach(achievement => {
+    console.log(`Player ${player.name} unlocked achievement ${achievement.id}`);
+    changeGold(player, achievement.reward.gold, GoldSources.ACHIEVEMENT, { achievementId: achievement.id }, clock.now());
+    sendToPlayer(targetId, {
+      type: "achievement_unlocked",
+      achievement: {
+        id: achievement.id,
+        name: achievement.name,
+        description: achievement.description,
+        icon: achievement.icon,
+        reward: achievement.reward
+      },
+      playerGold: player.gold,
+      message: `Achievement unlocked: ${achievement.name}!`
+    });
+    grantXp(targetId, achievement.reward.xp, "achievement");
+  });
+};
 
-  // Create session token for this client
-  clientSessions.set(clientId, playerId);
+// Bring back downed players whose respawn time has arrived
+const respawnDownedPlayers = (now) => {
+  Object.values(players).forEach(player => {
+    if (isAlive(player) || (player.respawnAt || 0) > now) return;
 
-  // Attach client ID to the WebSocket instance for later reference
-  ws.clientId = clientId;
+    respawn(player);
+    sendCombatLog({
+      event: "respawn",
+      targetId: player.id,
+      targetName: player.name,
+      message: `${player.name} is back on their feet`
+    });
+    syncWorld();
+  });
+};
+
+// Knock a player out, drop part of their loot and start the respawn timer
+const knockOutPlayer = (victimId, attackerId) => {
+  const victim = players[victimId];
+  cancelPlayerTrade(victimId, "knockout");
+  const droppedItems = knockOut(victim, clock.now());
+  droppedItems.forEach(item => { item.expiresAt = spawnManager.dropExpiry(clock.now()); });
+  worldItems.push(...droppedItems);
+
+  // A downed player can't keep collecting or crafting
+  interruptCollections(victimId, InterruptReasons.KNOCKED_OUT);
+  if (cancelCrafting(victimId)) {
+    sendToPlayer(victimId, { type: "crafting_canceled", message: "You were knocked out and stopped crafting" });
+  }
+
+  sendCombatLog({
+    event: "knockout",
+    attackerId: attackerId,
+    attackerName: players[attackerId] ? players[attackerId].name : null,
+    targetId: victimId,
+    targetName: victim.name,
+    droppedItems: droppedItems.map(getItemName),
+    respawnAt: victim.respawnAt,
+    message: `${victim.name} was knocked out and dropped ${droppedItems.length} item(s)`
+  });
+
+  if (attackerId) {
+    shareReward(attackerId, { xp: XP_REWARDS.knockout }, "knockout");
+    advanceQuests(attackerId, { type: "defeat" });
+    recordActivity(players[attackerId], "kills", 1, clock.now());
+    trackAchievements(attackerId, { type: AchievementEvents.KNOCKOUT });
+  }
+};
+
+// A monster lands a hit on a player
+const applyMonsterAttack = ({ monster, player, damage }) => {
+  // An earlier hit this tick may already have knocked them out, or they left
+  if (!isAlive(player) || player.online === false) return;
+  const template = getMonsterTemplate(monster);
+  player.hp = Math.max(0, player.hp - damage);
+  interruptCollections(player.id, InterruptReasons.DAMAGED);
+
+  sendToPlayer(player.id, {
+    type: "attacked",
+    message: `${template.name} attacked you for ${damage} damage!`,
+    attackerName: template.name,
+    damage: damage,
+    currentHP: player.hp
+  });
+  sendCombatLog({
+    event: "hit",
+    attackerId: null,
+    attackerName: template.name,
+    monsterId: monster.monsterId,
+    targetId: player.id,
+    targetName: player.name,
+    damage: damage,
+    targetHP: player.hp,
+    message: `${template.name} hit ${player.name} for ${damage} damage`
+  });
+
+  const brokenArmor = wearEquipment(player, "armor");
+  if (brokenArmor) {
+    sendInventory(player.id, `Your ${getItemName(brokenArmor)} broke!`);
+  }
+  if (player.hp === 0) {
+    knockOutPlayer(player.id, null);
+  }
+};
+
+// Spawn monsters into zones that are short, then let every monster move and fight
+const updateMonsters = (now) => {
+  const spawned = monsterManager.spawn(now);
+  const { changed, attacks } = monsterManager.update(getActivePlayers(), now);
+  attacks.forEach(applyMonsterAttack);
+  if (spawned.length > 0 || changed || attacks.length > 0) {
+    syncWorld();
+  }
+};
+
+// Online players on the side that owns a territory
+const getOnlineMembers = (side) => {
+  const memberIds = side.type === OwnerTypes.GUILD
+    ? Object.keys((getGuild(side.id) || { members: {} }).members)
+    : [side.id];
+  return memberIds.filter(id => players[id] && players[id].online !== false);
+};
+
+// Tell a side's online players something about their territory
+const notifyOwners = (side, message) => {
+  getOnlineMembers(side).forEach(id => sendToPlayer(id, message));
+};
+
+// Captures finishing, owners under attack and fights breaking out
+const handleTerritoryEvent = (event) => {
+  const territory = event.territory;
+  if (event.type === "captured") {
+    sendToEveryone({
+      type: "territory_captured",
+      territory: toPublicTerritory(territory),
+      message: `${event.owner.name} captured ${territory.name}${event.previousOwner ? ` from ${event.previousOwner.name}` : ""}!`
+    });
+    // Everyone on the winning side who stood in it helped
+    getCapturingPlayers()
+      .filter(player => isOnSide(player, event.owner) && isInTerritory(territory, player.position))
+      .forEach(player => trackAchievements(player.id, { type: AchievementEvents.CAPTURE, territoryId: territory.id }));
+  } else if (event.type === "attacked") {
+    notifyOwners(territory.owner, {
+      type: "territory_alert",
+      territoryId: territory.id,
+      message: `${event.attacker.name} is trying to capture ${territory.name}!`
+    });
+  } else if (event.type === "contested" && territory.owner) {
+    notifyOwners(territory.owner, {
+      type: "territory_alert",
+      territoryId: territory.id,
+      message: `${territory.name} is being contested!`
+    });
+  }
+};
+
+// Pay territory owners their income - split between whoever on the owning side is online
+const payTerritoryIncome = (now) => {
+  territoryManager.collectIncome(now).forEach(({ territory, owner, gold, items }) => {
+    // Income only goes to owners who are around to collect it
+    const recipients = getOnlineMembers(owner);
+    if (recipients.length === 0) return;
+
+    // Coins in the income are credited like the territory's gold rather than taking up a slot
+    const coinGold = items.reduce((total, item) => total + getGoldValue(item), 0);
+    const goods = items.filter(item => !getGoldValue(item));
+
+    const goldShares = splitAmount(gold + coinGold, recipients);
+    const received = new Map(recipients.map(id => [id, []]));
+    goods.forEach((item, index) => {
+      const recipientId = recipients[index % recipients.length];
+      try {
+        addItem(players[recipientId], item);
+        received.get(recipientId).push(getItemName(item));
+      } catch (error) {
+        if (!(error instanceof InventoryError)) throw error;
+        // No room - it waits at the territory instead
+        worldItems.push(toWorldItem(item, { position: territory.center, spawnZone: null, expiresAt: spawnManager.dropExpiry(now) }));
+      }
+    });
+
+    recipients.forEach((id, index) => {
+      const player = players[id];
+      const share = goldShares[index].amount;
+      changeGold(player, share, GoldSources.TERRITORY, { territoryId: territory.id }, now);
+      const itemNames = received.get(id);
+      if (itemNames.length > 0) {
+        sendInventory(id);
+      }
+      sendToPlayer(id, {
+        type: "territory_income",
+        territoryId: territory.id,
+        gold: share,
+        items: itemNames,
+        playerGold: player.gold,
+        message: `${territory.name} paid you ${share} gold${itemNames.length > 0 ? ` and ${itemNames.join(", ")}` : ""}`
+      });
+    });
+    syncWorld();
+  });
+};
+
+// Players who count towards captures - anyone without a GPS fix yet is still
+// standing at the default spawn point, not really anywhere
+const getCapturingPlayers = () =>
+  getActivePlayers().filter(player => Number.isFinite(player.anchorAt));
+
+// Capture progress for everyone standing in a territory, then income for the owners
+const updateTerritories = (now) => {
+  const { changed, events } = territoryManager.update(getCapturingPlayers(), now);
+  events.forEach(handleTerritoryEvent);
+  if (changed.length > 0) {
+    sendToEveryone({ type: "territory_update", territories: changed.map(toPublicTerritory) });
+  }
+  payTerritoryIncome(now);
+};
+
+// A monster went down - its loot drops where it fell and whoever finished it off is rewarded
+const killMonster = (monster, killerId) => {
+  const template = getMonsterTemplate(monster);
+  const killer = players[killerId];
+  const loot = monsterManager.rollLoot(monster);
+  loot.forEach(item => { item.expiresAt = spawnManager.dropExpiry(clock.now()); });
+  worldItems.push(...loot);
+
+  sendCombatLog({
+    event: "monster_killed",
+    attackerId: killerId,
+    attackerName: killer.name,
+    monsterId: monster.monsterId,
+    targetName: template.name,
+    droppedItems: loot.map(getItemName),
+    message: `${killer.name} defeated a ${template.name}${loot.length > 0 ? ` and it dropped ${loot.length} item(s)` : ""}`
+  });
+
+  shareReward(killerId, { xp: template.stats.xp }, "monster");
+  advanceQuests(killerId, { type: "defeat", monsterId: monster.templateId });
+  recordActivity(killer, "kills", 1, clock.now());
+  trackAchievements(killerId, { type: AchievementEvents.DEFEAT, monsterId: monster.templateId });
+  syncWorld();
+};
+
+// Send both sides the current state of their trade
+const notifyTrade = (trade) => {
+  const message = { type: "trade_update", trade: toTradeView(trade) };
+  Object.keys(trade.sides).forEach(id => sendToPlayer(id, message));
+};
 
-  // Create a new player
-  players[playerId] = {
+// Cancel whatever trade a player is in, returning escrowed items to both sides
+const cancelPlayerTrade = (playerId, reason) => {
+  const trade = getPlayerTrade(playerId);
+  if (!trade) return;
+
+  cancelTrade(trade.id, reason, clock.now());
+  console.log(`Trade ${trade.id} cancelled: ${reason}`);
+  Object.keys(trade.sides).forEach(id => sendToPlayer(id, {
+    type: "trade_cancelled",
+    tradeId: trade.id,
+    reason: reason,
+    message: `Trade cancelled (${reason})`
+  }));
+};
+
+// Cancel trades that timed out or whose players moved apart
+const cancelStaleTrades = (now) => {
+  const stale = findStaleTrades(now);
+  stale.forEach(({ trade, reason }) => cancelPlayerTrade(trade.initiatorId, reason));
+  if (stale.length > 0) {
+    syncWorld();
+  }
+};
+
+// Let inviters know about invites nobody answered, breaking up parties nobody joined
+const expireStaleInvites = (now) => {
+  expirePartyInvites(now).forEach(({ inviteeId, invite, disbanded }) => {
+    const message = `Your party invite to ${players[inviteeId] ? players[inviteeId].name : "that player"} expired`;
+    sendToPlayer(invite.inviterId, disbanded
+      ? { type: "party_update", party: null, message: message }
+      : { type: "party_failed", message: message });
+  });
+};
+
+// Heal and hurt over time and expire status effects that have run out
+const tickStatusEffects = (now) => {
+  let changed = false;
+
+  Object.values(players).forEach(player => {
+    if (!isAlive(player) || getActiveEffects(player).length === 0) return;
+
+    const { ticks, expired } = tickEffects(player, now);
+    if (ticks.length === 0 && expired.length === 0) return;
+    changed = true;
+
+    // Bleeding and poison break concentration like any other hit
+    if (ticks.some(tick => tick.kind === EffectKinds.DAMAGE_OVER_TIME)) {
+      interruptCollections(player.id, InterruptReasons.DAMAGED);
+    }
+
+    if (expired.length > 0) {
+      sendToPlayer(player.id, {
+        type: "effects_expired",
+        effectIds: expired,
+        message: `${expired.map(id => getStatusEffect(id).name).join(", ")} wore off`
+      });
+    }
+
+    // Whoever inflicted the damage that finished them off gets the knockout
+    if (player.hp === 0) {
+      const fatalTick = ticks.filter(tick => tick.kind === EffectKinds.DAMAGE_OVER_TIME).pop();
+      const attackerId = fatalTick && fatalTick.sourceId !== player.id && players[fatalTick.sourceId] ? fatalTick.sourceId : null;
+      knockOutPlayer(player.id, attackerId);
+    }
+  });
+
+  if (changed) {
+    syncWorld();
+  }
+};
+
+// Players in the world who can have items spawned around them
+const getActivePlayers = () =>
+  Object.values(players).filter(player => player.online !== false && isAlive(player));
+
+// Take items out of the world and tell the clients that could see them
+const removeWorldItems = (removed) => {
+  if (removed.length === 0) return;
+
+  const removedIds = new Set(removed.map(item => item.itemId));
+  worldItems = worldItems.filter(item => !removedIds.has(item.itemId));
+
+  // Anyone collecting one of them has nothing left to collect
+  removed.filter(item => item.beingCollected).forEach(item => {
+    const reason = InterruptReasons.DESPAWNED;
+    sendToPlayer(item.collectorId, { type: "collection_canceled", itemId: item.itemId, reason: reason, message: getInterruptMessage(reason) });
+  });
+
+  wss.clients.forEach((client) => {
+    if (client.readyState !== WebSocket.OPEN || !client.view) return;
+    const visible = removed.filter(item => client.view.items.has(item.itemId));
+    if (visible.length > 0) {
+      send(client, {
+        type: "item_despawned",
+        itemIds: visible.map(item => item.itemId)
+      });
+    }
+  });
+};
+
+// Remove items whose lifetime is up
+const despawnExpiredItems = (now) => {
+  removeWorldItems(spawnManager.findExpired(worldItems, now));
+};
+// Spawn pass over every zone and player cluster once the next one is due
+let nextSpawnAt = null;
+const spawnNewItems = (now) => {
+  if (nextSpawnAt === null) {
+    nextSpawnAt = now + spawnManager.config.firstSpawnDelay;
+  }
+  if (now < nextSpawnAt) return;
+  nextSpawnAt = now + spawnManager.nextInterval();
+
+  const spawned = spawnManager.spawn(worldItems, getActivePlayers(), now);
+  worldItems.push(...spawned);
+
+  // Send the new items to clients that can see them
+  if (spawned.length > 0) {
+    syncWorld();
+  }
+};
+
+// Stop a collection before it finishes and tell the collector why
+const interruptCollection = (item, reason) => {
+  const collectorId = item.collectorId;
+  releaseCollection(item);
+  sendToPlayer(collectorId, {
+    type: "collection_canceled",
+    itemId: item.itemId,
+    reason: reason,
+    message: getInterruptMessage(reason)
+  });
+  syncWorld();
+};
+
+// Stop everything a player is collecting
+const interruptCollections = (playerId, reason) => {
+  findCollectionsBy(worldItems, playerId).forEach(item => interruptCollection(item, reason));
+};
+
+// Hand a collected item to its collector and take it out of the world
+const completeCollection = (item) => {
+  const collectorId = item.collectorId;
+  const player = players[collectorId];
+  if (!player || !isAlive(player)) {
+    releaseCollection(item);
+    return;
+  }
+
+  console.log("Collection completed for item:", getItemName(item));
+  const template = getItemTemplate(item);
+  const goldValue = getGoldValue(item);
+
+  // Add item rewards to player - gold is shared with party members nearby
+  if (goldValue) {
+    console.log("Added gold to player:", goldValue);
+  } else {
+    try {
+      // World-only fields don't follow the item into the inventory
+      addItem(player, toInventoryItem(item));
+      console.log("Added item to player inventory:", getItemName(item));
+    } catch (error) {
+      if (!(error instanceof InventoryError)) throw error;
+      // Filled up while collecting - leave the item where it is
+      releaseCollection(item);
+      sendToPlayer(collectorId, {
+        type: "collection_error",
+        message: error.message
+      });
+      syncWorld();
+      return;
+    }
+  }
+
+  // Remove item from world
+  worldItems = worldItems.filter(worldItem => worldItem !== item);
+
+  // Rarer finds are worth more XP
+  shareReward(collectorId, { xp: getCollectXp(template ? template.rarity : null), gold: goldValue }, "collect");
+  advanceQuests(collectorId, { type: "collect", templateId: item.templateId });
+  recordActivity(player, "items", 1, clock.now());
+  trackAchievements(collectorId, {
+    type: AchievementEvents.COLLECT,
+    templateId: item.templateId,
+    rarity: template ? template.rarity : null,
+    itemType: template ? template.type : null,
+    quantity: item.quantity || 1,
+    gold: goldValue
+  });
+
+  // Notify player of successful collection with updated inventory
+  sendToPlayer(collectorId, {
+    type: "collection_complete",
+    itemId: item.itemId,
+    playerGold: player.gold,
+    inventory: player.inventory
+  });
+
+  // Update clients that can see the item or player
+  syncWorld();
+};
+
+// Drop collections whose collector wandered off, went offline or went down,
+// then finish every collection whose time is up
+const progressCollections = (now) => {
+  findBrokenCollections(worldItems, players, PICKUP_RANGE)
+    .forEach(({ item, reason }) => interruptCollection(item, reason));
+  findFinishedCollections(worldItems, now).forEach(completeCollection);
+};
+
+// Finish crafts whose time is up
+const progressCrafting = (now) => {
+  findFinishedCrafts(now).forEach(completeCraft);
+};
+
+// Remove disconnected players whose grace period has run out
+const removeExpiredOfflinePlayers = (now) => {
+  Object.values(players)
+    .filter(player => player.online === false && now - (player.offlineSince || 0) >= OFFLINE_GRACE_PERIOD)
+    .forEach(player => removeOfflinePlayer(player.id));
+};
+
+// Drop connections that didn't answer the last ping and ping the rest
+const checkHeartbeats = () => {
+  wss.clients.forEach(client => {
+    if (client.awaitingPong) {
+      console.log(`Client ${client.clientId} stopped answering pings, disconnecting`);
+      abuse.recordIdleDisconnect();
+      client.terminate();
+      return;
+    }
+    client.awaitingPong = true;
+    client.ping();
+  });
+};
+
+// The simulation, in the order it runs each tick - broadcasting and sending come last
+gameLoop
+  .addSystem("spawns", spawnNewItems)
+  .addSystem("collection", progressCollections)
+  .addSystem("crafting", progressCrafting)
+  .addSystem("effects", tickStatusEffects)
+  .addSystem("respawns", respawnDownedPlayers)
+  .addSystem("monsters", updateMonsters, { interval: 250 })
+  .addSystem("territories", updateTerritories, { interval: 1000 })
+  .addSystem("trades", cancelStaleTrades, { interval: 5000 })
+  .addSystem("parties", expireStaleInvites, { interval: 5000 })
+  .addSystem("despawns", (now) => {
+    despawnExpiredItems(now);
+    syncWorld();
+  }, { interval: 5000 })
+  .addSystem("offline", removeExpiredOfflinePlayers, { interval: 1000 })
+  .addSystem("heartbeat", checkHeartbeats, { interval: limits.heartbeatIntervalMs })
+  .addSystem("broadcast", () => {
+    if (worldChanged) {
+      worldChanged = false;
+      broadcastWorld();
+    }
+    outbox.flush();
+  });
+
+// The socket currently controlling each player (playerId -> ws)
+const playerSockets = new Map();
+
+// Create a fresh player record
+const createPlayer = (playerId, username) => {
+  const player = {
     id: playerId,
-    name: `Player-${playerId.slice(0, 4)}`,
+    name: username || `Player-${playerId.slice(0, 4)}`,
+    username: username || null,
     position: { lat: 40.7128, lng: -74.0060 }, // Default position (NYC) until updated
+    anchor: { lat: 40.7128, lng: -74.0060 }, // Last accepted GPS position, the centre of the movement leash
     avatar: avatars[Math.floor(Math.random() * avatars.length)],
     hp: 100,
     level: 1,
     xp: 0,
-    gold: 10,
+    gold: 0,
     inventory: [],
+    equipment: createEquipment(),
+    state: PlayerStates.ALIVE,
+    statPoints: 0,
+    quests: createQuestLog(),
+    achievements: createAchievementLog(),
+    activity: createActivity(),
     stats: {
       strength: 5,
       dexterity: 5,
       intelligence: 5,
       stamina: 5
     },
-    lastMessage: ""
+    maxHp: 100,
+    xpToNextLevel: 100,
+    chat: createChatSettings(),
+    effects: [],
+    online: true
   };
+  changeGold(player, STARTING_GOLD, GoldSources.NEW_PLAYER, {}, clock.now());
+  return player;
+};
 
-  // Create initial items near the player's position
-  const playerPos = players[playerId].position;
-  createInitialItemsNearPosition(playerPos.lat, playerPos.lng);
+// Remove a player from the world after their grace period expires
+const removeOfflinePlayer = (playerId) => {
+  const player = players[playerId];
+  if (!player || player.online) return;
+
+  console.log(`Grace period ended for player ${playerId}, removing from world`);
+  delete players[playerId];
+  clearMovementTracking(playerId);
+  clearChatState(playerId);
+  cancelCrafting(playerId);
+
+  // Parties don't wait for players who are gone for good
+  if (getPlayerParty(playerId)) {
+    notifyPartyDeparture(leaveParty(playerId), `${player.name} left the party`);
+  }
+
+  if (player.username) {
+    // Registered players keep their record for the next login
+    savePlayerRecord(player);
+  } else {
+    // Guest sessions can no longer be resumed
+    revokePlayerSessions(playerId);
+  }
+
+  // Clients that could see the player receive it as removed
+  syncWorld();
+};
+
+// Send every party member the party's current state
+const notifyParty = (party, message) => {
+  const view = toPartyView(party, players);
+  party.members.forEach(id => sendToPlayer(id, { type: "party_update", party: view, message: message }));
+};
+
+// Tell the rest of a party that someone left, or that it broke up
+const notifyPartyDeparture = ({ party, disbanded }, message) => {
+  if (disbanded) {
+    party.members.forEach(id => sendToPlayer(id, { type: "party_update", party: null, message: "Your party has disbanded" }));
+  } else {
+    notifyParty(party, message);
+  }
+};
+
+// Send a player their inventory and equipment, with an optional message about what changed
+const sendInventory = (targetId, message) => {
+  const player = players[targetId];
+  if (!player) return;
+  sendToPlayer(targetId, {
+    type: "inventory_update",
+    inventory: player.inventory,
+    equipment: player.equipment,
+    message: message
+  });
+};
+
+// Finish a player's craft and tell them how it went
+const completeCraft = (playerId) => {
+  const recipeId = getActiveCraft(playerId).recipeId;
+  if (!players[playerId]) {
+    cancelCrafting(playerId);
+    return;
+  }
+  try {
+    const crafted = finishCrafting(players[playerId], clock.now());
+    const name = getItemName(crafted);
+    console.log(`Player ${playerId} crafted ${crafted.quantity}x ${name}`);
+    sendToPlayer(playerId, {
+      type: "crafting_complete",
+      recipeId: recipeId,
+      item: crafted,
+      playerGold: players[playerId].gold,
+      inventory: players[playerId].inventory,
+      message: `You made ${crafted.quantity > 1 ? `${crafted.quantity}x ` : ""}${name}!`
+    });
+  } catch (error) {
+    if (!(error instanceof CraftingError)) throw error;
+    sendToPlayer(playerId, { type: "crafting_failed", recipeId: recipeId, message: error.message });
+  }
+};
+
+// Tell a client why it is being disconnected, then close the connection
+// Sent straight away rather than queued, since the connection closes right after -
+// anything already queued goes out first so it isn't lost
+const closeWithError = (socket, closeCode, { code, message, details = null }) => {
+  outbox.flush();
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify({ type: "error", code: code, message: message, details: details }));
+  }
+  socket.close(closeCode, message);
+};
+
+// Disconnect every connection a ban covers
+const disconnectBanned = ({ ip, playerId, reason, until }) => {
+  console.warn(`Banned ${ip || "-"} / player ${playerId || "-"} until ${new Date(until).toISOString()} (${reason})`);
+  wss.clients.forEach(client => {
+    if ((ip && client.ip === ip) || (playerId && client.playerId === playerId)) {
+      closeWithError(client, 4003, { code: ErrorCodes.BANNED, message: "You are temporarily banned", details: { until: until } });
+    }
+  });
+};
+
+// Rate limit hits and oversized messages are counted, and strike against the sender
+const recordAbuse = (ctx, error) => {
+  if (error.code === ErrorCodes.RATE_LIMITED) {
+    abuse.recordLimitHit(ctx.type || "unknown");
+  } else if (error.code === ErrorCodes.MESSAGE_TOO_LARGE) {
+    abuse.recordOversized();
+  } else {
+    return;
+  }
+
+  const ban = abuse.strike({ ip: ctx.ws.ip, playerId: ctx.playerId }, error.code);
+  if (ban) {
+    disconnectBanned(ban);
+  }
+};
+
+// Shared state and helpers the message handlers work with
+const game = {
+  players,
+  avatars,
+  clock,
+  spawnManager,
+  monsters: monsterManager,
+  worldSync,
+  constants: { PICKUP_RANGE, COMBAT_RANGE },
+  get worldItems() {
+    return worldItems;
+  },
+  connectedPlayerIds: () => Array.from(playerSockets.keys()),
+  send,
+  sendToPlayer,
+  syncWorld,
+  sendCombatLog,
+  sendInventory,
+  sendQuestJournal,
+  grantXp,
+  advanceQuests,
+  trackAchievements,
+  rankPlayers,
+  knockOutPlayer,
+  killMonster,
+  interruptCollection,
+  interruptCollections,
+  notifyTrade,
+  cancelPlayerTrade,
+  notifyParty,
+  notifyPartyDeparture
+};
+
+// Every client message goes through the dispatcher, which checks it against
+// its schema and these guards before handing it to its handler
+const dispatcher = createDispatcher(game, {
+  // Downed players have to wait for their respawn
+  alive: (ctx) => isAlive(players[ctx.playerId]) ? null : {
+    type: "action_failed",
+    message: "You are knocked out and can't do that until you respawn",
+    respawnAt: players[ctx.playerId].respawnAt
+  },
+  // Stunned players wait it out - movement is snapped back to where they stand
+  notStunned: (ctx) => {
+    const player = players[ctx.playerId];
+    if (!isStunned(player, clock.now())) return null;
+    return ctx.type === "update_position" ? {
+      type: "position_corrected",
+      position: player.position,
+      anchor: player.anchor,
+      reason: "stunned",
+      message: "You are stunned!"
+    } : {
+      type: "action_failed",
+      message: "You are stunned!"
+    };
+  }
+}, {
+  maxMessageBytes: limits.maxMessageBytes,
+  onProtocolError: recordAbuse
+});
+
+// Machine-readable protocol description, generated from the message schemas
+app.get("/api/protocol", (req, res) => {
+  res.json(dispatcher.describe());
+});
+
+// WebSocket connection handling
+wss.on("connection", (ws, req) => {
+  console.log("New client connected!");
+  const clientId = uuidv4(); // Unique ID for this connection
+  const requestUrl = new URL(req.url, "http://localhost");
+
+  // Banned addresses and addresses already at the connection limit are turned away
+  ws.ip = abuse.getClientIp(req);
+  const refusal = abuse.checkConnection(ws.ip);
+  if (refusal) {
+    closeWithError(ws, refusal.reason === "banned" ? 4003 : 4004, {
+      code: refusal.reason,
+      message: refusal.message,
+      details: { until: refusal.until }
+    });
+    return;
+  }
+
+  // Clients name the protocol version they speak - older clients that don't are on version 1
+  const protocolVersion = dispatcher.negotiate(requestUrl.searchParams.get("protocol"));
+  if (protocolVersion === null) {
+    closeWithError(ws, 4002, {
+      code: ErrorCodes.UNSUPPORTED_PROTOCOL,
+      message: `Protocol version ${requestUrl.searchParams.get("protocol")} is not supported`,
+      details: { supportedVersions: dispatcher.supportedVersions }
+    });
+    return;
+  }
+
+  // Resume an existing session if the client presented a valid token,
+  // otherwise start a new guest session
+  let sessionToken = requestUrl.searchParams.get("token");
+  let session = resolveSession(sessionToken, clock.now());
+  if (!session) {
+    sessionToken = createSession(uuidv4(), null, clock.now()).token;
+    session = resolveSession(sessionToken, clock.now());
+  }
+  const playerId = session.playerId;
+
+  // A banned player can't come back from another address either
+  const playerRefusal = abuse.checkPlayer(playerId);
+  if (playerRefusal) {
+    closeWithError(ws, 4003, { code: playerRefusal.reason, message: playerRefusal.message, details: { until: playerRefusal.until } });
+    return;
+  }
+
+  // Count the connection against its address and give it its own rate limits
+  abuse.connected(ws.ip);
+  ws.limiter = abuse.createLimiter();
+  ws.playerId = playerId;
+
+  // Answering pings is what keeps a quiet connection open
+  ws.awaitingPong = false;
+  ws.on("pong", () => {
+    ws.awaitingPong = false;
+  });
+
+  // Attach client ID to the WebSocket instance for later reference
+  ws.clientId = clientId;
+  ws.protocolVersion = protocolVersion;
+
+  // Only one connection may control a player - close the previous one
+  const previousSocket = playerSockets.get(playerId);
+  if (previousSocket && previousSocket !== ws) {
+    previousSocket.close(4001, "Session resumed from another connection");
+  }
+  playerSockets.set(playerId, ws);
+
+  // Restore the player if they are still in the world or have a saved record,
+  // otherwise create a new one
+  const resumed = Boolean(players[playerId]) || Boolean(loadPlayerRecord(playerId));
+  if (!players[playerId]) {
+    players[playerId] = loadPlayerRecord(playerId) || createPlayer(playerId, session.username);
+  }
+  players[playerId].online = true;
+  delete players[playerId].offlineSince;
+
+  // Records saved before equipment existed
+  if (!players[playerId].equipment) {
+    players[playerId].equipment = createEquipment();
+    players[playerId].state = PlayerStates.ALIVE;
+  }
+
+  // Records saved before item instances and slots existed
+  normalizeInventory(players[playerId]);
+
+  // Records saved before quests existed
+  if (!players[playerId].quests) {
+    players[playerId].quests = createQuestLog();
+  }
+
+  // Records saved before achievements and leaderboards existed
+  if (!players[playerId].achievements) {
+    players[playerId].achievements = createAchievementLog();
+  }
+  if (!players[playerId].activity) {
+    players[playerId].activity = createActivity();
+  }
+
+  // Records saved before chat existed carried their last message on the player
+  if (!players[playerId].chat) {
+    players[playerId].chat = createChatSettings();
+  }
+  delete players[playerId].lastMessage;
+
+  // Records saved before levelling existed
+  if (players[playerId].statPoints === undefined) {
+    players[playerId].statPoints = 0;
+  }
+  refreshDerivedStats(players[playerId]);
+
+  // A new player's first GPS fix sets their movement anchor - everyone else picks up from their last fix
+  resetMovementTracking(players[playerId]);
+
+  console.log(`Player ${playerId} ${resumed ? "resumed" : "created"}`);
+
+  // Give a player arriving somewhere empty a few items to start with
+  worldItems.push(...spawnManager.spawnInitial(worldItems, players[playerId].position, clock.now()));
+
+  // Start tracking what this client can see
+  ws.view = new ClientView(playerId);
+  worldSync.index(players, worldItems, monsterManager.list());
+  const visibleWorld = worldSync.snapshot(ws.view);
 
   // Send initial data to the new player
-  ws.send(JSON.stringify({
+  send(ws, {
     type: "init",
     clientId: clientId,
+    serverTime: clock.now(),
+    protocol: { version: protocolVersion, supportedVersions: dispatcher.supportedVersions },
     playerId: playerId,
+    sessionToken: sessionToken,
+    username: session.username,
+    resumed: resumed,
     player: players[playerId],
-    players: players,
-    items: worldItems,
+    seq: visibleWorld.seq,
+    players: Object.fromEntries(visibleWorld.players.added.map(p => [p.id, p])),
+    items: visibleWorld.items.added,
+    monsters: visibleWorld.monsters.added,
+    territories: territoryManager.list().map(toPublicTerritory),
+    npcs: Object.values(NPCS),
+    quests: getQuestJournal(players[playerId]),
+    recipes: getRecipeBook(),
+    itemTemplates: ITEM_TEMPLATES,
+    statusEffects: STATUS_EFFECTS,
+    inventoryLimits: { slots: INVENTORY_SLOTS, maxWeight: MAX_CARRY_WEIGHT },
+    party: getPlayerParty(playerId) ? toPartyView(getPlayerParty(playerId), players) : null,
+    guild: getPlayerGuild(players[playerId]) ? toGuildView(getPlayerGuild(players[playerId]), players) : null,
+    chat: {
+      history: getChatHistory(players[playerId]),
+      settings: players[playerId].chat
+    },
     availableAvatars: avatars
-  }));
+  });
 
-  // Broadcast new player to all other players
-  wss.clients.forEach((client) => {
-    if (client !== ws && client.readyState === WebSocket.OPEN) {
-      client.send(JSON.stringify({
-        type: "player_joined",
-        player: players[playerId]
-      }));
+  // Let nearby players know about the new arrival
+  syncWorld();
+
+  ws.on("message", (message) => {
+    // Messages still arriving after a ban closed the connection are dropped
+    if (ws.readyState !== WebSocket.OPEN) return;
+    ws.awaitingPong = false;
+
+    // Rate limits, schema checks, guards and error replies all happen in the dispatcher
+    if (dispatcher.dispatch({ ws, clientId, playerId, limiter: ws.limiter }, message)) {
+      // Send the resulting changes to clients that can see them
+      syncWorld();
     }
   });
 
-  ws.on("message", (message) => {
-    try {
-      const data = JSON.parse(message);
-      console.log(`Received: ${data.type} from ${clientId} (Player: ${playerId})`);
+  ws.on("close", () => {
+    console.log(`Client ${clientId} (Player: ${playerId}) disconnected`);
+    abuse.disconnected(ws.ip);
 
-      // Always check that the client is authorized for the player they're trying to modify
-      // This is essential for security to prevent players from modifying other players' data
-      const targetPlayerId = data.playerId || playerId;
+    // Nothing else to do if another connection has taken over this player
+    if (playerSockets.get(playerId) !== ws) return;
+    playerSockets.delete(playerId);
 
-      if (data.type !== "view_profile" && targetPlayerId !== playerId && !isAuthorizedForPlayer(clientId, targetPlayerId)) {
-        console.error(`Unauthorized action attempted by ${clientId} on player ${targetPlayerId}`);
-        return;
-      }
+    // Trades can't stay open without both players
+    cancelPlayerTrade(playerId, "disconnect");
 
-      switch(data.type) {
-        case "update_position":
-          players[playerId].position = data.position;
-          break;
-
-        case "chat_message":
-          players[playerId].lastMessage = data.message;
-          break;
-
-        case "pickup_item":
-          console.log("Pickup item request received for item:", data.itemId);
-          const itemIndex = worldItems.findIndex(item => item.itemId === data.itemId);
-          if (itemIndex !== -1) {
-            console.log("Item found in world items at index:", itemIndex);
-            // Check if player is close enough to the item
-            const itemPos = worldItems[itemIndex].position;
-            const playerPos = players[playerId].position;
-
-            // Calculate distance using Haversine formula (simplified for demo)
-            const dist = Math.sqrt(
-              Math.pow(itemPos.lat - playerPos.lat, 2) + 
-              Math.pow(itemPos.lng - playerPos.lng, 2)
-            );
-
-            console.log("Distance to item:", dist);
-            // Only allow pickup if player is close (adjust threshold as needed)
-            if (dist < 0.001) { // roughly 100 meters
-              const item = worldItems[itemIndex];
-
-              // Start collection timer if not already collecting
-              if (!item.beingCollected) {
-                console.log("Starting collection for item:", item.name);
-                item.beingCollected = true;
-                item.collectorId = playerId;
-
-                // Set collection time (default to 3 seconds if not specified)
-                const collectionTime = item.collectionTime || 3000;
-
-                // Notify player that collection has started
-                ws.send(JSON.stringify({
-                  type: "collection_started",
-                  itemId: item.itemId,
-                  collectionTime: collectionTime
-                }));
-
-                // After timer completes, add to inventory and remove from world
-                setTimeout(() => {
-                  // Make sure item still exists and player is still collecting
-                  const currentItemIndex = worldItems.findIndex(i => i.itemId === item.itemId);
-                  if (currentItemIndex !== -1 && worldItems[currentItemIndex].collectorId === playerId) {
-                    console.log("Collection completed for item:", item.name);
-                    // Add item rewards to player
-                    if (item.type === 'collectible' && item.stats && item.stats.value) {
-                      players[playerId].gold += item.stats.value;
-                      console.log("Added gold to player:", item.stats.value);
-                    } else {
-                      players[playerId].inventory.push(worldItems[currentItemIndex]);
-                      console.log("Added item to player inventory:", item.name);
-                    }
-
-                    // Remove item from world
-                    worldItems.splice(currentItemIndex, 1);
-
-                    // Notify player of successful collection with updated inventory
-                    ws.send(JSON.stringify({
-                      type: "collection_complete",
-                      itemId: item.itemId,
-                      playerGold: players[playerId].gold,
-                      inventory: players[playerId].inventory
-                    }));
-
-                    // Update all clients
-                    wss.clients.forEach((client) => {
-                      if (client.readyState === WebSocket.OPEN) {
-                        client.send(JSON.stringify({
-                          type: "world_update",
-                          players: players,
-                          items: worldItems
-                        }));
-                      }
-                    });
-                  }
-                }, collectionTime);
-              } else if (item.collectorId !== playerId) {
-                // Item is being collected by someone else
-                ws.send(JSON.stringify({
-                  type: "collection_error",
-                  message: "This item is being collected by another player"
-                }));
-              }
-            } else {
-              console.log("Item too far away for collection");
-              ws.send(JSON.stringify({
-                type: "collection_error",
-                message: "Item is too far away to collect"
-              }));
-            }
-          } else {
-            console.log("Item not found in world items:", data.itemId);
-          }
-          break;
-
-        case "add_to_inventory":
-          // This case is now handled by collection_complete
-          console.log("add_to_inventory request ignored, using collection system instead");
-          break;
-
-        case "cancel_collection":
-          const cancelItemIndex = worldItems.findIndex(item => 
-            item.itemId === data.itemId && 
-            item.collectorId === playerId
-          );
-
-          if (cancelItemIndex !== -1) {
-            worldItems[cancelItemIndex].beingCollected = false;
-            worldItems[cancelItemIndex].collectorId = null;
-
-            // Notify player collection was canceled
-            ws.send(JSON.stringify({
-              type: "collection_canceled",
-              itemId: data.itemId
-            }));
-          }
-          break;
-
-        case "use_item":
-          const itemId = data.itemId;
-          // Find the item in player's inventory
-          const inventoryItemIndex = players[playerId].inventory.findIndex(item => item.itemId === itemId);
-
-          if (inventoryItemIndex !== -1) {
-              const item = players[playerId].inventory[inventoryItemIndex];
-
-              // Handle different item types
-              if (item.type === 'consumable') {
-                  // Health potions or other consumables
-                  if (item.stats && item.stats.heal) {
-                      players[playerId].hp = Math.min(100, players[playerId].hp + item.stats.heal);
-                      // Remove item after use
-                      players[playerId].inventory.splice(inventoryItemIndex, 1);
-
-                      // Notify player
-                      ws.send(JSON.stringify({
-                          type: "item_used",
-                          message: `You used ${item.name} and gained ${item.stats.heal} health!`,
-                          newHP: players[playerId].hp,
-                          actionType: "heal",
-                          amount: item.stats.heal
-                      }));
-                  }
-              } else if (item.type === 'weapon') {
-                  // Weapons - put player in "attack mode" to select a target
-                  ws.send(JSON.stringify({
-                      type: "weapon_ready",
-                      message: `You ready your ${item.name}. Click on a player to attack!`,
-                      weaponId: item.itemId,
-                      damage: item.stats.attack || 5
-                  }));
-                  // The actual attack will be handled by the "attack_player" message
-                  // We don't remove weapons after readying them
-              } else if (item.type === 'armor') {
-                  // Equipment items - equip the armor
-                  ws.send(JSON.stringify({
-                      type: "item_used",
-                      message: `You equipped your ${item.name}!`,
-                      actionType: "equip"
-                  }));
-                  // Remove the armor from inventory (consumed on equip)
-                  players[playerId].inventory.splice(inventoryItemIndex, 1);
-              } else {
-                  // Generic item use
-                  ws.send(JSON.stringify({
-                      type: "item_used",
-                      message: `You used ${item.name}!`,
-                      actionType: "generic"
-                  }));
-                  // Remove generic items after use
-                  players[playerId].inventory.splice(inventoryItemIndex, 1);
-              }
-          }
-          break;
-          
-        case "attack_player":
-          // Handle player attacking another player with a weapon
-          const targetPlayerId = data.targetPlayerId;
-          const weaponId = data.weaponId;
-          const damage = data.damage || 5; // Default damage if not specified
-          
-          // Verify target exists
-          if (players[targetPlayerId]) {
-              // Find weapon in inventory
-              const weaponIndex = players[playerId].inventory.findIndex(item => 
-                  item.itemId === weaponId && item.type === 'weapon'
-              );
-              
-              if (weaponIndex !== -1) {
-                  const weapon = players[playerId].inventory[weaponIndex];
-                  
-                  // Check if target is nearby (within 0.0002 units, roughly 20m)
-                  const attackerPos = players[playerId].position;
-                  const targetPos = players[targetPlayerId].position;
-                  const dist = Math.sqrt(
-                      Math.pow(targetPos.lat - attackerPos.lat, 2) + 
-                      Math.pow(targetPos.lng - attackerPos.lng, 2)
-                  );
-                  
-                  if (dist <= 0.0002) {
-                      // Apply damage to target
-                      players[targetPlayerId].hp = Math.max(0, players[targetPlayerId].hp - damage);
-                      
-                      // Notify attacker
-                      ws.send(JSON.stringify({
-                          type: "attack_success",
-                          message: `You hit ${players[targetPlayerId].name} for ${damage} damage!`,
-                          targetName: players[targetPlayerId].name,
-                          damage: damage
-                      }));
-                      
-                      // Notify target (if online)
-                      const targetClient = Array.from(wss.clients).find(client => 
-                          client.readyState === WebSocket.OPEN && 
-                          clientSessions.get(client.clientId) === targetPlayerId
-                      );
-                      
-                      if (targetClient) {
-                          targetClient.send(JSON.stringify({
-                              type: "attacked",
-                              message: `You were attacked by ${players[playerId].name} for ${damage} damage!`,
-                              attackerName: players[playerId].name,
-                              damage: damage,
-                              currentHP: players[targetPlayerId].hp
-                          }));
-                      }
-                      
-                      // Check if weapon should be consumed (making all weapons single-use)
-                      // You can modify this logic based on weapon rarity, type, etc.
-                      const consumeWeapon = false; // Set to false if you want reusable weapons
-                      
-                      if (consumeWeapon) {
-                          // Remove weapon after use
-                          players[playerId].inventory.splice(weaponIndex, 1);
-                          
-                          // Notify about weapon consumption
-                          ws.send(JSON.stringify({
-                              type: "item_used",
-                              message: `Your ${weapon.name} broke after use!`,
-                              actionType: "weapon_consumed"
-                          }));
-                      }
-                  } else {
-                      // Target too far
-                      ws.send(JSON.stringify({
-                          type: "attack_failed",
-                          message: "Target is too far away to attack!"
-                      }));
-                  }
-              } else {
-                  // Weapon not found
-                  ws.send(JSON.stringify({
-                      type: "attack_failed",
-                      message: "Weapon not found in your inventory!"
-                  }));
-              }
-          } else {
-              // Target not found
-              ws.send(JSON.stringify({
-                  type: "attack_failed",
-                  message: "Target player not found!"
-              }));
-          }
-          break;
-          
-        case "heal_player":
-          // Handle healing another player
-          const healTargetId = data.targetPlayerId;
-          const healItemId = data.itemId;
-          const healAmount = data.healAmount || 20; // Default heal amount if not specified
-          
-          // Verify target exists
-          if (players[healTargetId]) {
-              // Find the healing item in inventory
-              const healItemIndex = players[playerId].inventory.findIndex(item => 
-                  item.itemId === healItemId && item.type === 'consumable'
-              );
-              
-              if (healItemIndex !== -1) {
-                  const healItem = players[playerId].inventory[healItemIndex];
-                  
-                  // Check if target is nearby (within 0.0002 units, roughly 20m)
-                  const healerPos = players[playerId].position;
-                  const targetPos = players[healTargetId].position;
-                  const dist = Math.sqrt(
-                      Math.pow(targetPos.lat - healerPos.lat, 2) + 
-                      Math.pow(targetPos.lng - healerPos.lng, 2)
-                  );
-                  
-                  if (dist <= 0.0002) {
-                      // Apply healing to target
-                      const actualHealAmount = healItem.stats?.heal || healAmount;
-                      players[healTargetId].hp = Math.min(100, players[healTargetId].hp + actualHealAmount);
-                      
-                      // Remove healing item after use
-                      players[playerId].inventory.splice(healItemIndex, 1);
-                      
-                      // Notify healer
-                      ws.send(JSON.stringify({
-                          type: "heal_success",
-                          message: `You healed ${players[healTargetId].name} for ${actualHealAmount} health!`,
-                          targetName: players[healTargetId].name,
-                          healAmount: actualHealAmount
-                      }));
-                      
-                      // Notify target (if online)
-                      const targetClient = Array.from(wss.clients).find(client => 
-                          client.readyState === WebSocket.OPEN && 
-                          clientSessions.get(client.clientId) === healTargetId
-                      );
-                      
-                      if (targetClient) {
-                          targetClient.send(JSON.stringify({
-                              type: "healed",
-                              message: `You were healed by ${players[playerId].name} for ${actualHealAmount} health!`,
-                              healerName: players[playerId].name,
-                              healAmount: actualHealAmount,
-                              currentHP: players[healTargetId].hp
-                          }));
-                      }
-                  } else {
-                      // Target too far
-                      ws.send(JSON.stringify({
-                          type: "heal_failed",
-                          message: "Target is too far away to heal!"
-                      }));
-                  }
-              } else {
-                  // Healing item not found
-                  ws.send(JSON.stringify({
-                      type: "heal_failed",
-                      message: "Healing item not found in your inventory!"
-                  }));
-              }
-          } else {
-              // Target not found
-              ws.send(JSON.stringify({
-                  type: "heal_failed",
-                  message: "Target player not found!"
-              }));
-          }
-          break;
-          
-        case "drop_item":
-          const dropItemId = data.itemId;
-          // Find the item in player's inventory
-          const dropItemIndex = players[playerId].inventory.findIndex(item => item.itemId === dropItemId);
-          
-          if (dropItemIndex !== -1) {
-              const droppedItem = players[playerId].inventory[dropItemIndex];
-              
-              // Remove from inventory
-              players[playerId].inventory.splice(dropItemIndex, 1);
-              
-              // Create a new world item at player's position with a new ID to avoid collection conflicts
-              const newWorldItem = {
-                  ...droppedItem,
-                  itemId: `${droppedItem.id}-${Date.now()}-${Math.floor(Math.random() * 1000)}`, // Generate new ID
-                  position: players[playerId].position,
-                  collectionTime: 1000, // Allow quick pickup
-                  beingCollected: false, // Ensure it's not marked as being collected
-                  collectorId: null     // Clear any collector ID
-              };
-              
-              // Add to world items
-              worldItems.push(newWorldItem);
-              
-              // Notify player
-              ws.send(JSON.stringify({
-                  type: "item_dropped",
-                  message: `You dropped ${droppedItem.name}.`,
-                  itemName: droppedItem.name
-              }));
-          }
-          break;
-
-        case "view_profile":
-          // Anyone can view profiles, so no security check needed
-          const profilePlayerId = data.profilePlayerId;
-          if (players[profilePlayerId]) {
-            // Send back the profile data for the requested player
-            ws.send(JSON.stringify({
-              type: "profile_data",
-              playerProfile: players[profilePlayerId],
-              isOwnProfile: profilePlayerId === playerId
-            }));
-          }
-          break;
-        case "update_profile":
-          // Only allow updating specific fields to prevent security issues
-          if (data.name) {
-            // Sanitize name
-            const sanitizedName = data.name.replace(/[^\w\s-]/gi, '').substring(0, 20);
-            players[playerId].name = sanitizedName;
-          }
-          break;
-
-        case "update_avatar":
-          // Verify that the selected avatar exists in our list
-          if (avatars.includes(data.avatar)) {
-            players[playerId].avatar = data.avatar;
-          }
-          break;
-      }
+    // Nor can anything they were collecting stay locked
+    interruptCollections(playerId, InterruptReasons.DISCONNECTED);
 
-      // Broadcast updated state to all clients
-      wss.clients.forEach((client) => {
-        if (client.readyState === WebSocket.OPEN) {
-          client.send(JSON.stringify({
-            type: "world_update",
-            players: players,
-            items: worldItems
-          }));
-        }
-      });
-    } catch (error) {
-      console.error("Error processing message:", error);
+    // Keep the player in the world as offline until the grace period ends
+    if (players[playerId]) {
+      players[playerId].online = false;
+      players[playerId].offlineSince = clock.now();
     }
+
+    // Nearby clients see the player go offline
+    syncWorld();
   });
+});
 
-  ws.on("close", () => {
-    console.log(`Client ${clientId} (Player: ${playerId}) disconnected`);
-    // Clean up session and player
-    clientSessions.delete(clientId);
-    delete players[playerId];
-
-    // Notify others
-    wss.clients.forEach((client) => {
-      if (client.readyState === WebSocket.OPEN) {
-        client.send(JSON.stringify({
-          type: "player_left",
-          playerId: playerId
-        }));
-      }
-    });
+// Storage backend for players, accounts and world items
+const storage = createStorage();
+const SNAPSHOT_INTERVAL = 30 * 1000; // Save the world every 30 seconds
+
+// Collect everything that should survive a restart
+const buildSnapshot = () => {
+  // Connection state is not persisted - everyone is offline after a restart
+  // Anything held in trade escrow is saved back in its owner's inventory
+  const toPlayerRecord = ({ online, offlineSince, ...record }) => {
+    const escrow = getEscrow(record.id);
+    return {
+      ...record,
+      inventory: [...record.inventory, ...escrow.items],
+      gold: record.gold + escrow.gold
+    };
+  };
+
+  return {
+    players: [...Object.values(players), ...listSavedPlayers().filter(p => !players[p.id])].map(toPlayerRecord),
+    items: worldItems.map(({ beingCollected, collectorId, collectorName, collectionStartedAt, collectionEndsAt, ...item }) => item),
+    ...exportAccounts(),
+    guilds: exportGuilds(),
+    territories: territoryManager.exportOwnership()
+  };
+};
+
+// Returns whether the snapshot was saved
+const saveWorldSnapshot = async () => {
+  try {
+    await storage.save(buildSnapshot());
+    return true;
+  } catch (error) {
+    console.error("Error saving world snapshot:", error);
+    return false;
+  }
+};
+
+// Restore the world from the last snapshot
+const loadWorldSnapshot = async () => {
+  const snapshot = await storage.load();
+
+  importAccounts(snapshot);
+  importGuilds(snapshot.guilds);
+  territoryManager.importOwnership(snapshot.territories, clock.now());
+
+  snapshot.players.forEach(player => {
+    if (player.username) {
+      // Registered players return to the world when they log in
+      savePlayerRecord(player);
+    } else {
+      // Guests get a fresh grace period to reconnect
+      players[player.id] = { ...player, online: false, offlineSince: clock.now() };
+    }
+  });
+
+  // Items saved before lifetimes existed get a fresh one
+  worldItems = snapshot.items.map(normalizeWorldItem).map(item => ({
+    ...item,
+    expiresAt: item.expiresAt || spawnManager.dropExpiry(clock.now()),
+    beingCollected: false,
+    collectorId: null
+  }));
+
+  console.log(`Loaded ${snapshot.players.length} players and ${worldItems.length} items from ${storage.name} storage`);
+};
+
+// Save one last snapshot before shutting down
+["SIGINT", "SIGTERM"].forEach(signal => {
+  process.on(signal, () => {
+    console.log(`Received ${signal}, saving world...`);
+    saveWorldSnapshot()
+      .then(() => storage.close())
+      .finally(() => process.exit(0));
   });
 });
 
-// Start the server
+// Start the server once the world has been loaded
 const PORT = process.env.PORT || 3000;
-server.listen(PORT, '0.0.0.0', () => {
-  console.log(`Server running on port ${PORT}`);
-  console.log(`WebSocket server available at: ws://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`);
-  console.log(`Client available at: https://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`);
-});
\ No newline at end of file
+storage.connect()
+  .then(loadWorldSnapshot)
+  .then(() => {
+    setInterval(saveWorldSnapshot, SNAPSHOT_INTERVAL);
+    // A manual clock waits to be stepped
+    if (!manualClock) {
+      gameLoop.start();
+    }
+    if (process.env.ITEM_CONFIG_WATCH) {
+      watchItemConfig();
+    }
+
+    server.listen(PORT, '0.0.0.0', () => {
+      console.log(`Server running on port ${PORT}`);
+      console.log(`WebSocket server available at: ws://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`);
+      console.log(`Client available at: https://${process.env.REPL_SLUG}.${process.env.REPL_OWNER}.repl.co`);
+    });
+  })
+  .catch(error => {
+    console.error("Failed to load world from storage:", error);
+    process.exit(1);
+  });
@@ -0,0 +1,42 @@
+
+// JSON file storage backend - persists snapshots to disk without a database
+const fs = require('fs');
+const path = require('path');
+const { emptySnapshot, cloneSnapshot } = require('./memoryStore');
+
+class FileStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+  }
+
+  async connect() {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+  }
+
+  async load() {
+    try {
+      const contents = await fs.promises.readFile(this.filePath, 'utf8');
+      return cloneSnapshot(JSON.parse(contents));
+    } catch (error) {
+      // No snapshot yet - start with an empty world
+      if (error.code === 'ENOENT') {
+        return emptySnapshot();
+      }
+      throw error;
+    }
+  }
+
+  async save(snapshot) {
+    // Write to a temporary file first so a crash never leaves a half-written snapshot
+    const tempPath = `${this.filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(snapshot, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  FileStore
+};
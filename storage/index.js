@@ -0,0 +1,42 @@
+
+// Storage layer for players, accounts and world items
+//
+// Every backend implements the same async interface:
+//   connect()      - prepare the backend
+//   load()         - return the last saved world snapshot
+//   save(snapshot) - replace the saved world snapshot
+//   close()        - release any connections
+//
+// A snapshot is { players, items, accounts, sessions }, each an array of plain records.
+const path = require('path');
+const { MemoryStore } = require('./memoryStore');
+const { FileStore } = require('./fileStore');
+const { MongoStore } = require('./mongoStore');
+
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', 'data', 'world.json');
+
+// Pick a backend from the environment:
+//   STORAGE_BACKEND=mongo|file|memory (defaults to mongo when MONGODB_URI is set, file otherwise)
+//   MONGODB_URI=mongodb://localhost:27017/mmo
+//   DATA_FILE=/path/to/world.json
+function createStorage(env = process.env) {
+  const backend = env.STORAGE_BACKEND || (env.MONGODB_URI ? 'mongo' : 'file');
+
+  switch (backend) {
+    case 'mongo':
+      return new MongoStore(env.MONGODB_URI || 'mongodb://localhost:27017/mmo');
+    case 'file':
+      return new FileStore(env.DATA_FILE || DEFAULT_DATA_FILE);
+    case 'memory':
+      return new MemoryStore();
+    default:
+      throw new Error(`Unknown storage backend ${backend}`);
+  }
+}
+
+module.exports = {
+  createStorage,
+  MemoryStore,
+  FileStore,
+  MongoStore
+};
@@ -0,0 +1,43 @@
+
+// In-memory storage backend - nothing survives a restart, useful for tests and local dev
+
+// Shape of a world snapshot shared by every storage backend
+const emptySnapshot = () => ({
+  players: [],
+  items: [],
+  accounts: [],
+  sessions: [],
+  guilds: [],
+  territories: []
+});
+
+// Deep copy so callers can never mutate stored state by reference
+const cloneSnapshot = (snapshot) => ({
+  ...emptySnapshot(),
+  ...JSON.parse(JSON.stringify(snapshot))
+});
+
+class MemoryStore {
+  constructor() {
+    this.name = 'memory';
+    this.snapshot = emptySnapshot();
+  }
+
+  async connect() {}
+
+  async load() {
+    return cloneSnapshot(this.snapshot);
+  }
+
+  async save(snapshot) {
+    this.snapshot = cloneSnapshot(snapshot);
+  }
+
+  async close() {}
+}
+
+module.exports = {
+  MemoryStore,
+  emptySnapshot,
+  cloneSnapshot
+};
@@ -0,0 +1,142 @@
+
+// MongoDB storage backend using mongoose
+const mongoose = require('mongoose');
+const { emptySnapshot } = require('./memoryStore');
+
+const PlayerSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: String,
+  username: String,
+  position: { lat: Number, lng: Number },
+  avatar: String,
+  hp: Number,
+  level: Number,
+  xp: Number,
+  gold: Number,
+  inventory: { type: Array, default: [] },
+  stats: {
+    strength: Number,
+    dexterity: Number,
+    intelligence: Number,
+    stamina: Number
+  }
+}, { strict: false, minimize: false, timestamps: true });
+
+// World items keep whatever properties their template gave them
+const WorldItemSchema = new mongoose.Schema({
+  itemId: { type: String, required: true, unique: true },
+  id: String,
+  position: { lat: Number, lng: Number }
+}, { strict: false, minimize: false });
+
+const AccountSchema = new mongoose.Schema({
+  username: { type: String, required: true },
+  usernameLower: { type: String, required: true, unique: true },
+  passwordHash: String,
+  salt: String,
+  playerId: String,
+  createdAt: Date
+});
+
+const SessionSchema = new mongoose.Schema({
+  token: { type: String, required: true, unique: true },
+  playerId: String,
+  username: String,
+  lastSeen: Number
+});
+
+// Guild members are stored as an embedded map of playerId -> { name, rank, joinedAt }
+const GuildSchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  name: String,
+  members: { type: Object, default: {} }
+}, { strict: false, minimize: false });
+
+// Who holds each captured territory
+const TerritorySchema = new mongoose.Schema({
+  id: { type: String, required: true, unique: true },
+  owner: { type: Object },
+  capturedAt: Number
+}, { minimize: false });
+
+// Strip mongoose bookkeeping fields from a lean document
+const toRecord = ({ _id, __v, createdAt, updatedAt, ...record }) => record;
+
+class MongoStore {
+  constructor(uri) {
+    this.name = 'mongo';
+    this.uri = uri;
+    this.connection = null;
+  }
+
+  async connect() {
+    this.connection = mongoose.createConnection(this.uri);
+    await this.connection.asPromise();
+
+    this.Player = this.connection.model('Player', PlayerSchema);
+    this.WorldItem = this.connection.model('WorldItem', WorldItemSchema);
+    this.Account = this.connection.model('Account', AccountSchema);
+    this.Session = this.connection.model('Session', SessionSchema);
+    this.Guild = this.connection.model('Guild', GuildSchema);
+    this.Territory = this.connection.model('Territory', TerritorySchema);
+  }
+
+  async load() {
+    const [players, items, accounts, sessions, guilds, territories] = await Promise.all([
+      this.Player.find().lean(),
+      this.WorldItem.find().lean(),
+      this.Account.find().lean(),
+      this.Session.find().lean(),
+      this.Guild.find().lean(),
+      this.Territory.find().lean()
+    ]);
+
+    return {
+      ...emptySnapshot(),
+      players: players.map(toRecord),
+      items: items.map(toRecord),
+      accounts: accounts.map(({ _id, __v, usernameLower, ...account }) => account),
+      sessions: sessions.map(toRecord),
+      guilds: guilds.map(({ _id, __v, ...guild }) => guild),
+      territories: territories.map(toRecord)
+    };
+  }
+
+  async save(snapshot) {
+    await Promise.all([
+      this.replaceCollection(this.Player, 'id', snapshot.players),
+      this.replaceCollection(this.WorldItem, 'itemId', snapshot.items),
+      this.replaceCollection(this.Account, 'usernameLower', snapshot.accounts.map(account => ({
+        ...account,
+        usernameLower: account.username.toLowerCase()
+      }))),
+      this.replaceCollection(this.Session, 'token', snapshot.sessions),
+      this.replaceCollection(this.Guild, 'id', snapshot.guilds),
+      this.replaceCollection(this.Territory, 'id', snapshot.territories)
+    ]);
+  }
+
+  // Upsert every record and delete anything no longer in the snapshot
+  async replaceCollection(Model, key, records) {
+    if (records.length > 0) {
+      await Model.bulkWrite(records.map(record => ({
+        replaceOne: {
+          filter: { [key]: record[key] },
+          replacement: record,
+          upsert: true
+        }
+      })));
+    }
+    await Model.deleteMany({ [key]: { $nin: records.map(record => record[key]) } });
+  }
+
+  async close() {
+    if (this.connection) {
+      await this.connection.close();
+    }
+  }
+}
+
+module.exports = {
+  MongoStore
+};
@@ -0,0 +1,16 @@
+// Account lookups by client-supplied usernames and ids
+const test = require('node:test');
+const assert = require('node:assert');
+const { AccountError, registerAccount, login, loadPlayerRecord } = require('../models/accounts');
+
+test('names every object has are free usernames, not existing accounts', () => {
+  assert.throws(() => login('toString', 'secret1'), (error) => error instanceof AccountError && error.status === 401);
+
+  const session = registerAccount('constructor', 'secret1', 1000);
+  assert.strictEqual(login('Constructor', 'secret1', 2000).playerId, session.playerId);
+  assert.throws(() => login('constructor', 'wrong-password'), AccountError);
+});
+
+test('prototype keys are not saved players', () => {
+  ['__proto__', 'constructor', 'toString'].forEach(playerId => assert.strictEqual(loadPlayerRecord(playerId), null));
+});
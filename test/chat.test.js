@@ -0,0 +1,37 @@
+// Chat config validation and mute/block lists
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { ChatConfigError, validateChatConfig, loadChatConfig, setChatListEntry } = require('../models/chat');
+
+test('the bundled chat config is valid', () => {
+  const config = loadChatConfig(path.join(__dirname, '..', 'config', 'chat.json'));
+  assert.strictEqual(config.filter.mode, 'mask');
+});
+
+test('a chat config is filled in with defaults', () => {
+  const config = validateChatConfig({ maxLength: 80 });
+  assert.strictEqual(config.maxLength, 80);
+  assert.strictEqual(config.sayRange, 100);
+  assert.deepStrictEqual(config.rateLimit, { messages: 5, windowMs: 10000 });
+});
+
+test('invalid chat configs are refused', () => {
+  [
+    null,
+    [],
+    { maxLength: 0 },
+    { sayRange: -5 },
+    { historySize: 1.5 },
+    { rateLimit: { messages: 0 } },
+    { rateLimit: { windowMs: 'soon' } },
+    { filter: { mode: 'shout' } },
+    { filter: { words: 'damn' } }
+  ].forEach(raw => assert.throws(() => validateChatConfig(raw), ChatConfigError, JSON.stringify(raw)));
+});
+
+test('a player can be taken off a list by id whether or not they still exist', () => {
+  const player = { id: 'me', chat: { muted: ['gone'], blocked: [] } };
+  setChatListEntry(player, 'muted', 'gone', false);
+  assert.deepStrictEqual(player.chat.muted, []);
+});
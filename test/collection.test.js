@@ -0,0 +1,260 @@
+// Collection locks, progress and interruption, driven by a manual clock
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManualClock } = require('../lib/clock');
+const { GameLoop } = require('../lib/gameLoop');
+const { PlayerStates } = require('../models/combat');
+const { getCollectionTime } = require('../models/progression');
+const {
+  InterruptReasons,
+  startCollection,
+  releaseCollection,
+  getCollectionProgress,
+  findCollectionsBy,
+  findFinishedCollections,
+  findBrokenCollections
+} = require('../models/collection');
+const { startGameServer } = require('./support/gameServer');
+
+const PICKUP_RANGE = 20;
+const HERE = { lat: 40.75, lng: -73.98 };
+
+const createPlayer = (id) => ({ id, name: `Player ${id}`, position: { ...HERE }, state: PlayerStates.ALIVE, online: true });
+const createItem = (itemId) => ({ itemId, position: { ...HERE }, beingCollected: false, collectorId: null });
+
+// A tiny world whose loop finishes and interrupts collections the way the server does
+const createWorld = () => {
+  const clock = new ManualClock(1000);
+  const loop = new GameLoop({ tickRate: 10, clock });
+  const players = { a: createPlayer('a'), b: createPlayer('b') };
+  const items = [createItem('coin')];
+  const finished = [];
+  const interrupted = [];
+
+  loop.addSystem('collection', (now) => {
+    findBrokenCollections(items, players, PICKUP_RANGE).forEach(({ item, reason }) => {
+      interrupted.push({ itemId: item.itemId, collectorId: item.collectorId, reason });
+      releaseCollection(item);
+    });
+    findFinishedCollections(items, now).forEach(item => {
+      finished.push({ itemId: item.itemId, collectorId: item.collectorId });
+      releaseCollection(item);
+    });
+  });
+
+  return { clock, loop, players, items, finished, interrupted };
+};
+
+test('startCollection locks the item to the collector', () => {
+  const { clock, players, items } = createWorld();
+  startCollection(items[0], players.a, 3000, clock.now());
+
+  assert.strictEqual(items[0].beingCollected, true);
+  assert.strictEqual(items[0].collectorId, 'a');
+  assert.strictEqual(items[0].collectorName, 'Player a');
+  assert.strictEqual(items[0].collectionStartedAt, 1000);
+  assert.strictEqual(items[0].collectionEndsAt, 4000);
+  assert.deepStrictEqual(findCollectionsBy(items, 'a'), [items[0]]);
+  assert.deepStrictEqual(findCollectionsBy(items, 'b'), []);
+});
+
+test('releaseCollection lets go of the lock', () => {
+  const { clock, players, items } = createWorld();
+  startCollection(items[0], players.a, 3000, clock.now());
+  releaseCollection(items[0]);
+
+  assert.strictEqual(items[0].beingCollected, false);
+  assert.strictEqual(items[0].collectorId, null);
+  assert.strictEqual(items[0].collectorName, undefined);
+  assert.strictEqual(items[0].collectionStartedAt, undefined);
+  assert.strictEqual(items[0].collectionEndsAt, undefined);
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), null);
+});
+
+test('getCollectionProgress follows the clock and stays between 0 and 1', () => {
+  const { clock, players, items } = createWorld();
+  startCollection(items[0], players.a, 2000, clock.now());
+
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), 0);
+  clock.advance(500);
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), 0.25);
+  clock.advance(1500);
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), 1);
+  clock.advance(5000);
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), 1);
+  assert.strictEqual(getCollectionProgress(items[0], 0), 0);
+});
+
+test('a collection with no duration is already complete', () => {
+  const { clock, players, items } = createWorld();
+  startCollection(items[0], players.a, 0, clock.now());
+  assert.strictEqual(getCollectionProgress(items[0], clock.now()), 1);
+});
+
+test('findFinishedCollections only returns collections whose time is up', () => {
+  const { clock, loop, players, items, finished } = createWorld();
+  startCollection(items[0], players.a, 1000, clock.now());
+
+  loop.step();
+  clock.advance(900);
+  loop.step();
+  assert.deepStrictEqual(finished, []);
+  assert.deepStrictEqual(findFinishedCollections(items, clock.now()), []);
+
+  clock.advance(100);
+  assert.deepStrictEqual(findFinishedCollections(items, clock.now()), [items[0]]);
+  loop.step();
+  assert.deepStrictEqual(finished, [{ itemId: 'coin', collectorId: 'a' }]);
+  assert.strictEqual(items[0].beingCollected, false);
+});
+
+test('walking out of range interrupts the collection and frees the item', () => {
+  const { clock, loop, players, items, finished, interrupted } = createWorld();
+  startCollection(items[0], players.a, 3000, clock.now());
+
+  clock.advance(1000);
+  loop.step();
+  players.a.position = { lat: HERE.lat + 0.001, lng: HERE.lng }; // about 110m away
+  clock.advance(100);
+  loop.step();
+
+  assert.deepStrictEqual(interrupted, [{ itemId: 'coin', collectorId: 'a', reason: InterruptReasons.MOVED_AWAY }]);
+  assert.strictEqual(items[0].beingCollected, false);
+
+  // Someone else can take over, and finishing later goes to them
+  startCollection(items[0], players.b, 1000, clock.now());
+  clock.advance(5000);
+  loop.step();
+  assert.deepStrictEqual(finished, [{ itemId: 'coin', collectorId: 'b' }]);
+});
+
+test('a knocked out collector is interrupted', () => {
+  const { clock, loop, players, items, interrupted } = createWorld();
+  startCollection(items[0], players.a, 3000, clock.now());
+  players.a.state = PlayerStates.DEAD;
+  loop.step();
+
+  assert.strictEqual(interrupted[0].reason, InterruptReasons.KNOCKED_OUT);
+  assert.strictEqual(items[0].beingCollected, false);
+});
+
+test('an offline or missing collector is interrupted as disconnected', () => {
+  const { clock, loop, players, items, interrupted } = createWorld();
+  items.push(createItem('gem'));
+  startCollection(items[0], players.a, 3000, clock.now());
+  startCollection(items[1], players.b, 3000, clock.now());
+  players.a.online = false;
+  delete players.b;
+  loop.step();
+
+  assert.deepStrictEqual(interrupted.map(entry => entry.reason), [InterruptReasons.DISCONNECTED, InterruptReasons.DISCONNECTED]);
+  assert.ok(items.every(item => !item.beingCollected));
+});
+
+test('collectors in range and on their feet are left alone', () => {
+  const { clock, players, items } = createWorld();
+  startCollection(items[0], players.a, 3000, clock.now());
+  assert.deepStrictEqual(findBrokenCollections(items, players, PICKUP_RANGE), []);
+});
+
+// The same rules through the real server - the pickup_item handler, the loop
+// finishing and interrupting collections, and what other players are sent
+test.describe('collecting through the server', () => {
+  const TEMPLATE_ID = 'leather-armor';
+  const BASE_TIME = 3000; // the leather armor template's collection time
+  let server;
+  let collector;
+  let watcher;
+
+  // Drop an item next to the players and return its id
+  const spawnItem = async () => {
+    const { item } = await server.admin('POST', '/api/admin/items', { templateId: TEMPLATE_ID, lat: HERE.lat, lng: HERE.lng });
+    return item.itemId;
+  };
+
+  // Start collecting and wait for the handler's answer
+  const pickUp = (client, itemId) => {
+    client.send({ type: 'pickup_item', itemId });
+    return server.until(() => client.find('collection_started', message => message.itemId === itemId), 'collection_started');
+  };
+
+  test.before(async () => {
+    server = await startGameServer();
+    collector = await server.connect();
+    watcher = await server.connect();
+    for (const client of [collector, watcher]) {
+      client.send({ type: 'update_position', position: HERE, gpsPosition: HERE });
+      await server.until(async () => (await server.getPlayer(client.id)).position.lat === HERE.lat, 'the move');
+    }
+  });
+  test.after(() => server.stop());
+
+  test('pickup_item starts a collection the loop hands over once its time is up', async () => {
+    const itemId = await spawnItem();
+    const started = await pickUp(collector, itemId);
+    assert.strictEqual(started.collectionTime, BASE_TIME);
+    assert.strictEqual(started.endsAt - started.startedAt, BASE_TIME);
+
+    await server.step(1, BASE_TIME);
+    const complete = await server.until(() => collector.find('collection_complete', message => message.itemId === itemId), 'collection_complete');
+    assert.ok(complete.inventory.some(item => item.templateId === TEMPLATE_ID));
+  });
+
+  test('other players see who is collecting and when they will be done', async () => {
+    const itemId = await spawnItem();
+    const started = await pickUp(collector, itemId);
+
+    const seen = await server.until(() => watcher.all('world_update')
+      .flatMap(update => [...update.items.added, ...update.items.changed])
+      .find(item => item.itemId === itemId && item.beingCollected), 'the watcher to see the collection');
+    assert.strictEqual(seen.collectorId, collector.id);
+    assert.strictEqual(seen.collectorName, (await server.getPlayer(collector.id)).name);
+    assert.strictEqual(seen.collectionStartedAt, started.startedAt);
+    assert.strictEqual(seen.collectionEndsAt, started.endsAt);
+
+    // Someone else trying is told who got there first and how far along they are
+    watcher.send({ type: 'pickup_item', itemId });
+    const refused = await server.until(() => watcher.find('collection_error', message => message.collectorId === collector.id), 'collection_error');
+    assert.ok(refused.progress >= 0 && refused.progress < 1);
+
+    collector.send({ type: 'cancel_collection', itemId });
+    await server.until(() => collector.find('collection_canceled', message => message.itemId === itemId), 'collection_canceled');
+  });
+
+  test('pickup_item for an item that is gone gets a collection_error', async () => {
+    collector.send({ type: 'pickup_item', itemId: 'iron-sword-gone' });
+    const error = await server.until(() => collector.find('collection_error', message => message.itemId === 'iron-sword-gone'), 'collection_error');
+    assert.strictEqual(error.message, 'That item is no longer there');
+  });
+
+  test('being hit interrupts a collection as damaged', async () => {
+    const { items: [sword] } = await server.admin('POST', `/api/admin/players/${watcher.id}/items`, { templateId: 'iron-sword' });
+    const itemId = await spawnItem();
+    await pickUp(collector, itemId);
+
+    watcher.send({ type: 'attack_player', targetPlayerId: collector.id, weaponId: sword.itemId });
+    const canceled = await server.until(() => collector.find('collection_canceled', message => message.itemId === itemId), 'collection_canceled');
+    assert.strictEqual(canceled.reason, InterruptReasons.DAMAGED);
+
+    const { items } = await server.admin('GET', `/api/admin/items?lat=${HERE.lat}&lng=${HERE.lng}&radius=50`);
+    assert.strictEqual(items.find(item => item.itemId === itemId).beingCollected, false);
+  });
+
+  test('dexterity spent through allocate_stat speeds collection up', async () => {
+    // Two knockouts are worth enough XP for the watcher to reach level 2
+    for (let knockouts = 1; knockouts <= 2; knockouts++) {
+      await server.admin('PATCH', `/api/admin/players/${collector.id}`, { hp: 1 });
+      await server.step(1, 5000); // past the sword's cooldown
+      watcher.send({ type: 'attack_player', targetPlayerId: collector.id });
+      await server.until(() => watcher.all('combat_log', entry => entry.event === 'knockout').length === knockouts, 'the knockout');
+    }
+    await server.until(async () => (await server.getPlayer(watcher.id)).level === 2, 'the level up');
+
+    watcher.send({ type: 'allocate_stat', stat: 'dexterity', points: 3 });
+    await server.until(() => watcher.find('stat_allocated'), 'stat_allocated');
+
+    const started = await pickUp(watcher, await spawnItem());
+    assert.strictEqual(started.collectionTime, getCollectionTime({ stats: { dexterity: 8 } }, BASE_TIME));
+    assert.ok(started.collectionTime < BASE_TIME);
+  });
+});
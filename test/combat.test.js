@@ -0,0 +1,46 @@
+// Attacks through the real server - a failed attack leaves the attacker's gear alone
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGameServer } = require('./support/gameServer');
+
+const HERE = { lat: 40.75, lng: -73.98 };
+
+test('a named weapon is only equipped when the attack goes ahead', async (t) => {
+  const server = await startGameServer();
+  t.after(() => server.stop());
+
+  const [attacker, target] = [await server.connect(), await server.connect()];
+  for (const client of [attacker, target]) {
+    client.send({ type: 'update_position', position: HERE, gpsPosition: HERE });
+    await server.until(async () => (await server.getPlayer(client.id)).position.lat === HERE.lat, 'the move');
+  }
+  const give = async (templateId) => (await server.admin('POST', `/api/admin/players/${attacker.id}/items`, { templateId })).items[0];
+  const sword = await give('iron-sword');
+  const dagger = await give('venom-dagger');
+
+  const attack = async (targetPlayerId, weaponId) => {
+    const before = attacker.messages.length;
+    attacker.send({ type: 'attack_player', targetPlayerId, weaponId });
+    return server.until(() => attacker.messages.slice(before).find(message => /^attack_(success|failed)$/.test(message.type)), 'the attack reply');
+  };
+  const equippedWeapon = async () => {
+    const weapon = (await server.getPlayer(attacker.id)).equipment.weapon;
+    return weapon ? weapon.itemId : null;
+  };
+
+  assert.strictEqual((await attack('nobody', sword.itemId)).type, 'attack_failed');
+  assert.strictEqual(await equippedWeapon(), null);
+
+  assert.strictEqual((await attack(target.id, sword.itemId)).type, 'attack_success');
+  assert.strictEqual(await equippedWeapon(), sword.itemId);
+
+  // Still cooling down - the dagger stays in the bag
+  const cooling = await attack(target.id, dagger.itemId);
+  assert.strictEqual(cooling.type, 'attack_failed');
+  assert.ok(cooling.cooldownRemaining > 0);
+  assert.strictEqual(await equippedWeapon(), sword.itemId);
+
+  await server.step(1, 2000);
+  assert.strictEqual((await attack(target.id, dagger.itemId)).type, 'attack_success');
+  assert.strictEqual(await equippedWeapon(), dagger.itemId);
+});
@@ -0,0 +1,52 @@
+// Guild rank changes and kicks only reach real members
+const test = require('node:test');
+const assert = require('node:assert');
+const {
+  GuildError,
+  createGuild,
+  inviteToGuild,
+  acceptGuildInvite,
+  leaveGuild,
+  kickFromGuild,
+  changeGuildRank
+} = require('../models/guilds');
+
+let nextId = 0;
+const createPlayer = () => {
+  nextId++;
+  return { id: `p${nextId}`, name: `Player ${nextId}` };
+};
+
+const createFullGuild = () => {
+  const [leader, member] = [createPlayer(), createPlayer()];
+  const guild = createGuild(leader, `Guild ${nextId}`, 1000);
+  inviteToGuild(leader, member, 1000);
+  acceptGuildInvite(member, 1000);
+  return { guild, leader, member };
+};
+
+test('prototype keys are not guild members', () => {
+  const { leader, member } = createFullGuild();
+
+  ['__proto__', 'constructor', 'toString'].forEach(targetId => {
+    assert.throws(() => changeGuildRank(leader, targetId, 'promote'), GuildError);
+    assert.throws(() => changeGuildRank(leader, targetId, 'demote'), GuildError);
+    assert.throws(() => kickFromGuild(leader, targetId), GuildError);
+  });
+  assert.strictEqual({}.rank, undefined);
+  assert.strictEqual({}.guildId, undefined);
+
+  leaveGuild(member);
+  leaveGuild(leader);
+});
+
+test('the leader can promote and kick a real member', () => {
+  const { guild, leader, member } = createFullGuild();
+
+  changeGuildRank(leader, member.id, 'promote');
+  assert.strictEqual(guild.members[member.id].rank, 'officer');
+  kickFromGuild(leader, member.id);
+  assert.strictEqual(Object.hasOwn(guild.members, member.id), false);
+
+  leaveGuild(leader);
+});
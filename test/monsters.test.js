@@ -0,0 +1,33 @@
+// Monster attacks applied by the real server loop
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGameServer } = require('./support/gameServer');
+
+const HERE = { lat: 40.75, lng: -73.98 };
+
+test('two monsters hitting the same player in one tick knock them out once', async (t) => {
+  const server = await startGameServer({
+    configs: {
+      MONSTER_CONFIG: {
+        zones: [{ id: 'pack', center: HERE, radius: 1, monsters: ['street-thug'], maxMonsters: 2 }]
+      }
+    }
+  });
+  t.after(() => server.stop());
+
+  const client = await server.connect();
+  client.send({ type: 'update_position', position: HERE, gpsPosition: HERE });
+  await server.until(async () => (await server.getPlayer(client.id)).position.lat === HERE.lat, 'the move');
+  await server.admin('PATCH', `/api/admin/players/${client.id}`, { hp: 1 });
+
+  // Next monster update both thugs are in range with their attacks ready
+  await server.step(1, 250);
+  await server.until(() => client.find('combat_log', entry => entry.event === 'knockout'), 'the knockout');
+  await server.step();
+
+  const player = await server.getPlayer(client.id);
+  assert.strictEqual(player.state, 'dead');
+  assert.strictEqual(client.all('combat_log', entry => entry.event === 'hit').length, 1);
+  assert.strictEqual(client.all('combat_log', entry => entry.event === 'knockout').length, 1);
+  assert.strictEqual(client.all('attacked').length, 1);
+});
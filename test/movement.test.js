@@ -0,0 +1,70 @@
+// Movement anchors across reconnects, driven by a manual clock
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManualClock } = require('../lib/clock');
+const { resetMovementTracking, clearMovementTracking, checkMovement } = require('../models/movement');
+
+const HOME = { lat: 40.75, lng: -73.98 };
+const FAR = { lat: 51.5, lng: -0.12 }; // London
+
+const createPlayer = (id) => ({ id, position: { ...HOME }, anchor: { ...HOME }, effects: [] });
+const moveTo = (player, gpsPosition, now) => {
+  const result = checkMovement(player, { position: gpsPosition, gpsPosition }, now);
+  if (!result.violation) {
+    player.position = result.position;
+    player.anchor = result.anchor;
+  }
+  return result;
+};
+
+test('a brand new player has their first GPS fix trusted', () => {
+  const clock = new ManualClock(1000);
+  const player = createPlayer('new');
+  resetMovementTracking(player);
+
+  assert.strictEqual(moveTo(player, FAR, clock.now()).violation, undefined);
+  assert.deepStrictEqual(player.anchor, FAR);
+  clearMovementTracking(player.id);
+});
+
+test('later fixes are speed checked', () => {
+  const clock = new ManualClock(1000);
+  const player = createPlayer('moving');
+  resetMovementTracking(player);
+  moveTo(player, HOME, clock.now());
+
+  clock.advance(1000);
+  assert.strictEqual(moveTo(player, FAR, clock.now()).violation.reason, 'speed');
+  clearMovementTracking(player.id);
+});
+
+test('reconnecting does not reset the speed check', () => {
+  const clock = new ManualClock(1000);
+  const player = createPlayer('resumed');
+  resetMovementTracking(player);
+  moveTo(player, HOME, clock.now());
+
+  // Disconnect and come back a few seconds later, within the grace period
+  clock.advance(5000);
+  resetMovementTracking(player);
+  assert.strictEqual(moveTo(player, FAR, clock.now()).violation.reason, 'speed');
+  assert.deepStrictEqual(player.anchor, HOME);
+  clearMovementTracking(player.id);
+});
+
+test('a returning player is checked against their last fix even after their tracking was dropped', () => {
+  const clock = new ManualClock(1000);
+  const player = createPlayer('returning');
+  resetMovementTracking(player);
+  moveTo(player, HOME, clock.now());
+  clearMovementTracking(player.id);
+
+  clock.advance(10000);
+  resetMovementTracking(player);
+  assert.strictEqual(moveTo(player, FAR, clock.now()).violation.reason, 'speed');
+
+  // A long enough absence covers the trip
+  clock.advance(3 * 24 * 60 * 60 * 1000);
+  assert.strictEqual(moveTo(player, FAR, clock.now()).violation, undefined);
+  clearMovementTracking(player.id);
+});
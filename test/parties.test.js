@@ -0,0 +1,73 @@
+// Party invites expiring, driven by a manual clock
+const test = require('node:test');
+const assert = require('node:assert');
+const { ManualClock } = require('../lib/clock');
+const {
+  PartyError,
+  getPlayerParty,
+  inviteToParty,
+  acceptPartyInvite,
+  expirePartyInvites,
+  leaveParty
+} = require('../models/parties');
+
+const INVITE_TIMEOUT = 60 * 1000;
+let nextId = 0;
+const createPlayer = () => {
+  nextId++;
+  return { id: `p${nextId}`, name: `Player ${nextId}` };
+};
+
+test('an unanswered invite expires and its empty party breaks up', () => {
+  const clock = new ManualClock(1000);
+  const [leader, invitee] = [createPlayer(), createPlayer()];
+  const party = inviteToParty(leader, invitee, clock.now());
+  assert.strictEqual(getPlayerParty(leader.id), party);
+
+  clock.advance(INVITE_TIMEOUT - 1);
+  assert.deepStrictEqual(expirePartyInvites(clock.now()), []);
+
+  clock.advance(2);
+  const expired = expirePartyInvites(clock.now());
+  assert.strictEqual(expired.length, 1);
+  assert.strictEqual(expired[0].inviteeId, invitee.id);
+  assert.strictEqual(expired[0].disbanded, true);
+  assert.strictEqual(getPlayerParty(leader.id), null);
+
+  // The old leader can now be invited elsewhere
+  const other = createPlayer();
+  inviteToParty(other, leader, clock.now());
+  assert.strictEqual(acceptPartyInvite(leader.id, clock.now()).leaderId, other.id);
+  leaveParty(leader.id);
+});
+
+test('a party with members keeps going when an invite expires', () => {
+  const clock = new ManualClock(1000);
+  const [leader, member, invitee] = [createPlayer(), createPlayer(), createPlayer()];
+  inviteToParty(leader, member, clock.now());
+  acceptPartyInvite(member.id, clock.now());
+  inviteToParty(leader, invitee, clock.now());
+
+  clock.advance(INVITE_TIMEOUT + 1);
+  const [expired] = expirePartyInvites(clock.now());
+  assert.strictEqual(expired.disbanded, false);
+  assert.deepStrictEqual(getPlayerParty(leader.id).members, [leader.id, member.id]);
+  assert.throws(() => acceptPartyInvite(invitee.id, clock.now()), PartyError);
+  leaveParty(member.id);
+});
+
+test('a pending invite is not overwritten by another party', () => {
+  const clock = new ManualClock(1000);
+  const [first, second, invitee] = [createPlayer(), createPlayer(), createPlayer()];
+  const party = inviteToParty(first, invitee, clock.now());
+
+  assert.throws(() => inviteToParty(second, invitee, clock.now()), /already has a party invite/);
+  assert.strictEqual(getPlayerParty(second.id), null);
+
+  // Once it lapses a new invite replaces it, and the party it belonged to goes away
+  clock.advance(INVITE_TIMEOUT + 1);
+  inviteToParty(second, invitee, clock.now());
+  assert.strictEqual(getPlayerParty(first.id), null);
+  assert.notStrictEqual(acceptPartyInvite(invitee.id, clock.now()), party);
+  leaveParty(invitee.id);
+});
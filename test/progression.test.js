@@ -0,0 +1,32 @@
+// Levelling up and what it does to health
+const test = require('node:test');
+const assert = require('node:assert');
+const { PlayerStates, knockOut } = require('../models/combat');
+const { awardXp } = require('../models/progression');
+
+const createPlayer = () => ({
+  level: 1,
+  xp: 0,
+  hp: 40,
+  maxHp: 100,
+  gold: 0,
+  state: PlayerStates.ALIVE,
+  stats: { strength: 5, dexterity: 5, intelligence: 5, stamina: 5 },
+  inventory: [],
+  effects: []
+});
+
+test('levelling up refills the health of a player on their feet', () => {
+  const player = createPlayer();
+  assert.strictEqual(awardXp(player, 100), 1);
+  assert.strictEqual(player.hp, player.maxHp);
+});
+
+test('a knocked out player who levels up from a shared reward stays down', () => {
+  const player = createPlayer();
+  knockOut(player, 1000, () => 1);
+  assert.strictEqual(awardXp(player, 100), 1);
+  assert.strictEqual(player.level, 2);
+  assert.strictEqual(player.hp, 0);
+  assert.strictEqual(player.state, PlayerStates.DEAD);
+});
@@ -0,0 +1,136 @@
+// Runs the real server in a child process on a manual clock, so tests can go
+// through the message handlers and step the game loop by hand over the admin API
+const { spawn } = require('node:child_process');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const WebSocket = require('ws');
+
+const SERVER_PATH = path.join(__dirname, '..', '..', 'server.js');
+const ADMIN_TOKEN = 'test-admin-token';
+const START_TIMEOUT = 10000;
+const WAIT_TIMEOUT = 5000;
+
+// configs maps a config env variable to the object to write for it, e.g. { MONSTER_CONFIG: {...} }
+async function startGameServer({ configs = {}, env = {} } = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'game-server-'));
+  const configEnv = {};
+  Object.entries(configs).forEach(([name, config]) => {
+    configEnv[name] = path.join(dir, `${name.toLowerCase()}.json`);
+    fs.writeFileSync(configEnv[name], JSON.stringify(config));
+  });
+
+  const port = 20000 + Math.floor(Math.random() * 40000);
+  const child = spawn(process.execPath, [SERVER_PATH], {
+    cwd: dir,
+    env: {
+      ...process.env,
+      ...configEnv,
+      ...env,
+      GAME_CLOCK: 'manual',
+      STORAGE_BACKEND: 'memory',
+      PORT: String(port),
+      ADMIN_TOKEN: ADMIN_TOKEN,
+      AUDIT_LOG_FILE: path.join(dir, 'audit.log')
+    },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+
+  let output = '';
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Server did not start:\n${output}`)), START_TIMEOUT);
+    const onData = (chunk) => {
+      output += chunk;
+      if (output.includes('Server running on port')) {
+        clearTimeout(timer);
+        resolve();
+      }
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', onData);
+    child.on('exit', (code) => {
+      clearTimeout(timer);
+      reject(new Error(`Server exited with code ${code}:\n${output}`));
+    });
+  });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const admin = async (method, urlPath, body) => {
+    const response = await fetch(`${baseUrl}${urlPath}`, {
+      method: method,
+      headers: { authorization: `Bearer ${ADMIN_TOKEN}`, 'content-type': 'application/json' },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    return response.json();
+  };
+
+  const server = {
+    port,
+    admin,
+    clients: [],
+
+    // Move the manual clock on by ms and run one tick, as many times as asked
+    step: (ticks = 1, ms = 1) => admin('POST', '/api/admin/loop/step', { ticks, ms }),
+
+    getPlayer: async (playerId) => (await admin('GET', `/api/admin/players/${playerId}`)).player,
+
+    // Step the loop a millisecond at a time until check() returns something truthy
+    until: async (check, description = 'condition') => {
+      const deadline = Date.now() + WAIT_TIMEOUT;
+      while (Date.now() < deadline) {
+        const result = await check();
+        if (result) return result;
+        await server.step();
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+      throw new Error(`Timed out waiting for ${description}`);
+    },
+
+    // Connect a guest player and wait for their init message
+    connect: async () => {
+      const client = createClient(port);
+      server.clients.push(client);
+      await client.opened;
+      const init = await server.until(() => client.find('init'), 'init');
+      client.id = init.playerId;
+      return client;
+    },
+
+    stop: async () => {
+      server.clients.forEach(client => client.ws.terminate());
+      if (child.exitCode === null) {
+        const exited = new Promise(resolve => child.once('exit', resolve));
+        child.kill();
+        await exited;
+      }
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  };
+  return server;
+}
+
+// A websocket client that keeps every message it is sent
+const createClient = (port) => {
+  const ws = new WebSocket(`ws://127.0.0.1:${port}/?protocol=1`);
+  const client = {
+    ws,
+    id: null,
+    messages: [],
+    opened: new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    }),
+    send: (message) => ws.send(JSON.stringify(message)),
+    all: (type, match = () => true) => client.messages.filter(message => message.type === type && match(message)),
+    find: (type, match = () => true) => client.messages.find(message => message.type === type && match(message)) || null
+  };
+  ws.on('message', (raw) => {
+    const message = JSON.parse(raw);
+    client.messages.push(...(message.type === 'batch' ? message.messages : [message]));
+  });
+  return client;
+};
+
+module.exports = {
+  startGameServer
+};
@@ -0,0 +1,40 @@
+// Territory income paid out by the real server loop
+const test = require('node:test');
+const assert = require('node:assert');
+const { startGameServer } = require('./support/gameServer');
+
+const HERE = { lat: 40.75, lng: -73.98 };
+
+test('coins in territory income are credited as gold, not put in the inventory', async (t) => {
+  const server = await startGameServer({
+    configs: {
+      TERRITORY_CONFIG: {
+        captureTime: 2000,
+        incomeInterval: 1000,
+        territories: [{
+          id: 'plaza',
+          shape: 'radius',
+          center: HERE,
+          radius: 30,
+          income: { gold: 10, items: [{ templateId: 'gold-coin', chance: 1 }] }
+        }]
+      }
+    }
+  });
+  t.after(() => server.stop());
+
+  const owner = await server.connect();
+  owner.send({ type: 'update_position', position: HERE, gpsPosition: HERE });
+  await server.until(async () => (await server.getPlayer(owner.id)).position.lat === HERE.lat, 'the move');
+
+  const income = await server.until(async () => {
+    await server.step(1, 1000);
+    return owner.find('territory_income');
+  }, 'territory income');
+  assert.strictEqual(income.gold, 11);
+
+  const player = await server.getPlayer(owner.id);
+  assert.ok(!player.inventory.some(item => item.templateId === 'gold-coin'));
+  const { entries } = await server.admin('GET', `/api/admin/gold-log?playerId=${owner.id}&source=territory`);
+  assert.deepStrictEqual(entries.map(entry => entry.amount), [11]);
+});